@@ -5,9 +5,13 @@
 
 import gsap from 'gsap';
 import { openModal, closeModal } from '../modules/modalManager.js';
-import { getRecipes, searchRecipes, getRecipeById } from '../modules/recipeManager.js';
-import { addMealToDate, checkRecipeAvailability, formatDate, parseDate } from '../modules/mealPlanManager.js';
+import { getRecipes, getRecipeById } from '../modules/recipeManager.js';
+import { searchRecipesRanked } from '../modules/ingredientSearch.js';
+import { checkRecipeAvailability, formatDate, parseDate } from '../modules/mealPlanManager.js';
+import { addMealCommand } from '../modules/commands.js';
 import { getIngredientById, getCategoryIcon } from '../modules/ingredientManager.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
+import { filterRecipesByProfile, checkRecipeAgainstProfile } from '../modules/dietaryProfile.js';
 
 /**
  * Escape HTML to prevent XSS
@@ -85,8 +89,8 @@ export function initAddMealModal(onMealAdded) {
     }
 
     searchDebounceTimer = setTimeout(() => {
-      const allRecipes = getRecipes();
-      const results = searchRecipes(allRecipes, query).slice(0, 8);
+      const allRecipes = filterRecipesByProfile(getRecipes());
+      const results = searchRecipesRanked(allRecipes, query).slice(0, 8);
 
       renderRecipeResults(results, recipeResultsContainer, (recipe) => {
         selectRecipe(recipe, recipeSearchInput, recipeResultsContainer, selectedRecipeDisplay, availabilityWarning, servingsInput, submitBtn);
@@ -153,7 +157,7 @@ export function initAddMealModal(onMealAdded) {
     const servings = parseInt(servingsInput.value) || selectedRecipe.servings;
     const notes = document.getElementById('mealNotes').value;
 
-    const meal = addMealToDate(selectedDate, selectedRecipe.id, mealType, servings, notes);
+    const meal = addMealCommand(selectedDate, selectedRecipe.id, mealType, servings, notes);
 
     if (meal && onMealAddedCallback) {
       onMealAddedCallback(selectedDate, meal);
@@ -177,12 +181,14 @@ function renderRecipeResults(recipes, container, onSelect) {
     const cuisineFlag = getCuisineFlag(recipe.cuisine);
     const safeTitle = escapeHtml(recipe.title);
     const safeDifficulty = escapeHtml(recipe.difficulty);
+    const { warning } = checkRecipeAgainstProfile(recipe);
     return `
       <div class="recipe-result-item ${index === 0 ? 'recipe-result-item--highlighted' : ''}" data-recipe-id="${escapeHtml(recipe.id)}">
         <span class="recipe-result-item__icon">${cuisineFlag}</span>
         <div class="recipe-result-item__info">
           <div class="recipe-result-item__name">${safeTitle}</div>
           <div class="recipe-result-item__meta">${recipe.prepTime + recipe.cookTime} min | ${safeDifficulty} | ${recipe.servings} servings</div>
+          ${warning ? `<div class="recipe-result-item__diet-warning">⚠️ ${escapeHtml(warning)}</div>` : ''}
         </div>
       </div>
     `;
@@ -240,12 +246,14 @@ function selectRecipe(recipe, searchInput, resultsContainer, displayContainer, w
   const cuisineFlag = getCuisineFlag(recipe.cuisine);
   const safeTitle = escapeHtml(recipe.title);
   const safeDifficulty = escapeHtml(recipe.difficulty);
+  const { warning } = checkRecipeAgainstProfile(recipe);
   displayContainer.innerHTML = `
     <div class="selected-recipe">
       <span class="selected-recipe__icon">${cuisineFlag}</span>
       <div class="selected-recipe__info">
         <div class="selected-recipe__name">${safeTitle}</div>
         <div class="selected-recipe__meta">${recipe.prepTime + recipe.cookTime} min | ${safeDifficulty}</div>
+        ${warning ? `<div class="selected-recipe__diet-warning">⚠️ ${escapeHtml(warning)}</div>` : ''}
       </div>
       <button type="button" class="selected-recipe__clear" title="Clear selection">&times;</button>
     </div>
@@ -303,7 +311,7 @@ function updateAvailabilityWarning(container, recipe, servings) {
   } else {
     const issues = [...availability.missing, ...availability.warnings];
     const issuesList = issues.slice(0, 3).map(item =>
-      `<li>${escapeHtml(item.name)}: need ${item.needed.toFixed(1)} ${escapeHtml(item.unit)}, have ${item.available.toFixed(1)}</li>`
+      `<li>${escapeHtml(item.name)}: need ${escapeHtml(formatAmount(item.needed, item.unit, item.ingredientId))}, have ${escapeHtml(formatAmount(item.available, item.unit, item.ingredientId))}</li>`
     ).join('');
 
     const moreCount = issues.length - 3;
@@ -3,7 +3,8 @@
  * Provides ingredient search with dropdown suggestions
  */
 
-import { searchIngredients, getIngredientIcon, getCategories } from '../modules/ingredientManager.js';
+import { getIngredientIcon, getCategories } from '../modules/ingredientManager.js';
+import { searchIngredientsRanked } from '../modules/ingredientSearch.js';
 
 let currentHighlightIndex = -1;
 let currentResults = [];
@@ -20,13 +21,13 @@ export function initAutocomplete(inputElement, resultsContainer, onSelect) {
 
     clearTimeout(debounceTimer);
 
-    if (query.length < 2) {
+    if (!query) {
       hideResults(resultsContainer);
       return;
     }
 
     debounceTimer = setTimeout(() => {
-      const results = searchIngredients(query, 8);
+      const results = searchIngredientsRanked(query, 8);
       currentResults = results;
       currentHighlightIndex = -1;
       renderResults(resultsContainer, results, onSelect, inputElement);
@@ -60,7 +61,7 @@ export function initAutocomplete(inputElement, resultsContainer, onSelect) {
 
   // Focus handler
   inputElement.addEventListener('focus', () => {
-    if (inputElement.value.length >= 2 && currentResults.length > 0) {
+    if (inputElement.value.trim() && currentResults.length > 0) {
       showResults(resultsContainer);
     }
   });
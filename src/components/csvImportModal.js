@@ -0,0 +1,271 @@
+/**
+ * CSV Import Modal Component
+ * Maps spreadsheet columns to pantry fields and previews how each row
+ * matches the ingredient catalog before anything is imported
+ */
+
+import { openModal, closeModal } from '../modules/modalManager.js';
+import {
+  CSV_FIELDS,
+  parseCsv,
+  guessColumnMapping,
+  previewCsvImport,
+  buildImportFromPreview
+} from '../modules/pantryCsv.js';
+import { getIngredientById } from '../modules/ingredientManager.js';
+import { diffPantryImport } from '../modules/pantryManager.js';
+import { importPantryCommand } from '../modules/commands.js';
+
+const MODAL_ID = 'csvImportModal';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  quantity: 'Quantity',
+  unit: 'Unit',
+  storage: 'Storage',
+  expires: 'Expires',
+  notes: 'Notes'
+};
+
+const STATUS_LABELS = {
+  matched: 'Matched',
+  ambiguous: 'Ambiguous',
+  unmatched: 'Unmatched'
+};
+
+let parsed = null;
+let mapping = {};
+let previewRows = [];
+let resolutions = {}; // rowNumber -> ingredientId chosen for ambiguous rows
+
+let mappingContainer = null;
+let previewContainer = null;
+let summaryEl = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Initialize the CSV import modal
+ */
+export function initCsvImportModal() {
+  mappingContainer = document.getElementById('csvMapping');
+  previewContainer = document.getElementById('csvPreview');
+  summaryEl = document.getElementById('csvSummary');
+  if (!mappingContainer || !previewContainer) return;
+
+  mappingContainer.addEventListener('change', (e) => {
+    const select = e.target.closest('[data-csv-field]');
+    if (!select) return;
+
+    mapping[select.dataset.csvField] = select.value === '' ? null : parseInt(select.value, 10);
+    resolutions = {};
+    refreshPreview();
+  });
+
+  previewContainer.addEventListener('change', (e) => {
+    const select = e.target.closest('[data-csv-row]');
+    if (!select) return;
+
+    resolutions[select.dataset.csvRow] = select.value || null;
+    renderSummary();
+  });
+
+  document.getElementById('csvImportAdd')?.addEventListener('click', () => applyImport('add'));
+  document.getElementById('csvImportMerge')?.addEventListener('click', () => applyImport('merge'));
+  document.getElementById('csvImportReplace')?.addEventListener('click', () => applyImport('replace'));
+}
+
+/**
+ * Read a CSV file and open the mapping/preview modal
+ * @param {File} file
+ */
+export async function openCsvImportModal(file) {
+  try {
+    parsed = parseCsv(await file.text());
+  } catch (error) {
+    console.error('Failed to read CSV:', error);
+    alert('Could not read that CSV file.');
+    return;
+  }
+
+  if (parsed.rows.length === 0) {
+    alert('That CSV file has no rows to import.');
+    return;
+  }
+
+  mapping = guessColumnMapping(parsed.headers);
+  resolutions = {};
+
+  renderMapping();
+  refreshPreview();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Render one column select per pantry field
+ */
+function renderMapping() {
+  const options = parsed.headers
+    .map((header, index) => `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`)
+    .join('');
+
+  mappingContainer.innerHTML = CSV_FIELDS.map(field => `
+    <label class="csv-import__field">
+      <span class="csv-import__field-label">${FIELD_LABELS[field]}</span>
+      <select class="form-select" data-csv-field="${field}">
+        <option value="">(not in file)</option>
+        ${options}
+      </select>
+    </label>
+  `).join('');
+
+  CSV_FIELDS.forEach(field => {
+    const select = mappingContainer.querySelector(`[data-csv-field="${field}"]`);
+    if (select) select.value = mapping[field] === null ? '' : String(mapping[field]);
+  });
+}
+
+/**
+ * Re-run the dry-run preview with the current mapping
+ */
+function refreshPreview() {
+  previewRows = mapping.name === null ? [] : previewCsvImport(parsed, mapping);
+  renderPreview();
+  renderSummary();
+}
+
+/**
+ * Render the preview table
+ */
+function renderPreview() {
+  if (mapping.name === null) {
+    previewContainer.innerHTML = '<p class="csv-import__empty">Choose which column holds the ingredient names.</p>';
+    return;
+  }
+
+  const rowsHtml = previewRows.map(row => {
+    let matchCell;
+    if (row.status === 'ambiguous') {
+      matchCell = `
+        <select class="form-select csv-import__candidates" data-csv-row="${row.rowNumber}">
+          ${row.candidates.map(c => `<option value="${c.id}" ${c.id === row.ingredientId ? 'selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}
+          <option value="">Skip this row</option>
+        </select>
+      `;
+    } else if (row.status === 'matched') {
+      matchCell = escapeHtml(row.candidates[0]?.name || row.ingredientId);
+    } else {
+      matchCell = '<span class="csv-import__skip">Will be skipped</span>';
+    }
+
+    return `
+      <tr class="csv-import__row csv-import__row--${row.status}">
+        <td>${row.rowNumber}</td>
+        <td>${escapeHtml(row.values.name)}</td>
+        <td><span class="csv-import__status csv-import__status--${row.status}">${STATUS_LABELS[row.status]}</span></td>
+        <td>${matchCell}</td>
+        <td>${row.quantity} ${escapeHtml(row.unit || '')}</td>
+        <td>${escapeHtml(row.storage)}</td>
+        <td>${row.issues.map(issue => `<div class="csv-import__issue">${escapeHtml(issue)}</div>`).join('')}</td>
+      </tr>
+    `;
+  }).join('');
+
+  previewContainer.innerHTML = `
+    <table class="csv-import__table">
+      <thead>
+        <tr>
+          <th>Row</th>
+          <th>Name in file</th>
+          <th>Status</th>
+          <th>Ingredient</th>
+          <th>Amount</th>
+          <th>Storage</th>
+          <th>Notes</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Show how many rows will be imported
+ */
+function renderSummary() {
+  if (!summaryEl) return;
+
+  const counts = { matched: 0, ambiguous: 0, unmatched: 0 };
+  previewRows.forEach(row => counts[row.status]++);
+
+  const { rowsUsed, rowsSkipped } = buildImportFromPreview(previewRows, currentResolutions());
+  summaryEl.textContent = `${counts.matched} matched · ${counts.ambiguous} ambiguous · ${counts.unmatched} unmatched — ${rowsUsed} row${rowsUsed !== 1 ? 's' : ''} will be imported, ${rowsSkipped} skipped`;
+
+  document.querySelectorAll('#csvImportAdd, #csvImportMerge, #csvImportReplace').forEach(btn => {
+    btn.disabled = rowsUsed === 0;
+  });
+}
+
+/**
+ * Ambiguous rows default to the suggested ingredient until the user picks another
+ */
+function currentResolutions() {
+  const result = {};
+  previewRows.forEach(row => {
+    if (row.status === 'ambiguous') {
+      result[row.rowNumber] = row.rowNumber in resolutions ? resolutions[row.rowNumber] : row.ingredientId;
+    }
+  });
+  return result;
+}
+
+/**
+ * When adding to stock, ask which unit wins for each item whose file unit
+ * can't be converted into the stored one
+ * @returns {Array|null} Change ids to accept, or null to accept everything
+ */
+function chooseUnitConflicts(data) {
+  const preview = diffPantryImport(data, 'add');
+  if (!preview.success || !preview.changes.some(change => change.unitConflict)) return null;
+
+  return preview.changes
+    .filter(change => {
+      if (!change.unitConflict) return true;
+      const { storedQuantity, storedUnit, incomingUnit } = change.unitConflict;
+      const name = getIngredientById(change.ingredientId)?.name || change.ingredientId;
+      return confirm(`${name} is counted in ${storedUnit}, but the file has ${incomingUnit} and the two can't be converted.\n\n` +
+        `OK: switch to ${incomingUnit} (drops the ${storedQuantity} ${storedUnit} on hand)\nCancel: keep ${storedUnit} and skip these rows`);
+    })
+    .map(change => change.id);
+}
+
+/**
+ * Import the previewed rows
+ */
+async function applyImport(mode) {
+  const { data, rowsUsed, rowsSkipped } = buildImportFromPreview(previewRows, currentResolutions());
+  if (rowsUsed === 0) return;
+
+  const accept = mode === 'add' ? chooseUnitConflicts(data) : null;
+  const result = await importPantryCommand(data, mode, accept ? { accept } : {});
+  if (!result.success) {
+    alert('Import failed: ' + result.error);
+    return;
+  }
+
+  console.log('CSV import result:', { ...result, rowsUsed, rowsSkipped });
+  closeModal(MODAL_ID);
+}
+
+export default {
+  initCsvImportModal,
+  openCsvImportModal
+};
@@ -0,0 +1,152 @@
+/**
+ * Custom Ingredient Modal Component
+ * Create, edit and delete the user's own ingredients
+ */
+
+import { openModal, closeModal } from '../modules/modalManager.js';
+import {
+  getCategories,
+  getIngredientById,
+  isCustomIngredient,
+  createCustomIngredient,
+  updateCustomIngredient,
+  deleteCustomIngredient
+} from '../modules/ingredientManager.js';
+import { hasPantryItem } from '../modules/pantryManager.js';
+import { CONTAINS_TAGS } from '../data/dietaryTags.js';
+
+const MODAL_ID = 'customIngredientModal';
+
+let editingId = null;
+let onSaved = null;
+
+// DOM references
+let titleEl = null;
+let nameInput = null;
+let categorySelect = null;
+let unitSelect = null;
+let aliasesInput = null;
+let densityInput = null;
+let containsContainer = null;
+let nutrientInputs = [];
+let deleteBtn = null;
+
+/**
+ * Initialize the custom ingredient modal
+ */
+export function initCustomIngredientModal() {
+  titleEl = document.getElementById('customIngredientTitle');
+  nameInput = document.getElementById('customIngredientName');
+  categorySelect = document.getElementById('customIngredientCategory');
+  unitSelect = document.getElementById('customIngredientUnit');
+  aliasesInput = document.getElementById('customIngredientAliases');
+  densityInput = document.getElementById('customIngredientDensity');
+  containsContainer = document.getElementById('customIngredientContains');
+  nutrientInputs = Array.from(document.querySelectorAll('#customIngredientForm [data-nutrient]'));
+  deleteBtn = document.getElementById('customIngredientDelete');
+  if (!nameInput) return;
+
+  document.getElementById('customIngredientForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleSave();
+  });
+  document.getElementById('customIngredientSave')?.addEventListener('click', handleSave);
+  deleteBtn?.addEventListener('click', handleDelete);
+}
+
+/**
+ * Open the modal
+ * @param {Object} options - { ingredientId } to edit, or { name, category } to prefill a new one;
+ *   onSaved(ingredient) is called after a successful save
+ */
+export function openCustomIngredientModal(options = {}) {
+  const ingredient = options.ingredientId && isCustomIngredient(options.ingredientId)
+    ? getIngredientById(options.ingredientId)
+    : null;
+
+  editingId = ingredient?.id || null;
+  onSaved = options.onSaved || null;
+
+  categorySelect.innerHTML = getCategories().map(cat =>
+    `<option value="${cat.id}">${cat.name}</option>`
+  ).join('');
+
+  titleEl.textContent = ingredient ? 'Edit Ingredient' : 'New Ingredient';
+  nameInput.value = ingredient?.name || options.name || '';
+  categorySelect.value = ingredient?.category || options.category || getCategories()[0]?.id || '';
+  unitSelect.value = ingredient?.defaultUnit || 'pieces';
+  aliasesInput.value = ingredient ? ingredient.aliases.join(', ') : '';
+  if (densityInput) densityInput.value = ingredient?.density || '';
+  if (containsContainer) {
+    containsContainer.innerHTML = Object.entries(CONTAINS_TAGS).map(([tag, { label }]) => `
+      <label class="checkbox-label">
+        <input type="checkbox" value="${tag}" ${ingredient?.contains?.includes(tag) ? 'checked' : ''}>
+        <span>${label}</span>
+      </label>
+    `).join('');
+  }
+  nutrientInputs.forEach(input => {
+    const value = ingredient?.nutrition?.per100g?.[input.dataset.nutrient];
+    input.value = value ? value : '';
+  });
+  deleteBtn.style.display = ingredient ? '' : 'none';
+
+  openModal(MODAL_ID);
+  nameInput.focus();
+}
+
+/**
+ * Save the form
+ */
+function handleSave() {
+  const data = {
+    name: nameInput.value,
+    category: categorySelect.value,
+    defaultUnit: unitSelect.value,
+    aliases: aliasesInput.value,
+    density: densityInput?.value ?? null,
+    contains: containsContainer
+      ? Array.from(containsContainer.querySelectorAll('input:checked')).map(input => input.value)
+      : [],
+    nutrition: Object.fromEntries(nutrientInputs.map(input => [input.dataset.nutrient, input.value]))
+  };
+
+  const result = editingId
+    ? updateCustomIngredient(editingId, data)
+    : createCustomIngredient(data);
+
+  if (!result.success) {
+    alert(result.error);
+    return;
+  }
+
+  closeModal(MODAL_ID);
+  onSaved?.(result.ingredient);
+}
+
+/**
+ * Delete the ingredient being edited
+ */
+function handleDelete() {
+  if (!editingId) return;
+
+  const ingredient = getIngredientById(editingId);
+  if (hasPantryItem(editingId)) {
+    alert(`Remove ${ingredient.name} from your pantry before deleting it.`);
+    return;
+  }
+  if (!confirm(`Delete "${ingredient.name}"?`)) return;
+
+  const result = deleteCustomIngredient(editingId);
+  if (!result.success) {
+    alert(result.error);
+    return;
+  }
+
+  closeModal(MODAL_ID);
+}
+
+export default {
+  initCustomIngredientModal,
+  openCustomIngredientModal
+};
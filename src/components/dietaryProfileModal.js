@@ -0,0 +1,64 @@
+/**
+ * Dietary Profile Modal Component
+ * Pick the household's diets and allergies, and whether recipes that break
+ * them are hidden or shown with a warning
+ */
+
+import { openModal } from '../modules/modalManager.js';
+import { DIETS } from '../data/dietaryTags.js';
+import { getDietaryProfile, setDietaryProfile } from '../modules/dietaryProfile.js';
+
+const MODAL_ID = 'dietaryProfileModal';
+
+let dietsContainer = null;
+let modeSelect = null;
+
+/**
+ * Initialize the dietary profile modal
+ */
+export function initDietaryProfileModal() {
+  dietsContainer = document.getElementById('dietaryProfileDiets');
+  modeSelect = document.getElementById('dietaryProfileMode');
+  if (!dietsContainer) return;
+
+  dietsContainer.addEventListener('change', () => {
+    const diets = Array.from(dietsContainer.querySelectorAll('input[type="checkbox"]:checked'))
+      .map(input => input.value);
+    const result = setDietaryProfile({ diets });
+    if (!result.success) alert(result.error);
+  });
+
+  modeSelect?.addEventListener('change', () => {
+    const result = setDietaryProfile({ mode: modeSelect.value });
+    if (!result.success) alert(result.error);
+  });
+}
+
+/**
+ * Open the dietary profile modal
+ */
+export function openDietaryProfileModal() {
+  renderProfile();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Render the diet checkboxes and mode from the saved profile
+ */
+function renderProfile() {
+  const profile = getDietaryProfile();
+
+  dietsContainer.innerHTML = Object.entries(DIETS).map(([id, diet]) => `
+    <label class="checkbox-label">
+      <input type="checkbox" value="${id}" ${profile.diets.includes(id) ? 'checked' : ''}>
+      <span>${diet.icon} ${diet.label}</span>
+    </label>
+  `).join('');
+
+  if (modeSelect) modeSelect.value = profile.mode;
+}
+
+export default {
+  initDietaryProfileModal,
+  openDietaryProfileModal
+};
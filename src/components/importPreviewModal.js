@@ -0,0 +1,289 @@
+/**
+ * Import Preview Modal Component
+ * Shows what a pantry or meal plan import would change and lets the user
+ * accept or reject each change before it is applied
+ */
+
+import { openModal, closeModal } from '../modules/modalManager.js';
+import { getIngredientById } from '../modules/ingredientManager.js';
+import { getRecipeById } from '../modules/recipeManager.js';
+import { diffPantryImport } from '../modules/pantryManager.js';
+import { diffMealPlanImport } from '../modules/mealPlanManager.js';
+import { importPantryCommand, importMealPlanCommand } from '../modules/commands.js';
+
+const MODAL_ID = 'importModal';
+
+const TYPE_LABELS = {
+  add: 'New',
+  change: 'Changed',
+  remove: 'Removed',
+  unknown: 'Unknown'
+};
+
+const FIELD_LABELS = {
+  quantity: 'Quantity',
+  storage: 'Storage',
+  expiresAt: 'Expires',
+  notes: 'Notes',
+  lots: 'Lots',
+  servings: 'Servings',
+  status: 'Status'
+};
+
+// Which importer handles each kind of file
+const IMPORTERS = {
+  pantry: {
+    title: 'Import Pantry',
+    modes: ['merge', 'replace', 'add'],
+    diff: diffPantryImport,
+    apply: importPantryCommand
+  },
+  mealPlan: {
+    title: 'Import Meal Plan',
+    modes: ['merge', 'replace'],
+    diff: diffMealPlanImport,
+    apply: importMealPlanCommand
+  }
+};
+
+let pendingData = null;
+let importer = null;
+let preview = null;
+let rejected = new Set(); // change ids the user unchecked (unit clashes start unchecked)
+
+let changesContainer = null;
+let summaryEl = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = String(str);
+  return div.innerHTML;
+}
+
+/**
+ * Initialize the import preview modal
+ */
+export function initImportPreviewModal() {
+  changesContainer = document.getElementById('importChanges');
+  summaryEl = document.getElementById('importSummary');
+  if (!changesContainer) return;
+
+  document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', refreshPreview);
+  });
+
+  changesContainer.addEventListener('change', (e) => {
+    const checkbox = e.target.closest('[data-change-id]');
+    if (!checkbox) return;
+
+    if (checkbox.checked) {
+      rejected.delete(checkbox.dataset.changeId);
+    } else {
+      rejected.add(checkbox.dataset.changeId);
+    }
+    renderSummary();
+  });
+
+  document.getElementById('importCancel')?.addEventListener('click', () => {
+    pendingData = null;
+    closeModal(MODAL_ID);
+  });
+
+  document.getElementById('importApply')?.addEventListener('click', applyImport);
+}
+
+/**
+ * Read a pantry or meal plan JSON export and open the preview
+ * @param {File} file
+ */
+export async function openImportPreviewModal(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    console.error('Failed to read import file:', error);
+    alert('That file is not a valid export.');
+    return;
+  }
+
+  if (Array.isArray(data?.items)) {
+    importer = IMPORTERS.pantry;
+  } else if (data?.meals && typeof data.meals === 'object') {
+    importer = IMPORTERS.mealPlan;
+  } else {
+    alert('That file is not a pantry or meal plan export.');
+    return;
+  }
+
+  pendingData = data;
+
+  const title = document.getElementById('importModalTitle');
+  if (title) title.textContent = importer.title;
+
+  document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.closest('.import-preview__mode').style.display = importer.modes.includes(radio.value) ? '' : 'none';
+    radio.checked = radio.value === 'merge';
+  });
+
+  refreshPreview();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Currently selected import mode
+ */
+function getMode() {
+  return document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+}
+
+/**
+ * Recompute the diff for the selected mode. Changes whose units can't be
+ * converted start rejected, so the stored unit wins unless the user ticks them.
+ */
+function refreshPreview() {
+  preview = importer.diff(pendingData, getMode());
+  rejected = new Set(preview.success
+    ? preview.changes.filter(change => change.unitConflict).map(change => change.id)
+    : []);
+  renderChanges();
+  renderSummary();
+}
+
+/**
+ * Name shown for a change
+ */
+function describeSubject(change) {
+  if (change.ingredientId) {
+    return getIngredientById(change.ingredientId)?.name || change.ingredientId;
+  }
+
+  const meal = change.incoming || change.current;
+  const recipe = getRecipeById(meal?.recipeId);
+  const title = recipe?.title || meal?.recipeId || 'Unknown recipe';
+  return `${title} · ${change.date}${meal?.mealType ? ` · ${meal.mealType}` : ''}`;
+}
+
+/**
+ * Detail line for a change
+ */
+function describeDetail(change) {
+  if (change.type === 'unknown') {
+    return change.ingredientId
+      ? `Not in the ingredient catalog (${change.ingredientId}) - will be skipped`
+      : `Recipe ${change.incoming?.recipeId || '?'} not found - will be skipped`;
+  }
+
+  if (change.unitConflict) {
+    const { storedQuantity, storedUnit, incomingUnit } = change.unitConflict;
+    return `Can't convert ${incomingUnit} to ${storedUnit} - tick to switch to ${incomingUnit} ` +
+      `(drops the ${storedQuantity} ${storedUnit} on hand), leave unticked to keep ${storedUnit}`;
+  }
+
+  if (change.type === 'change') {
+    return change.fields
+      .map(({ field, from, to }) => `${FIELD_LABELS[field] || field}: ${from ?? '—'} → ${to ?? '—'}`)
+      .join(', ');
+  }
+
+  if (change.type === 'add' && change.incoming?.quantity !== undefined && change.ingredientId) {
+    return `${change.incoming.quantity} ${change.incoming.unit}`;
+  }
+
+  if (change.type === 'remove') {
+    return 'Not in the file - replacing removes it';
+  }
+
+  return '';
+}
+
+/**
+ * Render the list of changes with accept/reject checkboxes
+ */
+function renderChanges() {
+  if (!preview.success) {
+    changesContainer.innerHTML = `<p class="import-preview__empty">${escapeHtml(preview.error)}</p>`;
+    return;
+  }
+
+  if (preview.changes.length === 0) {
+    changesContainer.innerHTML = '<p class="import-preview__empty">Nothing to import - everything already matches.</p>';
+    return;
+  }
+
+  changesContainer.innerHTML = preview.changes.map(change => {
+    const canApply = change.type !== 'unknown';
+    return `
+      <label class="import-preview__change import-preview__change--${change.type}">
+        <input type="checkbox" ${canApply ? `data-change-id="${escapeHtml(change.id)}"` : 'disabled'}
+          ${canApply && !rejected.has(change.id) ? 'checked' : ''}>
+        <span class="import-preview__type">${TYPE_LABELS[change.type]}</span>
+        <span class="import-preview__subject">${escapeHtml(describeSubject(change))}</span>
+        <span class="import-preview__detail">${escapeHtml(describeDetail(change))}</span>
+      </label>
+    `;
+  }).join('');
+}
+
+/**
+ * Change ids that will be applied
+ */
+function getAcceptedIds() {
+  if (!preview?.success) return [];
+  return preview.changes
+    .filter(change => change.type !== 'unknown' && !rejected.has(change.id))
+    .map(change => change.id);
+}
+
+/**
+ * Summarize the diff and selection
+ */
+function renderSummary() {
+  const applyBtn = document.getElementById('importApply');
+  const accepted = getAcceptedIds();
+  if (applyBtn) applyBtn.disabled = accepted.length === 0;
+  if (!summaryEl) return;
+
+  if (!preview?.success) {
+    summaryEl.textContent = '';
+    return;
+  }
+
+  const counts = { add: 0, change: 0, remove: 0, unknown: 0 };
+  preview.changes.forEach(change => counts[change.type]++);
+
+  const parts = [
+    `${counts.add} new`,
+    `${counts.change} changed`,
+    counts.remove ? `${counts.remove} removed` : null,
+    counts.unknown ? `${counts.unknown} unknown` : null,
+    preview.unchanged ? `${preview.unchanged} unchanged` : null
+  ].filter(Boolean);
+
+  summaryEl.textContent = `${parts.join(' · ')} — ${accepted.length} change${accepted.length !== 1 ? 's' : ''} selected`;
+}
+
+/**
+ * Apply the selected changes
+ */
+async function applyImport() {
+  if (!pendingData || !importer) return;
+
+  const result = await importer.apply(pendingData, getMode(), { accept: getAcceptedIds() });
+  if (!result.success) {
+    alert('Import failed: ' + result.error);
+    return;
+  }
+
+  console.log('Import result:', result);
+  pendingData = null;
+  closeModal(MODAL_ID);
+}
+
+export default {
+  initImportPreviewModal,
+  openImportPreviewModal
+};
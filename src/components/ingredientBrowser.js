@@ -6,6 +6,7 @@
 
 import { getIngredientsByCategory, getCategories } from '../modules/ingredientManager.js';
 import { getPantryItems } from '../modules/pantryManager.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
 
 // Track if event listener has been added to avoid duplicates
 const initializedContainers = new WeakSet();
@@ -32,7 +33,7 @@ function createBrowserItem(ingredient, quantity, unit = null) {
   item.innerHTML = `
     <div class="browser-item__content">
       <span class="browser-item__name">${ingredient.name}</span>
-      <span class="browser-item__quantity ${quantity > 0 ? 'browser-item__quantity--visible' : ''}">${quantity > 0 ? 'In pantry: ' + quantity + ' ' + currentUnit : ''}</span>
+      <span class="browser-item__quantity ${quantity > 0 ? 'browser-item__quantity--visible' : ''}">${quantity > 0 ? 'In pantry: ' + formatAmount(quantity, currentUnit, ingredient.id) : ''}</span>
     </div>
     <div class="browser-item__controls">
       <select class="browser-item__unit" data-action="unit">
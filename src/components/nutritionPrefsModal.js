@@ -121,6 +121,20 @@ export function initNutritionPrefsModal(onSave) {
     });
   });
 
+  const unitSystem = document.getElementById('unitSystemSelect');
+  unitSystem?.addEventListener('change', (e) => {
+    updateNutritionPrefs({
+      displaySettings: { unitSystem: e.target.value }
+    });
+  });
+
+  const historyWeight = document.getElementById('historyWeightSelect');
+  historyWeight?.addEventListener('change', (e) => {
+    updateNutritionPrefs({
+      displaySettings: { historyWeight: Number(e.target.value) }
+    });
+  });
+
   // Reset button
   document.getElementById('resetNutritionPrefs')?.addEventListener('click', () => {
     resetToDefaults();
@@ -189,6 +203,12 @@ function loadPrefsIntoUI() {
   const primaryMacro = document.getElementById('primaryMacroSelect');
   if (primaryMacro) primaryMacro.value = prefs.displaySettings.primaryMacro;
 
+  const unitSystem = document.getElementById('unitSystemSelect');
+  if (unitSystem) unitSystem.value = prefs.displaySettings.unitSystem;
+
+  const historyWeight = document.getElementById('historyWeightSelect');
+  if (historyWeight) historyWeight.value = String(prefs.displaySettings.historyWeight);
+
   // Clear preset active states (user may have custom values)
   document.querySelectorAll('.preset-btn').forEach(btn => btn.classList.remove('active'));
 }
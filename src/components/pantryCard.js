@@ -4,6 +4,8 @@
  */
 
 import { getIngredientById, getIngredientIcon } from '../modules/ingredientManager.js';
+import { getUnitLabel } from '../modules/unitRegistry.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
 
 /**
  * Create a pantry card HTML element
@@ -16,8 +18,8 @@ export function createPantryCard(pantryItem, onEdit, onRemove) {
   // Use ingredient's default unit if stored unit is generic "unit"
   const displayUnit = (pantryItem.unit === 'unit' || !pantryItem.unit) ? ingredient.defaultUnit : pantryItem.unit;
   const quantityDisplay = pantryItem.quantity
-    ? `${pantryItem.quantity} ${displayUnit}`
-    : displayUnit;
+    ? formatAmount(pantryItem.quantity, displayUnit, pantryItem.ingredientId)
+    : getUnitLabel(displayUnit);
 
   const card = document.createElement('div');
   card.className = 'pantry-card';
@@ -0,0 +1,156 @@
+/**
+ * Pantry History Modal Component
+ * Lists recorded pantry changes and restores the pantry to a chosen point
+ */
+
+import { openModal, closeModal } from '../modules/modalManager.js';
+import { getIngredientById } from '../modules/ingredientManager.js';
+import {
+  getHistoryEntries,
+  diffWithCurrent,
+  restorePantryToEntry,
+  onPantryHistoryChange
+} from '../modules/pantryHistory.js';
+
+const MODAL_ID = 'pantryHistoryModal';
+
+const ACTION_LABELS = {
+  baseline: 'Starting point',
+  add: 'Added',
+  update: 'Updated',
+  remove: 'Removed',
+  clear: 'Cleared pantry',
+  import: 'Imported',
+  consume: 'Cooked a meal',
+  consumeUndo: 'Undid a cooked meal',
+  restore: 'Restored from history',
+  relocate: 'Moved items out of a deleted location'
+};
+
+let listContainer = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Initialize the pantry history modal
+ */
+export function initPantryHistoryModal() {
+  listContainer = document.getElementById('pantryHistoryList');
+  if (!listContainer) return;
+
+  listContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-restore-entry]');
+    if (!btn) return;
+    handleRestore(btn.dataset.restoreEntry);
+  });
+
+  // Keep the list fresh while the modal is open
+  onPantryHistoryChange(() => {
+    if (document.getElementById(MODAL_ID)?.classList.contains('active')) {
+      renderHistoryList();
+    }
+  });
+}
+
+/**
+ * Open the pantry history modal
+ */
+export function openPantryHistoryModal() {
+  renderHistoryList();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Describe a single history entry
+ */
+function describeEntry(entry) {
+  const label = ACTION_LABELS[entry.action] || entry.action;
+  if (!entry.ingredientId) return label;
+
+  const ingredient = getIngredientById(entry.ingredientId);
+  return `${label} ${ingredient?.name || entry.ingredientId}`;
+}
+
+/**
+ * Render history entries grouped by day, newest first
+ */
+function renderHistoryList() {
+  if (!listContainer) return;
+
+  const entries = getHistoryEntries();
+  if (entries.length === 0) {
+    listContainer.innerHTML = '<p class="pantry-history__empty">No pantry changes recorded yet.</p>';
+    return;
+  }
+
+  let html = '';
+  let currentDay = null;
+
+  entries.forEach((entry, index) => {
+    const at = new Date(entry.at);
+    const day = at.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+
+    if (day !== currentDay) {
+      html += `<div class="pantry-history__day">${day}</div>`;
+      currentDay = day;
+    }
+
+    const time = at.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const isCurrent = index === 0;
+
+    html += `
+      <div class="pantry-history__entry ${isCurrent ? 'pantry-history__entry--current' : ''}">
+        <span class="pantry-history__time">${time}</span>
+        <span class="pantry-history__action">${escapeHtml(describeEntry(entry))}</span>
+        <span class="pantry-history__count">${entry.itemCount} item${entry.itemCount !== 1 ? 's' : ''}</span>
+        ${isCurrent
+          ? '<span class="pantry-history__now">Now</span>'
+          : `<button class="btn btn--secondary btn--small" data-restore-entry="${entry.id}">Restore</button>`}
+      </div>
+    `;
+  });
+
+  listContainer.innerHTML = html;
+}
+
+/**
+ * Confirm and restore the pantry to a history entry
+ */
+function handleRestore(entryId) {
+  const diff = diffWithCurrent(entryId);
+  if (!diff) return;
+
+  const changes = [];
+  if (diff.added.length) changes.push(`${diff.added.length} item${diff.added.length !== 1 ? 's' : ''} brought back`);
+  if (diff.removed.length) changes.push(`${diff.removed.length} item${diff.removed.length !== 1 ? 's' : ''} removed`);
+  if (diff.changed.length) changes.push(`${diff.changed.length} item${diff.changed.length !== 1 ? 's' : ''} changed`);
+
+  if (changes.length === 0) {
+    alert('Your pantry already matches this point in time.');
+    return;
+  }
+
+  if (!confirm(`Restore your pantry to this point?\n\n${changes.join('\n')}\n\nThe restore is recorded in history, so you can undo it.`)) {
+    return;
+  }
+
+  const result = restorePantryToEntry(entryId);
+  if (result.success) {
+    closeModal(MODAL_ID);
+  } else {
+    alert('Failed to restore pantry: ' + result.error);
+  }
+}
+
+export default {
+  initPantryHistoryModal,
+  openPantryHistoryModal
+};
@@ -3,9 +3,24 @@
  * Shared component for rendering pantry items as a categorized list
  */
 
-import { getPantryItems, addPantryItem, removePantryItem } from '../modules/pantryManager.js';
+import { getPantryItems, isItemInLocation } from '../modules/pantryManager.js';
+import { addPantryItemCommand, removePantryItemCommand } from '../modules/commands.js';
 import { getIngredientById } from '../modules/ingredientManager.js';
 import { openModal } from '../modules/modalManager.js';
+import { isLowStock } from '../modules/parLevels.js';
+import { getLocationPath } from '../modules/storageLocations.js';
+import { isKnownUnit } from '../modules/unitRegistry.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
 
 /**
  * Render pantry items to a container
@@ -13,12 +28,26 @@ import { openModal } from '../modules/modalManager.js';
  * @param {Object} options - Rendering options
  * @param {boolean} options.showAddRow - Show "Add New Item" row at bottom
  * @param {string} options.emptyStateAction - Action for empty state button ('modal' or 'data-action')
+ * @param {string} options.storageId - Only show items stored in this location (or nested in it)
  */
 export function renderPantryList(container, options = {}) {
   if (!container) return;
 
-  const { showAddRow = false, emptyStateAction = 'modal' } = options;
-  const items = getPantryItems();
+  const { showAddRow = false, emptyStateAction = 'modal', storageId = null } = options;
+  const allItems = getPantryItems();
+  const items = storageId && storageId !== 'all'
+    ? allItems.filter(item => isItemInLocation(item, storageId))
+    : allItems;
+
+  if (allItems.length > 0 && items.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state" style="grid-column: 1 / -1;">
+        <h3 class="empty-state__title">Nothing stored here</h3>
+        <p class="empty-state__text">No pantry items are in ${escapeHtml(getLocationPath(storageId))}</p>
+      </div>
+    `;
+    return;
+  }
 
   if (items.length === 0) {
     const buttonHtml = emptyStateAction === 'modal'
@@ -69,13 +98,18 @@ export function renderPantryList(container, options = {}) {
 
     categoryItems.forEach(({ item, ingredient }) => {
       const displayUnit = (item.unit === 'unit' || !item.unit) ? ingredient.defaultUnit : item.unit;
-      const isLowStock = item.quantity <= 1;
+      const isLow = isLowStock(item.ingredientId);
+      const unknownUnit = !isKnownUnit(displayUnit);
+      const quantityClasses = [isLow && 'item-card__quantity--low', unknownUnit && 'item-card__quantity--unknown-unit']
+        .filter(Boolean).join(' ');
+      const unitTitle = unknownUnit ? ` title="Unknown unit - this amount can't be converted or compared"` : '';
+      const lotsHtml = `<span class="item-card__lots">${escapeHtml(formatLotSummary(item))}</span>`;
 
       listHTML += `
         <div class="item-card" data-ingredient-id="${item.ingredientId}" data-category="${category}">
           <span class="item-card__name">${ingredient.name}</span>
           <span class="item-card__category">${category}</span>
-          <span class="item-card__quantity ${isLowStock ? 'item-card__quantity--low' : ''}">${item.quantity} ${displayUnit}</span>
+          <span class="item-card__quantity ${quantityClasses}"${unitTitle}>${escapeHtml(formatAmount(item.quantity, displayUnit, item.ingredientId))}${lotsHtml}</span>
           <div class="item-card__actions">
             <button class="qty-btn" data-action="decrease" title="Decrease">−</button>
             <button class="qty-btn" data-action="increase" title="Increase">+</button>
@@ -103,6 +137,23 @@ export function renderPantryList(container, options = {}) {
   container.innerHTML = listHTML;
 }
 
+/**
+ * Summarize an item's lots, e.g. "Freezer › Drawer 2 · 2 lots · exp Oct 21"
+ * @param {Object} item - Pantry item with lots
+ * @returns {string}
+ */
+function formatLotSummary(item) {
+  const parts = [[...new Set(item.lots.map(lot => lot.storage))].map(getLocationPath).join(', ')];
+  if (item.lots.length > 1) {
+    parts.push(`${item.lots.length} lots`);
+  }
+  if (item.expiresAt) {
+    const date = new Date(item.expiresAt + 'T00:00:00');
+    parts.push(`exp ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`);
+  }
+  return parts.join(' · ');
+}
+
 /**
  * Handle pantry list click events (quantity changes, add item)
  * @param {Event} e - Click event
@@ -129,12 +180,12 @@ export function handlePantryListClick(e, container) {
   if (!item) return;
 
   if (e.target.closest('[data-action="increase"]')) {
-    addPantryItem(ingredientId, item.quantity + 1, item.unit, item.location, item.notes);
+    addPantryItemCommand(ingredientId, item.quantity + 1, item.unit, item.storage, item.notes);
   } else if (e.target.closest('[data-action="decrease"]')) {
     if (item.quantity <= 1) {
-      removePantryItem(ingredientId);
+      removePantryItemCommand(ingredientId);
     } else {
-      addPantryItem(ingredientId, item.quantity - 1, item.unit, item.location, item.notes);
+      addPantryItemCommand(ingredientId, item.quantity - 1, item.unit, item.storage, item.notes);
     }
   }
 }
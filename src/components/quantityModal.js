@@ -5,9 +5,16 @@
 
 import { openModal, closeModal } from '../modules/modalManager.js';
 import { getIngredientById, getIngredientIcon } from '../modules/ingredientManager.js';
-import { addPantryItem, updatePantryItemQuantity, getPantryItem } from '../modules/pantryManager.js';
+import { getPantryItem } from '../modules/pantryManager.js';
+import { restockPantryItemCommand } from '../modules/commands.js';
+import { getParLevel, getCustomParLevel, setParLevel } from '../modules/parLevels.js';
+import { DEFAULT_LOCATION_ID, getStorageLocations, isKnownLocation } from '../modules/storageLocations.js';
 import { getPresetsForIngredient } from '../data/commonSizes.js';
 import { getCompatibleUnits, convertQuantity } from '../modules/unitConverter.js';
+import { getUnitLabel } from '../modules/unitRegistry.js';
+import { formatAmount, parseQuantity } from '../modules/quantityFormatter.js';
+import { getUnitSystem } from '../modules/nutritionPrefsManager.js';
+import { resolveRestockUnits } from './unitConflictPrompt.js';
 
 const MODAL_ID = 'quantityModal';
 
@@ -18,6 +25,7 @@ let selectedQuantity = null;
 let selectedUnit = null;
 let originalPresets = []; // Store original presets for unit conversion
 let currentIngredient = null; // Store current ingredient for re-rendering
+let parLevelEdited = false;
 
 // DOM references
 let modalIcon = null;
@@ -27,6 +35,10 @@ let currentStockAmount = null;
 let presetsContainer = null;
 let quantityInput = null;
 let unitSelect = null;
+let expiresInput = null;
+let storageSelect = null;
+let parMinInput = null;
+let parTargetInput = null;
 let submitBtn = null;
 
 /**
@@ -41,6 +53,10 @@ export function initQuantityModal() {
   presetsContainer = document.getElementById('quantityPresets');
   quantityInput = document.getElementById('quantityInput');
   unitSelect = document.getElementById('quantityUnit');
+  expiresInput = document.getElementById('quantityExpires');
+  storageSelect = document.getElementById('quantityStorage');
+  parMinInput = document.getElementById('quantityParMin');
+  parTargetInput = document.getElementById('quantityParTarget');
   submitBtn = document.getElementById('quantitySubmit');
 
   if (!presetsContainer || !quantityInput || !unitSelect || !submitBtn) {
@@ -68,6 +84,8 @@ export function initQuantityModal() {
   // Custom input changes
   quantityInput.addEventListener('input', handleCustomInput);
   unitSelect.addEventListener('change', handleUnitChange);
+  parMinInput?.addEventListener('input', handleParInput);
+  parTargetInput?.addEventListener('input', handleParInput);
 
   // Submit button
   submitBtn.addEventListener('click', handleSubmit);
@@ -106,19 +124,25 @@ export function openQuantityModal(ingredientId, browserItem = null) {
 
   // Reset custom inputs
   quantityInput.value = '';
+  if (expiresInput) expiresInput.value = '';
   submitBtn.disabled = true;
+  renderParLevel(ingredient.defaultUnit);
 
   // Clear any preset selection
   clearPresetSelection();
 
   // Check if item already in pantry and show current stock
   const existingItem = getPantryItem(ingredientId);
+  renderStorageOptions(existingItem?.storage);
   if (existingItem) {
     submitBtn.textContent = 'Update Pantry';
     // Show current stock display
     if (currentStockContainer && currentStockAmount) {
-      const unitDisplay = getUnitDisplayName(existingItem.unit, existingItem.quantity);
-      currentStockAmount.textContent = `${existingItem.quantity} ${unitDisplay}`;
+      const amount = formatAmount(existingItem.quantity, existingItem.unit, ingredientId);
+      const lotCount = existingItem.lots.length;
+      currentStockAmount.textContent = lotCount > 1
+        ? `${amount} (${lotCount} lots)`
+        : amount;
       currentStockContainer.style.display = 'flex';
     }
   } else {
@@ -133,13 +157,83 @@ export function openQuantityModal(ingredientId, browserItem = null) {
   openModal(MODAL_ID);
 }
 
+/**
+ * Fill the storage select, nested locations indented
+ */
+function renderStorageOptions(selectedId) {
+  if (!storageSelect) return;
+
+  storageSelect.innerHTML = '';
+  getStorageLocations().forEach(location => {
+    storageSelect.appendChild(new Option('\u00a0\u00a0'.repeat(location.depth) + location.name, location.id));
+  });
+  storageSelect.value = isKnownLocation(selectedId) ? selectedId : DEFAULT_LOCATION_ID;
+}
+
+/**
+ * Show the ingredient's restock level in the given unit.
+ * User-set levels fill the inputs; defaults only show as placeholders.
+ */
+function renderParLevel(unit) {
+  if (!parMinInput || !parTargetInput) return;
+  parLevelEdited = false;
+
+  const level = getParLevel(currentIngredientId);
+  const inUnit = (value) => {
+    if (!level) return null;
+    const converted = level.unit === unit ? value : convertQuantity(value, level.unit, unit, currentIngredientId);
+    return converted === null ? null : Math.round(converted * 100) / 100;
+  };
+
+  const min = inUnit(level?.min);
+  const target = inUnit(level?.target);
+  const isCustom = Boolean(getCustomParLevel(currentIngredientId));
+
+  parMinInput.value = isCustom && min !== null ? min : '';
+  parTargetInput.value = isCustom && target !== null ? target : '';
+  parMinInput.placeholder = min !== null ? `Minimum (${min})` : 'Minimum';
+  parTargetInput.placeholder = target !== null ? `Target (${target})` : 'Target';
+}
+
+/**
+ * Handle restock level edits
+ */
+function handleParInput() {
+  parLevelEdited = true;
+  submitBtn.disabled = false;
+}
+
+/**
+ * Save an edited restock level; clearing both inputs goes back to the default
+ */
+function saveParLevel() {
+  if (!parLevelEdited || !parMinInput || !parTargetInput) return;
+
+  const min = parseFloat(parMinInput.value);
+  const target = parseFloat(parTargetInput.value);
+
+  if (parMinInput.value === '' && parTargetInput.value === '') {
+    setParLevel(currentIngredientId, null);
+    return;
+  }
+
+  const result = setParLevel(currentIngredientId, {
+    min: Number.isFinite(min) ? min : 0,
+    target: Number.isFinite(target) ? target : min,
+    unit: unitSelect.value
+  });
+  if (!result.success) {
+    alert('Restock level not saved: ' + result.error);
+  }
+}
+
 /**
  * Render preset buttons converted to the specified unit
  */
 function renderPresetsInUnit(targetUnit) {
   const convertedPresets = originalPresets.map(preset => {
     // Try to convert the preset quantity to the target unit
-    const converted = convertQuantity(preset.quantity, preset.unit, targetUnit);
+    const converted = convertQuantity(preset.quantity, preset.unit, targetUnit, currentIngredientId);
 
     if (converted !== null && preset.unit !== targetUnit) {
       // Successfully converted - format the label nicely
@@ -149,6 +243,9 @@ function renderPresetsInUnit(targetUnit) {
         unit: targetUnit,
         label: formattedQty
       };
+    } else if (getUnitSystem() !== 'original') {
+      // Same unit, relabelled in the user's unit system
+      return { ...preset, label: formatQuantityLabel(preset.quantity, preset.unit) };
     } else {
       // Same unit or conversion failed - use original
       return preset;
@@ -191,93 +288,17 @@ function formatQuantityLabel(quantity, unit) {
     displayQty = Math.round(quantity * 100) / 100;
   }
 
-  // Format common fractions nicely
-  const fractionMap = {
-    0.25: '1/4',
-    0.5: '1/2',
-    0.75: '3/4',
-    0.33: '1/3',
-    0.67: '2/3'
-  };
-
-  const decimal = displayQty % 1;
-  const whole = Math.floor(displayQty);
-
-  if (decimal > 0 && fractionMap[Math.round(decimal * 100) / 100]) {
-    const fraction = fractionMap[Math.round(decimal * 100) / 100];
-    if (whole > 0) {
-      return `${whole} ${fraction} ${unit}`;
-    }
-    return `${fraction} ${unit}`;
-  }
-
-  // Unit display names
-  const unitDisplay = {
-    g: 'g',
-    kg: 'kg',
-    oz: 'oz',
-    lb: 'lb',
-    ml: 'ml',
-    l: 'L',
-    tsp: 'tsp',
-    tbsp: 'tbsp',
-    cup: displayQty === 1 ? 'cup' : 'cups',
-    pieces: displayQty === 1 ? 'piece' : 'pieces',
-    cloves: displayQty === 1 ? 'clove' : 'cloves',
-    stalks: displayQty === 1 ? 'stalk' : 'stalks',
-    can: displayQty === 1 ? 'can' : 'cans'
-  };
-
-  return `${displayQty} ${unitDisplay[unit] || unit}`;
-}
-
-/**
- * Get display name for a unit (with plural handling)
- */
-function getUnitDisplayName(unit, quantity) {
-  const unitLabels = {
-    g: 'g',
-    kg: 'kg',
-    oz: 'oz',
-    lb: 'lb',
-    ml: 'ml',
-    l: 'L',
-    tsp: 'tsp',
-    tbsp: 'tbsp',
-    cup: quantity === 1 ? 'cup' : 'cups',
-    pieces: quantity === 1 ? 'piece' : 'pieces',
-    cloves: quantity === 1 ? 'clove' : 'cloves',
-    stalks: quantity === 1 ? 'stalk' : 'stalks',
-    can: quantity === 1 ? 'can' : 'cans'
-  };
-  return unitLabels[unit] || unit;
+  return formatAmount(displayQty, unit, currentIngredientId);
 }
 
 /**
  * Setup the unit dropdown based on ingredient's default unit
  */
 function setupUnitDropdown(ingredient) {
-  const compatibleUnits = getCompatibleUnits(ingredient.defaultUnit);
-
-  // Common display names
-  const unitLabels = {
-    g: 'g',
-    kg: 'kg',
-    oz: 'oz',
-    lb: 'lb',
-    ml: 'ml',
-    l: 'L',
-    tsp: 'tsp',
-    tbsp: 'tbsp',
-    cup: 'cups',
-    pieces: 'pieces',
-    cloves: 'cloves',
-    stalks: 'stalks',
-    can: 'cans'
-  };
+  const compatibleUnits = getCompatibleUnits(ingredient.defaultUnit, ingredient.id);
 
   unitSelect.innerHTML = compatibleUnits.map(unit => {
-    const label = unitLabels[unit] || unit;
+    const label = getUnitLabel(unit);
     const selected = unit === ingredient.defaultUnit ? 'selected' : '';
     return `<option value="${unit}" ${selected}>${label}</option>`;
   }).join('');
@@ -328,6 +349,11 @@ function handleUnitChange() {
   // Re-render presets in the new unit
   renderPresetsInUnit(newUnit);
 
+  // Show the restock level in the new unit (unless the user is editing it)
+  if (!parLevelEdited) {
+    renderParLevel(newUnit);
+  }
+
   // Clear preset selection since values changed
   clearPresetSelection();
 
@@ -339,7 +365,7 @@ function handleUnitChange() {
  * Handle custom input changes
  */
 function handleCustomInput() {
-  const value = parseFloat(quantityInput.value);
+  const value = parseQuantity(quantityInput.value);
 
   if (value > 0) {
     selectedQuantity = value;
@@ -351,8 +377,8 @@ function handleCustomInput() {
     // Enable submit
     submitBtn.disabled = false;
   } else {
-    // Only disable if no preset selected
-    if (!presetsContainer.querySelector('.preset-btn--selected')) {
+    // Only disable if no preset selected and no restock level edit
+    if (!presetsContainer.querySelector('.preset-btn--selected') && !parLevelEdited) {
       submitBtn.disabled = true;
     }
   }
@@ -362,19 +388,25 @@ function handleCustomInput() {
  * Handle form submission
  */
 function handleSubmit() {
-  if (!currentIngredientId || !selectedQuantity || selectedQuantity <= 0) {
+  const hasQuantity = selectedQuantity && selectedQuantity > 0;
+  if (!currentIngredientId || (!hasQuantity && !parLevelEdited)) {
     return;
   }
 
-  const existingItem = getPantryItem(currentIngredientId);
+  let restock = null;
+  if (hasQuantity) {
+    restock = resolveRestockUnits(currentIngredientId, selectedQuantity, selectedUnit);
+    if (!restock) return;
+  }
+
+  saveParLevel();
 
-  if (existingItem) {
-    // Update existing item - add to current quantity
-    const newQuantity = existingItem.quantity + selectedQuantity;
-    updatePantryItemQuantity(currentIngredientId, newQuantity);
-  } else {
-    // Add new item
-    addPantryItem(currentIngredientId, selectedQuantity, selectedUnit, 'pantry', '');
+  if (restock) {
+    // Each purchase is added to what's on hand as its own lot (creates the item if needed)
+    restockPantryItemCommand(currentIngredientId, restock.quantity, restock.unit, {
+      storage: storageSelect?.value || DEFAULT_LOCATION_ID,
+      expiresAt: expiresInput?.value || null
+    }, restock.options);
   }
 
   // Update browser item display if available
@@ -5,13 +5,19 @@
 
 import gsap from 'gsap';
 import { openModal, closeModal } from '../modules/modalManager.js';
-import { getRecipes, searchRecipes, getRecipeById } from '../modules/recipeManager.js';
-import { addMealToDate, checkRecipeAvailability } from '../modules/mealPlanManager.js';
+import { getRecipes, getRecipeById } from '../modules/recipeManager.js';
+import { searchRecipesRanked } from '../modules/ingredientSearch.js';
+import { checkRecipeAvailability } from '../modules/mealPlanManager.js';
+import { getSuggestionsForDate } from '../modules/matchAlgorithm.js';
+import { addMealCommand } from '../modules/commands.js';
 import { getIngredientsMap, getIngredientById } from '../modules/ingredientManager.js';
 import { getPantryItems } from '../modules/pantryManager.js';
-import { calculateRecipeNutrition, formatNutritionBadge } from '../modules/nutritionCalculator.js';
+import { getRecipeNutrition, formatNutritionBadge } from '../modules/nutritionCalculator.js';
 import { getRemainingNutrition, checkRecipeFitsNutrition } from '../modules/nutritionAggregator.js';
 import { isTrackingEnabled } from '../modules/nutritionPrefsManager.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
+import { humanizeQuantity } from '../modules/unitConverter.js';
+import { filterRecipesByProfile, checkRecipeAgainstProfile } from '../modules/dietaryProfile.js';
 
 const MODAL_ID = 'recipeBrowserModal';
 
@@ -71,6 +77,10 @@ let minProteinInput = null;
 let fitsRemainingBtn = null;
 let recipesGrid = null;
 let resultsCount = null;
+let suggestionsContainer = null;
+
+// Suggestions shown above the list while nothing is searched for
+const SUGGESTION_COUNT = 3;
 
 /**
  * Initialize the recipe browser modal
@@ -85,6 +95,7 @@ export function initRecipeBrowserModal(onMealAdded) {
   difficultySelect = document.getElementById('browserDifficultyFilter');
   recipesGrid = document.getElementById('browserRecipesGrid');
   resultsCount = document.getElementById('browserResultsCount');
+  suggestionsContainer = document.getElementById('browserSuggestions');
 
   if (!searchInput || !recipesGrid) {
     console.error('Recipe browser modal elements not found');
@@ -221,12 +232,11 @@ function formatDisplayDate(dateStr) {
  * Get filtered recipes based on current filters
  */
 function getFilteredRecipes() {
-  let recipes = getRecipes();
-  const ingredientsMap = getIngredientsMap();
+  let recipes = filterRecipesByProfile(getRecipes());
 
   // Search filter
   if (currentFilters.search) {
-    recipes = searchRecipes(recipes, currentFilters.search);
+    recipes = searchRecipesRanked(recipes, currentFilters.search);
   }
 
   // Cuisine filter
@@ -250,7 +260,7 @@ function getFilteredRecipes() {
   // Max calories per serving filter
   if (currentFilters.maxCalories) {
     recipes = recipes.filter(r => {
-      const nutrition = calculateRecipeNutrition(r, ingredientsMap);
+      const nutrition = getRecipeNutrition(r);
       if (!nutrition || !nutrition.perServing) return true; // Keep if no data
       return nutrition.perServing.calories <= currentFilters.maxCalories;
     });
@@ -259,7 +269,7 @@ function getFilteredRecipes() {
   // Min protein per serving filter
   if (currentFilters.minProtein) {
     recipes = recipes.filter(r => {
-      const nutrition = calculateRecipeNutrition(r, ingredientsMap);
+      const nutrition = getRecipeNutrition(r);
       if (!nutrition || !nutrition.perServing) return true; // Keep if no data
       return nutrition.perServing.protein >= currentFilters.minProtein;
     });
@@ -276,11 +286,47 @@ function getFilteredRecipes() {
   return recipes;
 }
 
+/**
+ * Render the top suggestions for the selected date and meal type, each with why it's suggested
+ */
+function renderSuggestions() {
+  if (!suggestionsContainer) return;
+
+  const suggestions = selectedDate && !currentFilters.search
+    ? getSuggestionsForDate(selectedDate, { mealType: currentFilters.mealType || null, maxResults: SUGGESTION_COUNT })
+    : [];
+
+  if (suggestions.length === 0) {
+    suggestionsContainer.innerHTML = '';
+    suggestionsContainer.classList.add('hidden');
+    return;
+  }
+
+  suggestionsContainer.innerHTML = `
+    <div class="recipe-browser__suggestions-title">Suggested for you</div>
+    ${suggestions.map(recipe => `
+      <div class="recipe-suggestion" data-recipe-id="${recipe.id}">
+        <span class="recipe-suggestion__title">${escapeHtml(recipe.title)}</span>
+        <span class="recipe-suggestion__why">${escapeHtml(recipe.whyRecommended)}</span>
+      </div>
+    `).join('')}
+  `;
+  suggestionsContainer.classList.remove('hidden');
+
+  suggestionsContainer.querySelectorAll('.recipe-suggestion').forEach(row => {
+    row.addEventListener('click', () => {
+      recipesGrid.querySelectorAll('.recipe-row').forEach(r => r.classList.remove('selected'));
+      showRecipeConfirmation(row.dataset.recipeId);
+    });
+  });
+}
+
 /**
  * Render filtered recipes as clean list rows
  */
 function renderFilteredRecipes() {
   const recipes = getFilteredRecipes();
+  renderSuggestions();
 
   // Update count
   if (resultsCount) {
@@ -321,11 +367,9 @@ function renderFilteredRecipes() {
   }
 
   // Render as clean rows with nutrition info
-  const ingredientsMap = getIngredientsMap();
-
   recipesGrid.innerHTML = recipes.slice(0, 50).map(recipe => {
     const totalTime = recipe.prepTime + recipe.cookTime;
-    const nutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+    const nutrition = getRecipeNutrition(recipe);
 
     // Generate nutrition badge
     let nutritionBadge = '';
@@ -342,9 +386,14 @@ function renderFilteredRecipes() {
       fitsClass = fitCheck.fits ? 'recipe-row--fits' : 'recipe-row--exceeds';
     }
 
+    const { warning } = checkRecipeAgainstProfile(recipe);
+    const warningHtml = warning
+      ? ` <span class="recipe-row__diet-warning" title="${escapeHtml(warning)}">⚠️</span>`
+      : '';
+
     return `
       <div class="recipe-row ${fitsClass}" data-recipe-id="${recipe.id}">
-        <span class="recipe-row__title">${escapeHtml(recipe.title)}</span>
+        <span class="recipe-row__title">${escapeHtml(recipe.title)}${warningHtml}</span>
         <span class="recipe-row__cuisine">${capitalize(recipe.cuisine || 'Other')}</span>
         ${nutritionBadge}
         <span class="recipe-row__time">${totalTime} min</span>
@@ -401,6 +450,14 @@ function showRecipeConfirmation(recipeId) {
   // Render meta info
   renderNutritionBadge(recipe, recipe.servings, nutritionEl);
 
+  // Warn if it breaks the household's dietary needs
+  const dietWarningEl = document.getElementById('confirmDietWarning');
+  if (dietWarningEl) {
+    const { warning } = checkRecipeAgainstProfile(recipe);
+    dietWarningEl.textContent = warning ? `⚠️ ${warning}` : '';
+    dietWarningEl.classList.toggle('hidden', !warning);
+  }
+
   // Render ingredients with availability colors
   renderIngredientList(recipe, recipe.servings, ingredientsEl);
 
@@ -439,8 +496,7 @@ function hideRecipeConfirmation() {
 function renderNutritionBadge(recipe, servings, container) {
   if (!container) return;
 
-  const ingredientsMap = getIngredientsMap();
-  const nutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const nutrition = getRecipeNutrition(recipe);
   const totalTime = recipe.prepTime + recipe.cookTime;
 
   if (!nutrition || !nutrition.perServing) {
@@ -524,7 +580,9 @@ function renderIngredientList(recipe, servings, container) {
     }
 
     // Format quantity
-    const qtyStr = neededQty > 0 ? `${formatQty(neededQty)} ${ing.unit}` : ing.unit;
+    const shown = scaleFactor === 1 ? { quantity: neededQty, unit: ing.unit }
+      : humanizeQuantity(neededQty, ing.unit, ing.ingredientId);
+    const qtyStr = neededQty > 0 ? formatAmount(shown.quantity, shown.unit, ing.ingredientId) : ing.unit;
 
     return `
       <div class="preview-ingredient ${statusClass}">
@@ -548,19 +606,6 @@ function renderIngredientList(recipe, servings, container) {
   `;
 }
 
-/**
- * Format quantity for display
- */
-function formatQty(qty) {
-  if (qty === Math.floor(qty)) return qty.toString();
-  if (Math.abs(qty - 0.25) < 0.01) return '¼';
-  if (Math.abs(qty - 0.5) < 0.01) return '½';
-  if (Math.abs(qty - 0.75) < 0.01) return '¾';
-  if (Math.abs(qty - 0.33) < 0.05) return '⅓';
-  if (Math.abs(qty - 0.67) < 0.05) return '⅔';
-  return qty.toFixed(1);
-}
-
 /**
  * Handle confirm add meal
  */
@@ -572,7 +617,7 @@ function handleConfirmAddMeal() {
 
   if (!recipeId || !selectedDate) return;
 
-  const meal = addMealToDate(selectedDate, recipeId, mealType, servings, '');
+  const meal = addMealCommand(selectedDate, recipeId, mealType, servings, '');
 
   if (meal && onMealAddedCallback) {
     onMealAddedCallback(selectedDate, meal);
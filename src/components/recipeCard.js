@@ -3,8 +3,15 @@
  * Renders recipe cards with match badges and nutrition info
  */
 
-import { calculateRecipeNutrition, formatNutritionBadge, generateNutritionHTML } from '../modules/nutritionCalculator.js';
+import { getRecipeNutrition, formatNutritionBadge, generateNutritionHTML } from '../modules/nutritionCalculator.js';
 import { getIngredientsMap } from '../modules/ingredientManager.js';
+import { calculateMatchScore, describeExpiringUse } from '../modules/matchAlgorithm.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
+import { humanizeQuantity } from '../modules/unitConverter.js';
+import { isStaple } from '../modules/staples.js';
+import { getRecipeFeedback, setRecipeFeedback } from '../modules/recommendations.js';
+import { checkRecipeAgainstProfile, getRecipeDietInfo } from '../modules/dietaryProfile.js';
+import { DIETS } from '../data/dietaryTags.js';
 
 // Callback for adding to meal plan
 let onAddToMealPlanCallback = null;
@@ -16,6 +23,16 @@ export function setAddToMealPlanCallback(callback) {
   onAddToMealPlanCallback = callback;
 }
 
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
 /**
  * Get cuisine emoji
  */
@@ -96,10 +113,35 @@ export function createRecipeCard(recipe, onClick) {
     : '';
 
   // Calculate nutrition
-  const ingredientsMap = getIngredientsMap();
-  const nutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const nutrition = getRecipeNutrition(recipe);
   const nutritionBadge = formatNutritionBadge(nutrition);
 
+  // Expiring pantry items this recipe would use up
+  const expiringText = describeExpiringUse(matchResult?.usesExpiring);
+  const expiringHtml = expiringText
+    ? `<div class="recipe-card__expiring">⏰ ${expiringText}</div>`
+    : '';
+
+  // Ingredients in the pantry, but not enough of them
+  const shortRequired = (matchResult?.short || []).filter(entry => !entry.optional);
+  const shortHtml = shortRequired.length > 0
+    ? `<div class="recipe-card__short">⚖️ Short on ${shortRequired.map(entry =>
+      `${entry.ingredient?.name || entry.ingredientId} (${Math.round(entry.coverage * 100)}%)`).join(', ')}</div>`
+    : '';
+
+  // Ingredients covered by something else on hand
+  const swaps = Object.entries(matchResult?.substitutions || {});
+  const swapsHtml = swaps.length > 0
+    ? `<div class="recipe-card__swaps">↔ Swap ${swaps.map(([ingredientId, substitute]) =>
+      `${escapeHtml(getIngredientsMap().get(ingredientId)?.name || ingredientId)} → ${escapeHtml(substitute.name)}`).join(', ')}</div>`
+    : '';
+
+  // Conflicts with the household's dietary needs (only shown when not hidden)
+  const { warning: dietWarning } = checkRecipeAgainstProfile(recipe);
+  const dietWarningHtml = dietWarning
+    ? `<div class="recipe-card__diet-warning">⚠️ ${escapeHtml(dietWarning)}</div>`
+    : '';
+
   card.innerHTML = `
     <div class="recipe-card__image ${!recipe.imageUrl ? 'recipe-card__image--placeholder' : ''}" style="${imageBackground}">
       ${imagePlaceholder}
@@ -112,6 +154,10 @@ export function createRecipeCard(recipe, onClick) {
       <h3 class="recipe-card__title">${recipe.title}</h3>
       <div class="recipe-card__meta">${totalTime} min · ${capitalize(recipe.difficulty)} · ${recipe.servings} servings</div>
       <div class="recipe-card__nutrition">${nutritionBadge}</div>
+      ${expiringHtml}
+      ${shortHtml}
+      ${swapsHtml}
+      ${dietWarningHtml}
       <span class="recipe-card__cuisine">${getCuisineEmoji(recipe.cuisine)} ${capitalize(recipe.cuisine)}</span>
     </div>
   `;
@@ -148,52 +194,37 @@ export function renderRecipeGrid(recipes, container, onClick) {
   });
 }
 
-/**
- * Format quantity for display (handles fractions)
- */
-function formatQuantity(qty) {
-  if (!qty || qty === 0) return '';
-  if (qty === Math.floor(qty)) return qty.toString();
-
-  // Common fractions
-  if (Math.abs(qty - 0.25) < 0.01) return '¼';
-  if (Math.abs(qty - 0.5) < 0.01) return '½';
-  if (Math.abs(qty - 0.75) < 0.01) return '¾';
-  if (Math.abs(qty - 0.33) < 0.05) return '⅓';
-  if (Math.abs(qty - 0.67) < 0.05) return '⅔';
-  if (Math.abs(qty - 1.5) < 0.01) return '1½';
-  if (Math.abs(qty - 2.5) < 0.01) return '2½';
-
-  // Mixed numbers
-  const whole = Math.floor(qty);
-  const frac = qty - whole;
-  if (whole > 0 && frac > 0.1) {
-    if (Math.abs(frac - 0.25) < 0.05) return `${whole}¼`;
-    if (Math.abs(frac - 0.5) < 0.05) return `${whole}½`;
-    if (Math.abs(frac - 0.75) < 0.05) return `${whole}¾`;
-    if (Math.abs(frac - 0.33) < 0.08) return `${whole}⅓`;
-    if (Math.abs(frac - 0.67) < 0.08) return `${whole}⅔`;
-  }
-
-  // Fall back to decimal
-  return qty % 1 === 0 ? qty.toString() : qty.toFixed(1);
-}
-
 /**
  * Generate ingredients HTML with scaled quantities
  */
 function generateIngredientsHtml(recipe, servings, pantryIds) {
   const ingredientsMap = getIngredientsMap();
   const scaleFactor = servings / recipe.servings;
+  const { coverage, substitutions } = calculateMatchScore(recipe, pantryIds, { servings });
 
   return recipe.ingredients.map(ing => {
-    const hasIt = pantryIds?.has(ing.ingredientId);
-    let statusClass = ing.optional
-      ? 'ingredient-status--optional'
-      : (hasIt ? 'ingredient-status--have' : 'ingredient-status--missing');
-
-    const scaledQty = ing.quantity ? ing.quantity * scaleFactor : 0;
-    const quantityStr = scaledQty ? `${formatQuantity(scaledQty)} ${ing.unit}` : ing.unit;
+    const covered = coverage[ing.ingredientId] || 0;
+    const substitute = substitutions[ing.ingredientId];
+    let statusClass = ing.optional ? 'ingredient-status--optional'
+      : covered >= 1 ? (substitute ? 'ingredient-status--substitute' : 'ingredient-status--have')
+      : covered > 0 ? 'ingredient-status--short'
+      : 'ingredient-status--missing';
+    const statusTitle = isStaple(ing.ingredientId) ? ' title="Always on hand"'
+      : !ing.optional && covered > 0 && covered < 1 ? ` title="You have about ${Math.round(covered * 100)}% of this"`
+      : '';
+
+    // An on-hand stand-in, e.g. "↔ Use 1¼ tbsp Butter instead · Melt first"
+    const substituteHtml = substitute
+      ? `<span class="ingredient-substitute">↔ Use ${substitute.quantity
+        ? formatAmount(substitute.quantity, substitute.unit, substitute.ingredientId) + ' ' : ''}${escapeHtml(substitute.name)} instead${substitute.note
+        ? ` · ${escapeHtml(substitute.note)}` : ''}</span>`
+      : '';
+
+    // Scaled amounts switch to whichever unit reads best; the original is shown as written
+    const scaled = scaleFactor === 1 || !ing.quantity
+      ? { quantity: ing.quantity || 0, unit: ing.unit }
+      : humanizeQuantity(ing.quantity * scaleFactor, ing.unit, ing.ingredientId);
+    const quantityStr = scaled.quantity ? formatAmount(scaled.quantity, scaled.unit, ing.ingredientId) : ing.unit;
     const optionalStr = ing.optional ? ' (optional)' : '';
 
     // Get ingredient name from ingredients map, fallback to ing.name if provided
@@ -202,8 +233,9 @@ function generateIngredientsHtml(recipe, servings, pantryIds) {
 
     return `
       <li>
-        <span class="ingredient-status ${statusClass}"></span>
+        <span class="ingredient-status ${statusClass}"${statusTitle}></span>
         ${quantityStr} ${ingredientName}${optionalStr}
+        ${substituteHtml}
       </li>
     `;
   }).join('');
@@ -213,8 +245,7 @@ function generateIngredientsHtml(recipe, servings, pantryIds) {
  * Generate scaled nutrition HTML
  */
 function generateScaledNutritionHtml(recipe, servings) {
-  const ingredientsMap = getIngredientsMap();
-  const baseNutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const baseNutrition = getRecipeNutrition(recipe);
 
   if (!baseNutrition || !baseNutrition.total) {
     return '<p class="nutrition-unavailable">Nutrition information unavailable</p>';
@@ -256,8 +287,7 @@ export function renderRecipeDetail(recipe, container, pantryIds) {
   let currentServings = recipe.servings;
 
   // Calculate initial nutrition
-  const ingredientsMap = getIngredientsMap();
-  const nutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const nutrition = getRecipeNutrition(recipe);
   const nutritionHtml = generateNutritionHTML(nutrition);
 
   const ingredientsHtml = generateIngredientsHtml(recipe, currentServings, pantryIds);
@@ -266,6 +296,10 @@ export function renderRecipeDetail(recipe, container, pantryIds) {
     .map(inst => `<li>${inst.text}</li>`)
     .join('');
 
+  // Diets the ingredients fit, and any conflict with the household's
+  const dietInfo = getRecipeDietInfo(recipe);
+  const { warning: dietWarning } = checkRecipeAgainstProfile(recipe);
+
   container.innerHTML = `
     <div class="recipe-detail__header">
       <h2 class="recipe-detail__title">${recipe.title}</h2>
@@ -274,6 +308,9 @@ export function renderRecipeDetail(recipe, container, pantryIds) {
         <span>⏱️ ${totalTime} min</span>
         <span>📊 ${capitalize(recipe.difficulty)}</span>
       </div>
+      ${dietInfo.diets.length > 0 ? `<div class="recipe-detail__diets">${dietInfo.diets
+        .map(id => `<span class="recipe-detail__diet">${DIETS[id].icon} ${DIETS[id].label}</span>`).join('')}</div>` : ''}
+      ${dietWarning ? `<div class="recipe-detail__diet-warning">⚠️ ${escapeHtml(dietWarning)}</div>` : ''}
     </div>
 
     <p class="recipe-detail__description">${recipe.description}</p>
@@ -294,7 +331,7 @@ export function renderRecipeDetail(recipe, container, pantryIds) {
     </div>
 
     <div class="recipe-detail__section">
-      <h3>Ingredients (${matchResult?.requiredHave || 0}/${matchResult?.requiredCount || recipe.ingredients.length} available)</h3>
+      <h3>Ingredients (<span id="ingredientsAvailable">${matchResult?.requiredHave || 0}/${matchResult?.requiredCount || recipe.ingredients.length}</span> available)</h3>
       <ul class="recipe-detail__ingredients" id="ingredientsList">
         ${ingredientsHtml}
       </ul>
@@ -311,12 +348,17 @@ export function renderRecipeDetail(recipe, container, pantryIds) {
       <button class="btn btn--primary" id="addToMealPlanBtn">
         <span class="btn__icon">📅</span> Add to Meal Plan
       </button>
+      <div class="recipe-detail__feedback">
+        <button class="btn btn--secondary btn--small" data-feedback="like" title="More like this in suggestions">👍</button>
+        <button class="btn btn--secondary btn--small" data-feedback="dislike" title="Fewer suggestions like this">👎</button>
+      </div>
     </div>
   `;
 
   // Servings adjustment handlers
   const servingsDisplay = container.querySelector('#currentServings');
   const ingredientsList = container.querySelector('#ingredientsList');
+  const availableCount = container.querySelector('#ingredientsAvailable');
   const nutritionContainer = container.querySelector('#nutritionContainer');
   const decreaseBtn = container.querySelector('#decreaseServings');
   const increaseBtn = container.querySelector('#increaseServings');
@@ -326,12 +368,29 @@ export function renderRecipeDetail(recipe, container, pantryIds) {
     currentServings = newServings;
     servingsDisplay.textContent = currentServings;
     ingredientsList.innerHTML = generateIngredientsHtml(recipe, currentServings, pantryIds);
+    const scaledMatch = calculateMatchScore(recipe, pantryIds, { servings: currentServings });
+    if (availableCount) availableCount.textContent = `${scaledMatch.requiredHave}/${scaledMatch.requiredCount}`;
     nutritionContainer.innerHTML = generateScaledNutritionHtml(recipe, currentServings);
   }
 
   decreaseBtn?.addEventListener('click', () => updateServings(currentServings - 1));
   increaseBtn?.addEventListener('click', () => updateServings(currentServings + 1));
 
+  // Like/dislike feed recipe suggestions; clicking the active one clears it
+  const feedbackButtons = container.querySelectorAll('[data-feedback]');
+  const showFeedback = () => {
+    const current = getRecipeFeedback(recipe.id);
+    feedbackButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.feedback === current));
+  };
+  feedbackButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const value = btn.dataset.feedback;
+      setRecipeFeedback(recipe.id, getRecipeFeedback(recipe.id) === value ? null : value);
+      showFeedback();
+    });
+  });
+  showFeedback();
+
   // Add click handler for "Add to Meal Plan" button
   const addBtn = container.querySelector('#addToMealPlanBtn');
   if (addBtn && onAddToMealPlanCallback) {
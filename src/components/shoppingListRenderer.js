@@ -4,6 +4,7 @@
  */
 
 import { CATEGORY_ICONS } from '../data/icons.js';
+import { formatAmount } from '../modules/quantityFormatter.js';
 
 /**
  * Escape HTML special characters
@@ -80,7 +81,7 @@ export function renderListItem(item, options = {}) {
       </div>
       <div class="item-details">
         <span class="item-name">${escapeHtml(item.name)}</span>
-        <span class="item-qty">${item.shortage.toFixed(1)} ${escapeHtml(item.unit)}</span>
+        <span class="item-qty">${escapeHtml(formatAmount(item.shortage, item.unit, item.ingredientId))}</span>
       </div>
       ${recipesHtml}
     </div>
@@ -154,7 +155,7 @@ export function setupCheckboxHandlers(container, checkedItems = null, onToggle =
  */
 export function generatePlainTextList(shoppingList) {
   return shoppingList.map(item =>
-    `- ${item.name}: ${item.shortage.toFixed(1)} ${item.unit}`
+    `- ${item.name}: ${formatAmount(item.shortage, item.unit, item.ingredientId)}`
   ).join('\n');
 }
 
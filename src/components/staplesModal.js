@@ -0,0 +1,95 @@
+/**
+ * Staples Modal Component
+ * Choose the ingredients that are always on hand
+ */
+
+import { openModal } from '../modules/modalManager.js';
+import { getIngredientsMap, getIngredientById } from '../modules/ingredientManager.js';
+import { getStaples, isStaple, setStaple, resetStaples, onStaplesChange } from '../modules/staples.js';
+
+const MODAL_ID = 'staplesModal';
+
+let listContainer = null;
+let ingredientSelect = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Initialize the staples modal
+ */
+export function initStaplesModal() {
+  listContainer = document.getElementById('stapleList');
+  ingredientSelect = document.getElementById('newStapleIngredient');
+  if (!listContainer) return;
+
+  listContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-staple-action="remove"]');
+    if (!btn) return;
+    setStaple(btn.closest('[data-ingredient-id]').dataset.ingredientId, false);
+  });
+
+  document.getElementById('addStapleBtn')?.addEventListener('click', () => {
+    if (!ingredientSelect?.value) return;
+    const result = setStaple(ingredientSelect.value, true);
+    if (!result.success) alert(result.error);
+  });
+
+  document.getElementById('resetStaplesBtn')?.addEventListener('click', () => {
+    if (confirm('Go back to the default staples (salt, black pepper and water)?')) {
+      resetStaples();
+    }
+  });
+
+  onStaplesChange(() => {
+    if (document.getElementById(MODAL_ID)?.classList.contains('active')) {
+      renderStaples();
+    }
+  });
+}
+
+/**
+ * Open the staples modal
+ */
+export function openStaplesModal() {
+  renderStaples();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Render the staples and the picker of ingredients that aren't staples yet
+ */
+function renderStaples() {
+  const staples = getStaples()
+    .map(id => ({ id, name: getIngredientById(id)?.name || id }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  listContainer.innerHTML = staples.length === 0
+    ? '<p class="staples__empty">No staples. Every ingredient has to be in the pantry to count.</p>'
+    : staples.map(staple => `
+      <div class="staple" data-ingredient-id="${staple.id}">
+        <span class="staple__name">${escapeHtml(staple.name)}</span>
+        <button class="btn btn--secondary btn--small" data-staple-action="remove">Remove</button>
+      </div>
+    `).join('');
+
+  if (ingredientSelect) {
+    ingredientSelect.innerHTML = '<option value="">Add an ingredient…</option>' + Array.from(getIngredientsMap().values())
+      .filter(ingredient => !isStaple(ingredient.id))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(ingredient => `<option value="${ingredient.id}">${escapeHtml(ingredient.name)}</option>`)
+      .join('');
+  }
+}
+
+export default {
+  initStaplesModal,
+  openStaplesModal
+};
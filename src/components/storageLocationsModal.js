@@ -0,0 +1,160 @@
+/**
+ * Storage Locations Modal Component
+ * Create, rename, reorder, nest and delete storage locations
+ */
+
+import { openModal } from '../modules/modalManager.js';
+import { getPantryStats } from '../modules/pantryManager.js';
+import {
+  DEFAULT_LOCATION_ID,
+  getStorageLocations,
+  getStorageLocation,
+  getLocationPath,
+  resolveStorageLocation,
+  createStorageLocation,
+  renameStorageLocation,
+  reorderStorageLocation,
+  setStorageLocationParent,
+  deleteStorageLocation,
+  onStorageLocationsChange
+} from '../modules/storageLocations.js';
+
+const MODAL_ID = 'storageLocationsModal';
+
+let listContainer = null;
+let nameInput = null;
+let parentSelect = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Initialize the storage locations modal
+ */
+export function initStorageLocationsModal() {
+  listContainer = document.getElementById('storageLocationList');
+  nameInput = document.getElementById('newLocationName');
+  parentSelect = document.getElementById('newLocationParent');
+  if (!listContainer) return;
+
+  listContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-location-action]');
+    if (!btn) return;
+    handleLocationAction(btn.dataset.locationAction, btn.closest('[data-location-id]').dataset.locationId);
+  });
+
+  document.getElementById('addLocationBtn')?.addEventListener('click', handleCreate);
+  nameInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleCreate();
+  });
+
+  onStorageLocationsChange(() => {
+    if (document.getElementById(MODAL_ID)?.classList.contains('active')) {
+      renderLocations();
+    }
+  });
+}
+
+/**
+ * Open the storage locations modal
+ */
+export function openStorageLocationsModal() {
+  renderLocations();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Render the location tree and the parent picker
+ */
+function renderLocations() {
+  const locations = getStorageLocations();
+  const { byStorage } = getPantryStats();
+
+  listContainer.innerHTML = locations.map(location => `
+    <div class="storage-location" data-location-id="${location.id}" style="padding-left: ${location.depth * 24}px;">
+      <span class="storage-location__name">${location.depth > 0 ? '› ' : ''}${escapeHtml(location.name)}</span>
+      <span class="storage-location__count">${byStorage[location.id] || 0} item${byStorage[location.id] === 1 ? '' : 's'}</span>
+      <div class="storage-location__actions">
+        <button class="btn btn--secondary btn--small" data-location-action="up" title="Move up">↑</button>
+        <button class="btn btn--secondary btn--small" data-location-action="down" title="Move down">↓</button>
+        <button class="btn btn--secondary btn--small" data-location-action="rename">Rename</button>
+        <button class="btn btn--secondary btn--small" data-location-action="move">Move</button>
+        ${location.id === DEFAULT_LOCATION_ID ? '' : '<button class="btn btn--secondary btn--small" data-location-action="delete">Delete</button>'}
+      </div>
+    </div>
+  `).join('');
+
+  if (parentSelect) {
+    parentSelect.innerHTML = '<option value="">Top level</option>' + locations.map(location =>
+      `<option value="${location.id}">Inside ${escapeHtml(location.path)}</option>`
+    ).join('');
+  }
+}
+
+/**
+ * Create a location from the form
+ */
+function handleCreate() {
+  const result = createStorageLocation(nameInput?.value, parentSelect?.value || null);
+  if (!result.success) {
+    alert(result.error);
+    return;
+  }
+  nameInput.value = '';
+}
+
+/**
+ * Handle a row button
+ */
+function handleLocationAction(action, id) {
+  const location = getStorageLocation(id);
+  if (!location) return;
+
+  let result = { success: true };
+
+  switch (action) {
+    case 'up':
+    case 'down':
+      reorderStorageLocation(id, action === 'up' ? -1 : 1);
+      break;
+    case 'rename': {
+      const name = prompt('Rename location:', location.name);
+      if (name === null) return;
+      result = renameStorageLocation(id, name);
+      break;
+    }
+    case 'move': {
+      const target = prompt(`Move "${location.name}" inside which location? Leave empty for the top level.`, '');
+      if (target === null) return;
+      const parentId = target.trim() ? resolveStorageLocation(target) : null;
+      if (target.trim() && !parentId) {
+        alert(`No location called "${target}"`);
+        return;
+      }
+      result = setStorageLocationParent(id, parentId);
+      break;
+    }
+    case 'delete': {
+      const fallback = getLocationPath(location.parentId || DEFAULT_LOCATION_ID);
+      if (!confirm(`Delete "${getLocationPath(id)}" and any locations inside it?\n\nAnything stored there moves to ${fallback}.`)) return;
+      result = deleteStorageLocation(id);
+      break;
+    }
+  }
+
+  if (!result.success) {
+    alert(result.error);
+  }
+}
+
+export default {
+  initStorageLocationsModal,
+  openStorageLocationsModal
+};
@@ -0,0 +1,209 @@
+/**
+ * Substitutions Modal Component
+ * Browse, add, edit and remove ingredient substitution rules
+ */
+
+import { openModal } from '../modules/modalManager.js';
+import { getIngredientsMap, getIngredientById } from '../modules/ingredientManager.js';
+import { formatQuantity, parseQuantity } from '../modules/quantityFormatter.js';
+import { getUnitLabel } from '../modules/unitRegistry.js';
+import {
+  getSubstitutionRules,
+  getSubstitution,
+  createSubstitution,
+  updateSubstitution,
+  deleteSubstitution,
+  restoreBuiltInSubstitutions,
+  onSubstitutionsChange
+} from '../modules/substitutions.js';
+
+const MODAL_ID = 'substitutionsModal';
+
+let listContainer = null;
+let searchInput = null;
+let fromSelect = null;
+let toSelect = null;
+let ratioInput = null;
+let noteInput = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Display name of an ingredient id
+ */
+function ingredientName(id) {
+  return getIngredientById(id)?.name || id;
+}
+
+/**
+ * Initialize the substitutions modal
+ */
+export function initSubstitutionsModal() {
+  listContainer = document.getElementById('substitutionList');
+  searchInput = document.getElementById('substitutionSearch');
+  fromSelect = document.getElementById('newSubstitutionFrom');
+  toSelect = document.getElementById('newSubstitutionTo');
+  ratioInput = document.getElementById('newSubstitutionRatio');
+  noteInput = document.getElementById('newSubstitutionNote');
+  if (!listContainer) return;
+
+  listContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-substitution-action]');
+    if (!btn) return;
+    handleRuleAction(btn.dataset.substitutionAction, btn.closest('[data-substitution-id]').dataset.substitutionId);
+  });
+
+  searchInput?.addEventListener('input', renderRules);
+  document.getElementById('addSubstitutionBtn')?.addEventListener('click', handleCreate);
+  document.getElementById('restoreSubstitutionsBtn')?.addEventListener('click', () => {
+    if (confirm('Bring back removed built-in substitutions and undo your edits to them?\n\nSubstitutions you added are kept.')) {
+      restoreBuiltInSubstitutions();
+    }
+  });
+
+  onSubstitutionsChange(() => {
+    if (document.getElementById(MODAL_ID)?.classList.contains('active')) {
+      renderRules();
+    }
+  });
+}
+
+/**
+ * Open the substitutions modal
+ */
+export function openSubstitutionsModal() {
+  renderIngredientOptions();
+  renderRules();
+  openModal(MODAL_ID);
+}
+
+/**
+ * Fill both ingredient pickers, alphabetically
+ */
+function renderIngredientOptions() {
+  const options = Array.from(getIngredientsMap().values())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(ingredient => `<option value="${ingredient.id}">${escapeHtml(ingredient.name)}</option>`)
+    .join('');
+
+  if (fromSelect) fromSelect.innerHTML = '<option value="">Recipe calls for…</option>' + options;
+  if (toSelect) toSelect.innerHTML = '<option value="">Use instead…</option>' + options;
+}
+
+/**
+ * Describe a rule's amount, e.g. "1 : ¾" or "1 : ⅛ tsp"
+ */
+function describeRatio(rule) {
+  return `1 : ${formatQuantity(rule.ratio)}${rule.unit ? ' ' + getUnitLabel(rule.unit, rule.ratio) : ''}`;
+}
+
+/**
+ * Render the rule list, filtered by the search box
+ */
+function renderRules() {
+  const query = (searchInput?.value || '').trim().toLowerCase();
+  const rules = getSubstitutionRules()
+    .map(rule => ({ ...rule, fromName: ingredientName(rule.from), toName: ingredientName(rule.to) }))
+    .filter(rule => !query
+      || rule.fromName.toLowerCase().includes(query)
+      || rule.toName.toLowerCase().includes(query))
+    .sort((a, b) => a.fromName.localeCompare(b.fromName) || a.toName.localeCompare(b.toName));
+
+  if (rules.length === 0) {
+    listContainer.innerHTML = '<p class="substitutions__empty">No substitutions match.</p>';
+    return;
+  }
+
+  listContainer.innerHTML = rules.map(rule => `
+    <div class="substitution" data-substitution-id="${rule.id}">
+      <div class="substitution__pair">
+        <span class="substitution__name">${escapeHtml(rule.fromName)} → ${escapeHtml(rule.toName)}</span>
+        <span class="substitution__ratio">${describeRatio(rule)}${rule.source === 'custom' ? ' · yours' : rule.edited ? ' · edited' : ''}</span>
+        ${rule.note ? `<span class="substitution__note">${escapeHtml(rule.note)}</span>` : ''}
+      </div>
+      <div class="substitution__actions">
+        <button class="btn btn--secondary btn--small" data-substitution-action="edit">Edit</button>
+        <button class="btn btn--secondary btn--small" data-substitution-action="delete">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Create a rule from the form
+ */
+function handleCreate() {
+  const ratio = parseQuantity(ratioInput?.value || '1');
+  if (ratio === null) {
+    alert('Enter the ratio as a number, e.g. 1 or ¾');
+    return;
+  }
+
+  const result = createSubstitution({
+    from: fromSelect?.value,
+    to: toSelect?.value,
+    ratio,
+    note: noteInput?.value
+  });
+  if (!result.success) {
+    alert(result.error);
+    return;
+  }
+
+  fromSelect.value = '';
+  toSelect.value = '';
+  ratioInput.value = '';
+  noteInput.value = '';
+}
+
+/**
+ * Handle a row button
+ */
+function handleRuleAction(action, id) {
+  const rule = getSubstitution(id);
+  if (!rule) return;
+
+  const pair = `${ingredientName(rule.from)} → ${ingredientName(rule.to)}`;
+  let result = { success: true };
+
+  switch (action) {
+    case 'edit': {
+      const ratioText = prompt(`How much ${ingredientName(rule.to)} replaces 1 ${ingredientName(rule.from)}?`, formatQuantity(rule.ratio));
+      if (ratioText === null) return;
+      const ratio = parseQuantity(ratioText);
+      if (ratio === null) {
+        alert('Enter the ratio as a number, e.g. 1 or ¾');
+        return;
+      }
+      const note = prompt('Note (optional):', rule.note || '');
+      if (note === null) return;
+      result = updateSubstitution(id, { ratio, note });
+      break;
+    }
+    case 'delete': {
+      const message = rule.source === 'custom'
+        ? `Delete the substitution ${pair}?`
+        : `Remove the built-in substitution ${pair}?\n\nYou can bring it back with "Restore built-ins".`;
+      if (!confirm(message)) return;
+      result = deleteSubstitution(id);
+      break;
+    }
+  }
+
+  if (!result.success) {
+    alert(result.error);
+  }
+}
+
+export default {
+  initSubstitutionsModal,
+  openSubstitutionsModal
+};
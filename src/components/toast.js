@@ -0,0 +1,67 @@
+/**
+ * Toast Component
+ * Short-lived notifications with an optional action button (e.g. "Undo")
+ */
+
+const DEFAULT_DURATION = 5000;
+
+let container = null;
+
+/**
+ * Get (or lazily find) the toast container
+ */
+function getContainer() {
+  if (!container) {
+    container = document.getElementById('toastContainer');
+  }
+  return container;
+}
+
+/**
+ * Show a toast
+ * @param {string} message - Text to show
+ * @param {Object} options - { actionLabel, onAction, duration }
+ * @returns {Function} Dismiss function
+ */
+export function showToast(message, options = {}) {
+  const { actionLabel = null, onAction = null, duration = DEFAULT_DURATION } = options;
+  const host = getContainer();
+  if (!host) return () => {};
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+
+  const text = document.createElement('span');
+  text.className = 'toast__message';
+  text.textContent = message;
+  toast.appendChild(text);
+
+  let timeout = null;
+  const dismiss = () => {
+    clearTimeout(timeout);
+    toast.classList.remove('toast--visible');
+    setTimeout(() => toast.remove(), 200);
+  };
+
+  if (actionLabel && onAction) {
+    const btn = document.createElement('button');
+    btn.className = 'toast__action';
+    btn.textContent = actionLabel;
+    btn.addEventListener('click', () => {
+      dismiss();
+      onAction();
+    });
+    toast.appendChild(btn);
+  }
+
+  host.appendChild(toast);
+  requestAnimationFrame(() => toast.classList.add('toast--visible'));
+  timeout = setTimeout(dismiss, duration);
+
+  return dismiss;
+}
+
+export default {
+  showToast
+};
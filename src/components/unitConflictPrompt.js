@@ -0,0 +1,49 @@
+/**
+ * Unit Conflict Prompt
+ * Asks which unit wins when an amount can't be converted into the unit a
+ * pantry item is stored in (e.g. adding grams to eggs counted in pieces)
+ */
+
+import { getIngredientById } from '../modules/ingredientManager.js';
+import { getUnitConflict } from '../modules/pantryManager.js';
+import { parseQuantity } from '../modules/quantityFormatter.js';
+
+/**
+ * Work out how to add an amount to a pantry item, asking the user when the
+ * units can't be converted: switch to the new unit, or keep the stored one
+ * and say how much the amount is in it
+ * @returns {Object|null} { quantity, unit, options } for restockPantryItem, or null if cancelled
+ */
+export function resolveRestockUnits(ingredientId, quantity, unit) {
+  const conflict = getUnitConflict(ingredientId, unit);
+  if (!conflict) {
+    return { quantity, unit, options: {} };
+  }
+
+  const name = getIngredientById(ingredientId)?.name || ingredientId;
+  const { storedQuantity, storedUnit } = conflict;
+
+  const switchUnit = confirm(
+    `${name} is counted in ${storedUnit}, but you're adding ${quantity} ${unit} and the two can't be converted.\n\n` +
+    `OK: switch to ${unit} (drops the ${storedQuantity} ${storedUnit} on hand)\n` +
+    `Cancel: keep ${storedUnit} and enter how many that is (cancel that to add nothing)`
+  );
+
+  if (switchUnit) {
+    return { quantity, unit, options: { replaceIncompatible: true } };
+  }
+
+  const amount = prompt(`How many ${storedUnit} is ${quantity} ${unit}? (e.g. 2, 1 1/2 or ½)`, '');
+  if (amount === null) return null;
+
+  const converted = parseQuantity(amount);
+  if (!(converted > 0)) {
+    alert('Please enter an amount greater than zero.');
+    return null;
+  }
+  return { quantity: converted, unit: storedUnit, options: {} };
+}
+
+export default {
+  resolveRestockUnits
+};
@@ -0,0 +1,41 @@
+/**
+ * Dietary Tags Configuration
+ * What an ingredient can contain (its `contains` list in ingredients.json)
+ * and the diets defined by what they leave out.
+ */
+
+export const CONTAINS_TAGS = {
+  gluten: { label: 'Gluten' },
+  dairy: { label: 'Dairy' },
+  eggs: { label: 'Eggs' },
+  nuts: { label: 'Nuts' },
+  shellfish: { label: 'Shellfish' },
+  fish: { label: 'Fish' },
+  meat: { label: 'Meat' },
+  animal: { label: 'Animal products' }
+};
+
+// Diet id -> the tags a recipe must not contain
+export const DIETS = {
+  vegetarian: { label: 'Vegetarian', icon: '🥕', excludes: ['meat', 'fish', 'shellfish'] },
+  pescatarian: { label: 'Pescatarian', icon: '🐟', excludes: ['meat'] },
+  vegan: { label: 'Vegan', icon: '🌱', excludes: ['animal'] },
+  glutenFree: { label: 'Gluten-free', icon: '🌾', excludes: ['gluten'] },
+  dairyFree: { label: 'Dairy-free', icon: '🥛', excludes: ['dairy'] },
+  eggFree: { label: 'Egg-free', icon: '🥚', excludes: ['eggs'] },
+  nutFree: { label: 'Nut-free', icon: '🥜', excludes: ['nuts'] },
+  shellfishFree: { label: 'Shellfish-free', icon: '🦐', excludes: ['shellfish'] }
+};
+
+/**
+ * Get a diet's definition
+ */
+export function getDiet(dietId) {
+  return DIETS[dietId] || null;
+}
+
+export default {
+  CONTAINS_TAGS,
+  DIETS,
+  getDiet
+};
@@ -0,0 +1,75 @@
+/**
+ * Substitution Knowledge Base
+ * Built-in ingredient swaps. Each rule says a recipe's `from` ingredient can be
+ * replaced by `to`, using `ratio` of it per 1 of `from` in the same unit, or
+ * `ratio` of the rule's `unit` when the two are measured differently (garlic
+ * cloves vs. teaspoons of powder). Rules go one way; a swap that works both
+ * ways is listed twice.
+ */
+
+export const builtInSubstitutions = [
+  // Fats
+  { id: 'sub_oil_butter', from: 'ing_condiment_vegetable_oil', to: 'ing_dairy_butter', ratio: 1.25, note: 'Melt first; butter is about 80% fat' },
+  { id: 'sub_butter_oil', from: 'ing_dairy_butter', to: 'ing_condiment_vegetable_oil', ratio: 0.75, note: 'Not for recipes that cream the butter' },
+  { id: 'sub_butter_olive_oil', from: 'ing_dairy_butter', to: 'ing_condiment_olive_oil', ratio: 0.75, note: 'Best for sautéing, not baking' },
+  { id: 'sub_olive_oil_vegetable_oil', from: 'ing_condiment_olive_oil', to: 'ing_condiment_vegetable_oil', ratio: 1, note: 'Milder flavor' },
+  { id: 'sub_vegetable_oil_olive_oil', from: 'ing_condiment_vegetable_oil', to: 'ing_condiment_olive_oil', ratio: 1, note: 'Stronger flavor; avoid for deep frying' },
+
+  // Dairy
+  { id: 'sub_sour_cream_yogurt', from: 'ing_dairy_sour_cream', to: 'ing_dairy_yogurt', ratio: 1, note: 'Use thick (Greek) yogurt; add off the heat' },
+  { id: 'sub_yogurt_sour_cream', from: 'ing_dairy_yogurt', to: 'ing_dairy_sour_cream', ratio: 1, note: 'Richer and less tangy' },
+  { id: 'sub_cream_milk_butter', from: 'ing_dairy_cream', to: 'ing_dairy_milk', ratio: 1, note: 'Stir in 1 tbsp melted butter per cup; won\'t whip' },
+  { id: 'sub_mayo_yogurt', from: 'ing_condiment_mayo', to: 'ing_dairy_yogurt', ratio: 1, note: 'Tangier and lighter' },
+  { id: 'sub_parmesan_feta', from: 'ing_dairy_parmesan', to: 'ing_dairy_feta', ratio: 1, note: 'Saltier and softer; crumble instead of grating' },
+
+  // Aromatics and herbs
+  { id: 'sub_garlic_garlic_powder', from: 'ing_veg_garlic', to: 'ing_spice_garlic_powder', ratio: 0.125, unit: 'tsp', note: 'Add with the other spices' },
+  { id: 'sub_onion_red_onion', from: 'ing_veg_onion', to: 'ing_veg_red_onion', ratio: 1, note: 'Slightly sweeter' },
+  { id: 'sub_red_onion_onion', from: 'ing_veg_red_onion', to: 'ing_veg_onion', ratio: 1, note: 'Sharper raw; fine when cooked' },
+  { id: 'sub_onion_onion_powder', from: 'ing_veg_onion', to: 'ing_spice_onion_powder', ratio: 1, unit: 'tbsp', note: 'No texture; add more liquid if it looks dry' },
+  { id: 'sub_parsley_cilantro', from: 'ing_intl_parsley', to: 'ing_intl_cilantro', ratio: 1, note: 'Different flavor; works as a garnish' },
+  { id: 'sub_lemon_lime', from: 'ing_fruit_lemon', to: 'ing_fruit_lime', ratio: 1, note: 'Slightly more bitter' },
+  { id: 'sub_lime_lemon', from: 'ing_fruit_lime', to: 'ing_fruit_lemon', ratio: 1, note: 'Slightly sweeter' },
+
+  // Pantry staples
+  { id: 'sub_chicken_broth_beef_broth', from: 'ing_canned_chicken_broth', to: 'ing_canned_beef_broth', ratio: 1, note: 'Darker and richer' },
+  { id: 'sub_beef_broth_chicken_broth', from: 'ing_canned_beef_broth', to: 'ing_canned_chicken_broth', ratio: 1, note: 'Lighter flavor' },
+  { id: 'sub_brown_sugar_sugar', from: 'ing_baking_brown_sugar', to: 'ing_baking_sugar', ratio: 1, note: 'Less moist; add a little honey if you have it' },
+  { id: 'sub_sugar_honey', from: 'ing_baking_sugar', to: 'ing_condiment_honey', ratio: 0.75, note: 'Cut other liquids slightly' },
+  { id: 'sub_breadcrumbs_baking_breadcrumbs', from: 'ing_grain_breadcrumbs', to: 'ing_baking_breadcrumbs', ratio: 1, note: 'Same thing, stored elsewhere' },
+  { id: 'sub_baking_breadcrumbs_breadcrumbs', from: 'ing_baking_breadcrumbs', to: 'ing_grain_breadcrumbs', ratio: 1, note: 'Same thing, stored elsewhere' },
+  { id: 'sub_marinara_canned_marinara', from: 'ing_condiment_marinara', to: 'ing_canned_marinara', ratio: 1, note: 'Same sauce' },
+  { id: 'sub_canned_marinara_marinara', from: 'ing_canned_marinara', to: 'ing_condiment_marinara', ratio: 1, note: 'Same sauce' },
+  { id: 'sub_tomato_sauce_canned_tomatoes', from: 'ing_canned_tomato_sauce', to: 'ing_canned_tomatoes', ratio: 1, note: 'Blend smooth first' },
+  { id: 'sub_white_wine_chicken_broth', from: 'ing_bev_white_wine', to: 'ing_canned_chicken_broth', ratio: 1, note: 'Add a splash of vinegar for acidity' },
+  { id: 'sub_red_wine_vinegar_vinegar', from: 'ing_condiment_red_wine_vinegar', to: 'ing_condiment_vinegar', ratio: 1, note: 'Sharper' },
+  { id: 'sub_rice_vinegar_vinegar', from: 'ing_intl_rice_vinegar', to: 'ing_condiment_vinegar', ratio: 0.75, note: 'Add a pinch of sugar' },
+
+  // Proteins and grains
+  { id: 'sub_chicken_breast_thighs', from: 'ing_protein_chicken_breast', to: 'ing_protein_chicken_thighs', ratio: 1, note: 'Juicier; cook a few minutes longer' },
+  { id: 'sub_chicken_thighs_breast', from: 'ing_protein_chicken_thighs', to: 'ing_protein_chicken_breast', ratio: 1, note: 'Leaner; watch it doesn\'t dry out' },
+  { id: 'sub_tilapia_white_fish', from: 'ing_protein_tilapia', to: 'ing_protein_white_fish', ratio: 1, note: 'Any mild white fish works' },
+  { id: 'sub_white_fish_tilapia', from: 'ing_protein_white_fish', to: 'ing_protein_tilapia', ratio: 1, note: '' },
+  { id: 'sub_spaghetti_linguine', from: 'ing_grain_pasta_spaghetti', to: 'ing_grain_pasta_linguine', ratio: 1, note: '' },
+  { id: 'sub_linguine_spaghetti', from: 'ing_grain_pasta_linguine', to: 'ing_grain_pasta_spaghetti', ratio: 1, note: '' },
+  { id: 'sub_fettuccine_linguine', from: 'ing_grain_pasta_fettuccine', to: 'ing_grain_pasta_linguine', ratio: 1, note: '' },
+  { id: 'sub_penne_macaroni', from: 'ing_grain_pasta_penne', to: 'ing_grain_pasta_macaroni', ratio: 1, note: '' },
+  { id: 'sub_tortilla_intl_tortillas', from: 'ing_grain_tortilla', to: 'ing_intl_tortillas', ratio: 1, note: 'Same thing, stored elsewhere' },
+  { id: 'sub_intl_tortillas_tortilla', from: 'ing_intl_tortillas', to: 'ing_grain_tortilla', ratio: 1, note: 'Same thing, stored elsewhere' },
+  { id: 'sub_frozen_peas_peas', from: 'ing_frozen_peas', to: 'ing_veg_peas', ratio: 1, note: '' },
+  { id: 'sub_peas_frozen_peas', from: 'ing_veg_peas', to: 'ing_frozen_peas', ratio: 1, note: '' },
+  { id: 'sub_corn_frozen_corn', from: 'ing_veg_corn', to: 'ing_frozen_corn', ratio: 1, note: '' },
+  { id: 'sub_frozen_corn_corn', from: 'ing_frozen_corn', to: 'ing_veg_corn', ratio: 1, note: '' }
+];
+
+/**
+ * Get a built-in rule by id
+ */
+export function getBuiltInSubstitution(id) {
+  return builtInSubstitutions.find(rule => rule.id === id) || null;
+}
+
+export default {
+  builtInSubstitutions,
+  getBuiltInSubstitution
+};
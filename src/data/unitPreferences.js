@@ -0,0 +1,31 @@
+/**
+ * Unit Preferences Configuration
+ * Which units humanized quantities may be shown in, by category
+ */
+
+// Smallest amount of a unit worth switching up to (¼ cup reads better than
+// 4 tbsp, but 3 tbsp reads better than 0.19 cup). Units not listed need 1.
+export const readableMinimums = {
+  cup: 0.25
+};
+
+// Units a category's quantities are never shown in
+export const categoryUnitPreferences = {
+  spices: { exclude: ['cup', 'l', 'kg', 'lb'] },
+  default: { exclude: [] }
+};
+
+/**
+ * Get the unit preferences for an ingredient category
+ * @param {string} category - The ingredient's category
+ * @returns {{exclude: string[]}}
+ */
+export function getUnitPreferences(category) {
+  return categoryUnitPreferences[category] || categoryUnitPreferences.default;
+}
+
+export default {
+  readableMinimums,
+  categoryUnitPreferences,
+  getUnitPreferences
+};
@@ -14,19 +14,17 @@ import { initSyncOrchestrator } from './services/syncOrchestrator.js';
 import { initProfileSection, navigateToProfile } from './components/profileSection.js';
 
 // Import pantry modules
-import { loadIngredients, getCategories, getCategoryIcon, getIngredientById, getIngredientsByCategory, searchIngredients } from './modules/ingredientManager.js';
+import { loadIngredients, getCategories, getCategoryIcon, getIngredientById, getIngredientsByCategory, isCustomIngredient, onCustomIngredientsChange } from './modules/ingredientManager.js';
 import { CATEGORY_ICONS } from './data/icons.js';
 import {
   initPantry,
   onPantryChange,
   getPantryItems,
-  addPantryItem,
-  updatePantryQuantity,
-  removePantryItem,
+  getPantryItem,
   downloadPantryJson,
-  importPantryFromFile,
   getPantryStats,
-  getPantryIngredientIds
+  getPantryIngredientIds,
+  getExpiringItems
 } from './modules/pantryManager.js';
 import { openModal, closeModal } from './modules/modalManager.js';
 import { initAutocomplete, clearAutocomplete } from './components/autocomplete.js';
@@ -34,10 +32,32 @@ import { renderPantryGrid, filterPantryCards } from './components/pantryCard.js'
 import { renderIngredientBrowser, getCategoryDisplayName } from './components/ingredientBrowser.js';
 import { renderPantryList, handlePantryListClick, filterPantryList } from './components/pantryListRenderer.js';
 import { renderShoppingListHtml, renderEmptyState, setupCheckboxHandlers, generatePlainTextList } from './components/shoppingListRenderer.js';
+import { initPantryHistory, onPantryHistoryChange } from './modules/pantryHistory.js';
+import { initParLevels, onParLevelChange, getLowStockItems } from './modules/parLevels.js';
+import { initStorageLocations, getStorageLocations, onStorageLocationsChange, isKnownLocation } from './modules/storageLocations.js';
+import { initPantryHistoryModal, openPantryHistoryModal } from './components/pantryHistoryModal.js';
+import { initStorageLocationsModal, openStorageLocationsModal } from './components/storageLocationsModal.js';
+import { initSubstitutions, onSubstitutionsChange } from './modules/substitutions.js';
+import { initSubstitutionsModal, openSubstitutionsModal } from './components/substitutionsModal.js';
+import { initStaples, onStaplesChange } from './modules/staples.js';
+import { initRecommendations } from './modules/recommendations.js';
+import { initStaplesModal, openStaplesModal } from './components/staplesModal.js';
+import { initDietaryProfile, onDietaryProfileChange, filterRecipesByProfile } from './modules/dietaryProfile.js';
+import { initDietaryProfileModal, openDietaryProfileModal } from './components/dietaryProfileModal.js';
+import { DIETS } from './data/dietaryTags.js';
+import { initCustomIngredientModal, openCustomIngredientModal } from './components/customIngredientModal.js';
+import { initCsvImportModal, openCsvImportModal } from './components/csvImportModal.js';
+import { initImportPreviewModal, openImportPreviewModal } from './components/importPreviewModal.js';
+import { downloadPantryCsv } from './modules/pantryCsv.js';
+import { convertQuantity } from './modules/unitConverter.js';
+import { formatAmount } from './modules/quantityFormatter.js';
+import { resolveRestockUnits } from './components/unitConflictPrompt.js';
 
 // Import recipe modules
 import { loadRecipes, getRecipes, getRecipeById, applyFilters, getUniqueCuisines } from './modules/recipeManager.js';
-import { getMatchedRecipes, filterByMatchType, countMakeableRecipes } from './modules/matchAlgorithm.js';
+import { getMatchedRecipes, filterByMatchType, countMakeableRecipes, getUnlockSuggestions, USE_SOON_DAYS, initMatchCache } from './modules/matchAlgorithm.js';
+import { initNutritionCache } from './modules/nutritionCalculator.js';
+import { searchIngredientsRanked } from './modules/ingredientSearch.js';
 import { renderRecipeGrid, renderRecipeDetail, setAddToMealPlanCallback } from './components/recipeCard.js';
 
 // Import meal planner modules
@@ -47,8 +67,6 @@ import {
   getMealsForWeek,
   getMealsForDate,
   getMealPlanStats,
-  removeMeal,
-  clearWeek,
   getShoppingList,
   getWeekStart,
   formatDate,
@@ -57,17 +75,28 @@ import {
   parseDate,
   MEAL_STATUS,
   markMealAsEaten,
+  getConsumptionEntry,
   dismissMeal,
-  moveMeal,
   undoMealStatus
 } from './modules/mealPlanManager.js';
+import {
+  addPantryItemCommand,
+  restockPantryItemCommand,
+  removePantryItemCommand,
+  removeMealCommand,
+  moveMealCommand,
+  clearWeekCommand,
+  restockToTargetCommand
+} from './modules/commands.js';
+import { undo, redo, onUndoChange } from './modules/undoManager.js';
+import { showToast } from './components/toast.js';
 import { renderWeekView, navigateWeek, goToCurrentWeek, formatWeekTitle } from './components/calendarView.js';
 import { initAddMealModal, openAddMealModal } from './components/addMealModal.js';
 import { initRecipeBrowserModal, openRecipeBrowserModal } from './components/recipeBrowserModal.js';
 import { initQuantityModal } from './components/quantityModal.js';
 
 // Import nutrition modules
-import { initNutritionPrefs, isTrackingEnabled, getAllDailyGoals } from './modules/nutritionPrefsManager.js';
+import { initNutritionPrefs, isTrackingEnabled, getAllDailyGoals, getUnitSystem, onNutritionPrefsChange } from './modules/nutritionPrefsManager.js';
 import { calculateWeekNutrition, calculateWeekActualNutrition, calculateActualDayNutrition } from './modules/nutritionAggregator.js';
 import { initNutritionPrefsModal } from './components/nutritionPrefsModal.js';
 import { initNutritionWidget, renderWidget as renderNutritionWidget } from './components/nutritionWidget.js';
@@ -78,6 +107,7 @@ let currentFilters = {
   search: '',
   difficulty: 'all',
   cuisine: 'all',
+  diet: 'all',
   matchType: 'all'
 };
 let selectedIngredient = null;
@@ -103,6 +133,8 @@ function initPantryUI() {
   const browserGrid = document.getElementById('browserGrid');
   const pantryGrid = document.getElementById('pantryGrid');
   const pantryTabs = document.getElementById('pantryTabs');
+  const storageFilter = document.getElementById('pantryStorageFilter');
+  let currentStorageId = 'all';
 
   // Render pantry items as clean list
   function renderPantryCards() {
@@ -138,9 +170,37 @@ function initPantryUI() {
 
   // Render to Pantry view grid as well
   function renderPantryViewGrid() {
-    renderPantryList(pantryGrid, { showAddRow: false, emptyStateAction: 'data-action' });
+    renderPantryList(pantryGrid, {
+      showAddRow: false,
+      emptyStateAction: 'data-action',
+      storageId: currentStorageId === 'all' ? null : currentStorageId
+    });
+
+    // Keep the selected category tab applied after re-rendering
+    const category = pantryTabs?.querySelector('.pantry-tab.active')?.dataset.category || 'all';
+    filterPantryList(pantryGrid, category);
+  }
+
+  // Fill the storage filter with the user's locations, nested ones indented
+  function renderStorageFilter() {
+    if (!storageFilter) return;
+
+    if (currentStorageId !== 'all' && !isKnownLocation(currentStorageId)) {
+      currentStorageId = 'all';
+    }
+
+    storageFilter.innerHTML = '<option value="all">All locations</option>' +
+      getStorageLocations().map(location =>
+        `<option value="${location.id}">${'\u00a0\u00a0'.repeat(location.depth)}${escapeHtml(location.name)}</option>`
+      ).join('');
+    storageFilter.value = currentStorageId;
   }
 
+  storageFilter?.addEventListener('change', () => {
+    currentStorageId = storageFilter.value;
+    renderPantryViewGrid();
+  });
+
   // Handle pantry view grid clicks
   pantryGrid?.addEventListener('click', (e) => handlePantryListClick(e, pantryGrid));
 
@@ -186,6 +246,21 @@ function initPantryUI() {
       case 'import':
         document.getElementById('importFileInput')?.click();
         break;
+      case 'export-csv':
+        downloadPantryCsv();
+        break;
+      case 'history':
+        openPantryHistoryModal();
+        break;
+      case 'locations':
+        openStorageLocationsModal();
+        break;
+      case 'substitutions':
+        openSubstitutionsModal();
+        break;
+      case 'staples':
+        openStaplesModal();
+        break;
     }
   });
 
@@ -198,6 +273,7 @@ function initPantryUI() {
   }
 
   // Initial render
+  renderStorageFilter();
   updatePantryUI();
 
   // Listen for pantry changes
@@ -205,6 +281,17 @@ function initPantryUI() {
     updatePantryUI();
   });
 
+  // Low-stock markers and counts follow par levels too
+  onParLevelChange(() => {
+    updatePantryUI();
+  });
+
+  // Location names, order and nesting show in the filter and on each item
+  onStorageLocationsChange(() => {
+    renderStorageFilter();
+    updatePantryUI();
+  });
+
   // Return update function for other modules to use
   return updatePantryUI;
 }
@@ -214,7 +301,7 @@ function initPantryUI() {
  */
 function updatePantryStats() {
   const stats = getPantryStats();
-  const makeableCount = countMakeableRecipes(allRecipes);
+  const makeableCount = countMakeableRecipes(getVisibleRecipes());
 
   const statTotal = document.getElementById('statTotal');
   const statRecipes = document.getElementById('statRecipes');
@@ -223,11 +310,8 @@ function updatePantryStats() {
 
   if (statTotal) statTotal.textContent = stats.totalItems;
   if (statRecipes) statRecipes.textContent = makeableCount;
-  if (statExpiring) statExpiring.textContent = '0'; // Placeholder
-  if (statLowStock) {
-    const lowStockCount = getPantryItems().filter(item => item.quantity <= 1).length;
-    statLowStock.textContent = lowStockCount;
-  }
+  if (statExpiring) statExpiring.textContent = getExpiringItems(USE_SOON_DAYS).length;
+  if (statLowStock) statLowStock.textContent = getLowStockItems().length;
 
   // Also update dashboard preview cards
   updateDashboardPreviews();
@@ -333,18 +417,18 @@ function updateRecipePreview() {
   const previewEl = document.getElementById('dashRecipePreview');
   if (!previewEl) return;
 
-  const makeableCount = countMakeableRecipes(allRecipes);
+  const makeableCount = countMakeableRecipes(getVisibleRecipes());
 
   if (countEl) countEl.textContent = `${makeableCount} can make`;
 
-  if (allRecipes.length === 0) {
+  if (getVisibleRecipes().length === 0) {
     previewEl.innerHTML = '<div class="preview-card__empty">No recipes loaded</div>';
     return;
   }
 
   // Get makeable recipes
   const pantryIds = getPantryIngredientIds();
-  const makeableRecipes = allRecipes.filter(recipe => {
+  const makeableRecipes = getVisibleRecipes().filter(recipe => {
     if (!recipe.ingredients) return false;
     return recipe.ingredients.every(ing => pantryIds.has(ing.ingredientId));
   }).slice(0, 3);
@@ -474,6 +558,7 @@ function initAddIngredientModal() {
   const selectionPanel = document.getElementById('ingredientSelectionPanel');
   const selectionIcon = document.getElementById('selectionIcon');
   const selectionName = document.getElementById('selectionName');
+  const newCustomBtn = document.getElementById('newCustomIngredientBtn');
 
   let currentCategory = null;
   let searchDebounce = null;
@@ -498,9 +583,11 @@ function initAddIngredientModal() {
     const pantryItems = getPantryItems();
 
     if (ingredients.length === 0) {
+      const query = searchInput.value.trim();
       ingredientGrid.innerHTML = `
         <div class="ingredient-browser__empty" style="width: 100%; padding: 48px; text-align: center;">
           <p>No ingredients found</p>
+          ${query ? `<button class="btn btn--secondary btn--small" data-action="create-custom">Create "${escapeHtml(query)}"</button>` : ''}
         </div>
       `;
       return;
@@ -517,6 +604,7 @@ function initAddIngredientModal() {
              data-ingredient-id="${ing.id}" data-default-unit="${ing.defaultUnit || 'pieces'}">
           <div class="browser-item__content">
             <span class="browser-item__name">${escapeHtml(ing.name)}</span>
+            ${isCustomIngredient(ing.id) ? '<button class="browser-item__edit" data-action="edit-custom" title="Edit your ingredient">Custom · Edit</button>' : ''}
             <span class="browser-item__quantity ${inPantry ? 'browser-item__quantity--visible' : ''}">${inPantry ? 'In pantry: ' + currentQty + ' ' + currentUnit : ''}</span>
           </div>
           <div class="browser-item__controls">
@@ -579,8 +667,47 @@ function initAddIngredientModal() {
     loadCategoryIngredients(categoryId);
   });
 
+  // Show a newly created ingredient so it can be added straight away
+  function showCustomIngredient(ingredient) {
+    searchInput.value = ingredient.name;
+    categoryTabsContainer.querySelectorAll('.category-tab').forEach(t => t.classList.remove('active'));
+    renderIngredientsGrid(searchIngredientsRanked(ingredient.name, 50));
+  }
+
+  function openNewCustomIngredient() {
+    openCustomIngredientModal({
+      name: searchInput.value.trim(),
+      category: currentCategory !== 'all' ? currentCategory : null,
+      onSaved: showCustomIngredient
+    });
+  }
+
+  newCustomBtn?.addEventListener('click', openNewCustomIngredient);
+
+  // Keep the list current when custom ingredients are edited or deleted
+  onCustomIngredientsChange(({ action }) => {
+    if (action === 'create') return;
+    const query = searchInput.value.trim();
+    if (query) {
+      renderIngredientsGrid(searchIngredientsRanked(query, 50));
+    } else {
+      loadCategoryIngredients(currentCategory || 'all');
+    }
+  });
+
   // Handle ingredient row click - +/- buttons and unit changes
   ingredientGrid?.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="create-custom"]')) {
+      openNewCustomIngredient();
+      return;
+    }
+
+    const editBtn = e.target.closest('[data-action="edit-custom"]');
+    if (editBtn) {
+      openCustomIngredientModal({ ingredientId: editBtn.closest('.browser-item').dataset.ingredientId });
+      return;
+    }
+
     const btn = e.target.closest('.browser-item__btn');
     const row = e.target.closest('.browser-item');
     if (!row) return;
@@ -597,37 +724,30 @@ function initAddIngredientModal() {
       const qtyDisplay = row.querySelector('.browser-item__qty-display');
       const quantityLabel = row.querySelector('.browser-item__quantity');
       const unit = unitSelect?.value || 'pieces';
-
-      let currentQty = parseInt(qtyDisplay.textContent) || 0;
+      const existingItem = getPantryItem(ingredientId);
 
       if (action === 'increase') {
-        currentQty += 1;
-      } else if (action === 'decrease' && currentQty > 0) {
-        currentQty -= 1;
-      }
-
-      // Update display
-      qtyDisplay.textContent = currentQty;
-
-      // Update pantry
-      if (currentQty > 0) {
-        // Add or update pantry item
-        const existingItem = getPantryItems().find(p => p.ingredientId === ingredientId);
-        if (existingItem) {
-          updatePantryQuantity(ingredientId, currentQty);
+        // One more of the selected unit, added onto what's stored
+        const restock = resolveRestockUnits(ingredientId, 1, unit);
+        if (!restock) return;
+        restockPantryItemCommand(ingredientId, restock.quantity, restock.unit, {}, restock.options);
+      } else if (action === 'decrease' && existingItem) {
+        // One less of the selected unit, or of the stored unit if they don't convert
+        const step = (unit === existingItem.unit ? 1 : convertQuantity(1, unit, existingItem.unit, ingredientId)) ?? 1;
+        const remaining = Math.round((existingItem.quantity - step) * 1000) / 1000;
+        if (remaining > 0) {
+          addPantryItemCommand(ingredientId, remaining, existingItem.unit, null, existingItem.notes);
         } else {
-          addPantryItem(ingredientId, currentQty, unit, 'pantry', '');
+          removePantryItemCommand(ingredientId);
         }
-        row.classList.add('browser-item--in-pantry');
-        quantityLabel.classList.add('browser-item__quantity--visible');
-        quantityLabel.textContent = `In pantry: ${currentQty} ${unit}`;
-      } else {
-        // Remove from pantry
-        removePantryItem(ingredientId);
-        row.classList.remove('browser-item--in-pantry');
-        quantityLabel.classList.remove('browser-item__quantity--visible');
-        quantityLabel.textContent = '';
       }
+
+      // Update display from what's now stored
+      const updatedItem = getPantryItem(ingredientId);
+      qtyDisplay.textContent = updatedItem ? updatedItem.quantity : 0;
+      row.classList.toggle('browser-item--in-pantry', !!updatedItem);
+      quantityLabel.classList.toggle('browser-item__quantity--visible', !!updatedItem);
+      quantityLabel.textContent = updatedItem ? `In pantry: ${formatAmount(updatedItem.quantity, updatedItem.unit, ingredientId)}` : '';
       return;
     }
   });
@@ -643,17 +763,19 @@ function initAddIngredientModal() {
     const newUnit = e.target.value;
     const qtyDisplay = row.querySelector('.browser-item__qty-display');
     const quantityLabel = row.querySelector('.browser-item__quantity');
-    const currentQty = parseInt(qtyDisplay.textContent) || 0;
-
-    // Update pantry item unit if it exists
-    if (currentQty > 0) {
-      const pantryItem = getPantryItems().find(p => p.ingredientId === ingredientId);
-      if (pantryItem) {
-        // Update the unit by removing and re-adding
-        removePantryItem(ingredientId);
-        addPantryItem(ingredientId, currentQty, newUnit, 'pantry', '');
-        quantityLabel.textContent = `In pantry: ${currentQty} ${newUnit}`;
-      }
+    const pantryItem = getPantryItem(ingredientId);
+    if (!pantryItem || pantryItem.unit === newUnit) return;
+
+    // Count what's stored in the new unit, keeping the same amount of stock.
+    // Units that don't convert leave the stock as is; the +/- buttons then
+    // step in the selected unit (asking before switching units on +).
+    const converted = convertQuantity(pantryItem.quantity, pantryItem.unit, newUnit, ingredientId);
+    if (converted === null) return;
+
+    const updatedItem = addPantryItemCommand(ingredientId, converted, newUnit, null, pantryItem.notes);
+    if (updatedItem) {
+      qtyDisplay.textContent = updatedItem.quantity;
+      quantityLabel.textContent = `In pantry: ${formatAmount(updatedItem.quantity, updatedItem.unit, ingredientId)}`;
     }
   });
 
@@ -663,14 +785,14 @@ function initAddIngredientModal() {
 
     clearTimeout(searchDebounce);
 
-    if (query.length < 2) {
+    if (!query) {
       // Return to category view
       loadCategoryIngredients(currentCategory || 'all');
       return;
     }
 
     searchDebounce = setTimeout(() => {
-      const results = searchIngredients(query, 50);
+      const results = searchIngredientsRanked(query, 50);
       renderIngredientsGrid(results);
 
       // Deselect category tabs when searching
@@ -711,11 +833,6 @@ function initExportImport() {
   const exportBtn = document.getElementById('exportPantryBtn');
   const importBtn = document.getElementById('importPantryBtn');
   const importInput = document.getElementById('importFileInput');
-  const importModal = document.getElementById('importModal');
-  const mergeBtn = document.getElementById('importMerge');
-  const replaceBtn = document.getElementById('importReplace');
-
-  let pendingFile = null;
 
   exportBtn?.addEventListener('click', () => {
     const filename = downloadPantryJson();
@@ -729,28 +846,15 @@ function initExportImport() {
   importInput?.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
-
-    pendingFile = file;
-    openModal('importModal');
     importInput.value = '';
-  });
 
-  mergeBtn?.addEventListener('click', async () => {
-    if (pendingFile) {
-      const result = await importPantryFromFile(pendingFile, 'merge');
-      console.log('Import result:', result);
-      pendingFile = null;
+    // Spreadsheets go through column mapping and a preview first
+    if (file.name.toLowerCase().endsWith('.csv')) {
+      openCsvImportModal(file);
+      return;
     }
-    closeModal('importModal');
-  });
 
-  replaceBtn?.addEventListener('click', async () => {
-    if (pendingFile) {
-      const result = await importPantryFromFile(pendingFile, 'replace');
-      console.log('Import result:', result);
-      pendingFile = null;
-    }
-    closeModal('importModal');
+    openImportPreviewModal(file);
   });
 
   // Handle export/import buttons in other views
@@ -781,6 +885,7 @@ function initRecipeUI() {
   const matchFilter = document.getElementById('matchFilter');
   const difficultyFilter = document.getElementById('difficultyFilter');
   const cuisineFilter = document.getElementById('cuisineFilter');
+  const dietFilter = document.getElementById('dietFilter');
   const quickFilter = document.getElementById('recipeQuickFilter');
 
   // Populate cuisine filter
@@ -795,6 +900,20 @@ function initRecipeUI() {
     });
   }
 
+  // Populate diet filter
+  if (dietFilter) {
+    dietFilter.innerHTML = '<option value="all">Any Diet</option>' + Object.entries(DIETS)
+      .map(([id, diet]) => `<option value="${id}">${diet.label}</option>`)
+      .join('');
+  }
+
+  // Recipes view action buttons
+  document.getElementById('view-recipes')?.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action]')?.dataset.action === 'dietary-profile') {
+      openDietaryProfileModal();
+    }
+  });
+
   // Quick filter tabs
   quickFilter?.addEventListener('click', (e) => {
     const tab = e.target.closest('.filter-tab');
@@ -842,6 +961,11 @@ function initRecipeUI() {
     updateRecipeGrid();
   });
 
+  dietFilter?.addEventListener('change', (e) => {
+    currentFilters.diet = e.target.value;
+    updateRecipeGrid();
+  });
+
   // Initial render
   updateRecipeGrid();
   updateRecipeStats();
@@ -851,17 +975,32 @@ function initRecipeUI() {
     updateRecipeGrid();
     updateRecipeStats();
   });
+
+  // The household's dietary needs change which recipes are offered
+  onDietaryProfileChange(() => {
+    updateRecipeGrid();
+    updateRecipeStats();
+    updatePantryStats();
+    updateRecipePreview();
+  });
+}
+
+/**
+ * Recipes the household's dietary profile doesn't hide
+ */
+function getVisibleRecipes() {
+  return filterRecipesByProfile(allRecipes);
 }
 
 /**
  * Update recipe statistics display
  */
 function updateRecipeStats() {
-  const matched = getMatchedRecipes(allRecipes);
+  const matched = getMatchedRecipes(getVisibleRecipes());
 
   const canMakeCount = matched.filter(r => r.matchResult?.matchType === 'full').length;
   const almostCount = matched.filter(r => r.matchResult?.matchType === 'partial').length;
-  const totalCount = allRecipes.length;
+  const totalCount = getVisibleRecipes().length;
 
   const statCanMake = document.getElementById('recipeStatCanMake');
   const statAlmost = document.getElementById('recipeStatAlmost');
@@ -870,6 +1009,48 @@ function updateRecipeStats() {
   if (statCanMake) statCanMake.textContent = canMakeCount;
   if (statAlmost) statAlmost.textContent = almostCount;
   if (statTotal) statTotal.textContent = totalCount;
+
+  renderUnlockSuggestions();
+}
+
+/**
+ * Join names as "A", "A and B" or "A, B and C"
+ */
+function joinNames(names) {
+  return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Show the few ingredients that would open up the most recipes
+ */
+function renderUnlockSuggestions() {
+  const container = document.getElementById('recipeUnlock');
+  if (!container) return;
+
+  const [best] = getUnlockSuggestions(getVisibleRecipes(), { limit: 1 });
+  if (!best) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  // Single items worth buying on their own, other than the headline's
+  const singles = getUnlockSuggestions(getVisibleRecipes(), { maxItems: 1, limit: 4 })
+    .filter(single => !(best.ingredients.length === 1 && single.ingredients[0].ingredientId === best.ingredients[0].ingredientId))
+    .slice(0, 3);
+
+  const count = best.ingredients.length;
+  const what = count === 1 ? best.ingredients[0].name : `these ${count} things`;
+  const recipesLabel = `${best.unlockCount} recipe${best.unlockCount === 1 ? '' : 's'}`;
+
+  container.innerHTML = `
+    <div class="recipe-unlock__headline">🛒 Buy ${escapeHtml(what)} to unlock ${recipesLabel}</div>
+    ${count > 1 ? `<div class="recipe-unlock__items">${escapeHtml(joinNames(best.ingredients.map(i => i.name)))}</div>` : ''}
+    <div class="recipe-unlock__recipes">${escapeHtml(best.recipes.map(r => r.title).join(', '))}</div>
+    ${singles.length > 0 ? `<div class="recipe-unlock__singles">Or just one: ${escapeHtml(singles.map(single =>
+      `${single.ingredients[0].name} (${single.unlockCount})`).join(', '))}</div>` : ''}
+  `;
+  container.classList.remove('hidden');
 }
 
 /**
@@ -891,11 +1072,12 @@ function updateRecipeGrid() {
   const recipeGrid = document.getElementById('recipeGrid');
   if (!recipeGrid) return;
 
-  // Apply text/difficulty/cuisine filters
-  let filtered = applyFilters(allRecipes, currentFilters);
+  // Apply text/difficulty/cuisine/diet filters
+  let filtered = applyFilters(getVisibleRecipes(), currentFilters);
 
-  // Calculate match scores
-  const matched = getMatchedRecipes(filtered);
+  // Calculate match scores ("Use Soon" ranks by expiry urgency)
+  const sortBy = currentFilters.matchType === 'useSoon' ? 'useSoon' : 'match';
+  const matched = getMatchedRecipes(filtered, null, { sortBy });
 
   // Apply match type filter
   const final = filterByMatchType(matched, currentFilters.matchType);
@@ -904,6 +1086,7 @@ function updateRecipeGrid() {
   const hasActiveFilters = currentFilters.search ||
     currentFilters.difficulty !== 'all' ||
     currentFilters.cuisine !== 'all' ||
+    currentFilters.diet !== 'all' ||
     currentFilters.matchType !== 'all';
 
   // Show limited recipes in preview mode, all recipes when filters active or "View All" clicked
@@ -1174,7 +1357,7 @@ function initMealPlannerUI() {
       renderWeekView(calendarContainer, currentWeekStart, {
         onAddClick: (dateStr, mealType) => openRecipeBrowserModal(dateStr, mealType),
         onMealClick: (meal, recipe) => openMealDetailModal(meal, recipe),
-        onRemoveClick: (mealId) => removeMeal(mealId)
+        onRemoveClick: (mealId) => removeMealCommand(mealId)
       });
     }
     updateMealPlanStats();
@@ -1219,7 +1402,7 @@ function initMealPlannerUI() {
   // Clear week button
   clearWeekBtn?.addEventListener('click', () => {
     if (confirm('Are you sure you want to clear all meals for this week?')) {
-      const removed = clearWeek(currentWeekStart);
+      const removed = clearWeekCommand(currentWeekStart);
       console.log(`Cleared ${removed} meals`);
       renderCalendar();
     }
@@ -1301,7 +1484,7 @@ function initSidebarRecipeList() {
   if (!recipeList) return;
 
   function renderSidebarRecipes(searchTerm = '') {
-    const matched = getMatchedRecipes(allRecipes);
+    const matched = getMatchedRecipes(getVisibleRecipes());
     let recipes = matched.filter(r => r.matchResult && r.matchResult.requiredPercent > 0);
 
     // Filter by search term
@@ -1398,6 +1581,21 @@ function formatLeftoverSourceDate(dateStr) {
   return `${dayName} ${dayNum}`;
 }
 
+/**
+ * Summarize what marking a meal as eaten took from the pantry
+ */
+function formatConsumptionSummary(consumption) {
+  const deducted = consumption.records.filter(r => r.consumed > 0).length;
+  let summary = `Pantry: ${deducted} ingredient${deducted !== 1 ? 's' : ''} deducted`;
+
+  if (consumption.shortfalls.length > 0) {
+    const short = consumption.shortfalls.map(s => `${s.name} (${formatAmount(s.shortage, s.unit, s.ingredientId)})`);
+    summary += ` · short on ${short.join(', ')}`;
+  }
+
+  return summary;
+}
+
 /**
  * Open meal detail modal
  */
@@ -1442,11 +1640,13 @@ function openMealDetailModal(meal, recipe) {
   let statusBadgeHtml = '';
   if (isEaten) {
     const consumedAt = meal.consumedAt ? new Date(meal.consumedAt).toLocaleDateString() : '';
+    const consumption = getConsumptionEntry(meal.id);
     statusBadgeHtml = `
       <div class="meal-status-badge meal-status-badge--eaten">
         ✓ Eaten${meal.consumedServings ? ` (${meal.consumedServings} serving${meal.consumedServings !== 1 ? 's' : ''})` : ''}
         ${consumedAt ? `<span class="meal-status-badge__date">on ${consumedAt}</span>` : ''}
       </div>
+      ${consumption ? `<p class="meal-consumption-note">${escapeHtml(formatConsumptionSummary(consumption))}</p>` : ''}
     `;
   } else if (isDismissed) {
     statusBadgeHtml = `
@@ -1595,6 +1795,13 @@ function openMealDetailModal(meal, recipe) {
     if (result) {
       closeModal('mealDetailModal');
       console.log(`Meal marked as eaten: ${currentServings} servings`);
+
+      const consumption = getConsumptionEntry(meal.id);
+      if (consumption?.shortfalls.length > 0) {
+        const lines = consumption.shortfalls.map(s =>
+          `• ${s.name}: needed ${formatAmount(s.needed, s.unit, s.ingredientId)}, had ${formatAmount(s.available, s.unit, s.ingredientId)}`);
+        alert(`Your pantry was short for this meal:\n\n${lines.join('\n')}`);
+      }
     } else {
       alert('Failed to mark meal as eaten.');
     }
@@ -1634,7 +1841,7 @@ function openMealDetailModal(meal, recipe) {
       alert('Please select a date.');
       return;
     }
-    const result = moveMeal(meal.id, targetDate);
+    const result = moveMealCommand(meal.id, targetDate);
     if (result) {
       closeModal('mealDetailModal');
       console.log(`Meal moved to ${targetDate}`);
@@ -1661,7 +1868,7 @@ function openMealDetailModal(meal, recipe) {
   });
 
   container.querySelector('#removeMealBtn')?.addEventListener('click', () => {
-    removeMeal(meal.id);
+    removeMealCommand(meal.id);
     closeModal('mealDetailModal');
   });
 
@@ -1757,6 +1964,9 @@ function openShoppingListModal() {
 // Track checked items in the view (persists during session)
 let checkedShoppingItems = new Set();
 
+// Low-stock items added to the shopping list for restocking (persists during session)
+let restockListItems = new Set();
+
 /**
  * Render the full-page shopping list view
  */
@@ -1798,16 +2008,14 @@ function renderLowStockSuggestions() {
   const container = document.getElementById('lowStockSuggestions');
   if (!container) return;
 
-  // Get pantry items with low quantities (less than 2 units)
-  const pantryItems = getPantryItems();
-  const lowStockItems = pantryItems.filter(item => {
-    return item.quantity < 2;
-  }).map(item => {
-    const ingredient = getIngredientById(item.ingredientId);
+  // Items below their minimum par level, emptiest first
+  const lowStockItems = getLowStockItems().map(status => {
+    const ingredient = getIngredientById(status.ingredientId);
     return {
-      ...item,
-      name: ingredient?.name || item.ingredientId,
-      category: ingredient?.category || 'other'
+      ...status,
+      name: ingredient?.name || status.ingredientId,
+      category: ingredient?.category || 'other',
+      onList: restockListItems.has(status.ingredientId)
     };
   }).slice(0, 10); // Limit to 10 items
 
@@ -1821,25 +2029,37 @@ function renderLowStockSuggestions() {
   }
 
   container.innerHTML = lowStockItems.map(item => `
-    <div class="suggested-item" data-ingredient-id="${item.ingredientId}">
+    <div class="suggested-item ${item.onList ? 'added' : ''}" data-ingredient-id="${item.ingredientId}">
       <div class="suggested-item__info">
         <span class="suggested-item__name">${escapeHtml(item.name)}</span>
-        <span class="suggested-item__qty">${item.quantity} ${item.unit || 'units'} left</span>
+        <span class="suggested-item__qty">${formatAmount(item.quantity, item.unit, item.ingredientId)} left · buy ${formatAmount(item.toTarget, item.unit, item.ingredientId)}</span>
       </div>
-      <button class="suggested-item__add" title="Add to shopping consideration">+</button>
+      <button class="suggested-item__restock" title="Bought it - top up to ${formatAmount(item.target, item.unit, item.ingredientId)}">Restocked</button>
+      <button class="suggested-item__add" title="Add to shopping list" ${item.onList ? 'disabled' : ''}>${item.onList ? '✓' : '+'}</button>
     </div>
   `).join('');
 
-  // Add click handlers for add buttons (future: could add to a separate list)
   container.querySelectorAll('.suggested-item__add').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
       const item = btn.closest('.suggested-item');
-      item?.classList.add('added');
+      restockListItems.add(item.dataset.ingredientId);
+      item.classList.add('added');
       btn.textContent = '✓';
       btn.disabled = true;
     });
   });
+
+  // Bought it: top the item up to its target level
+  container.querySelectorAll('.suggested-item__restock').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const ingredientId = btn.closest('.suggested-item').dataset.ingredientId;
+      restockListItems.delete(ingredientId);
+      restockToTargetCommand(ingredientId);
+      renderLowStockSuggestions();
+    });
+  });
 }
 
 /**
@@ -1886,9 +2106,19 @@ function initShoppingListView() {
       return !checkedShoppingItems.has(key);
     });
 
-    const text = uncheckedItems.map(item =>
-      `- ${item.name}: ${item.shortage.toFixed(1)} ${item.unit}`
-    ).join('\n');
+    const lines = uncheckedItems.map(item =>
+      `- ${item.name}: ${formatAmount(item.shortage, item.unit, item.ingredientId)}`
+    );
+
+    // Restock items bring the pantry back up to its target levels
+    getLowStockItems()
+      .filter(status => restockListItems.has(status.ingredientId))
+      .forEach(status => {
+        const name = getIngredientById(status.ingredientId)?.name || status.ingredientId;
+        lines.push(`- ${name}: ${formatAmount(status.toTarget, status.unit, status.ingredientId)} (restock)`);
+      });
+
+    const text = lines.join('\n');
 
     navigator.clipboard.writeText(`Shopping List\n${formatWeekTitle(currentWeekStart)}\n\n${text || 'Nothing needed!'}`).then(() => {
       const originalText = copyBtn.textContent;
@@ -1911,10 +2141,11 @@ function initShoppingListView() {
     renderLowStockSuggestions();
   });
 
-  // Add all low stock items (mark as consideration)
+  // Add all low stock items to the shopping list
   addAllBtn?.addEventListener('click', () => {
     const suggestedItems = document.querySelectorAll('#lowStockSuggestions .suggested-item:not(.added)');
     suggestedItems.forEach(item => {
+      restockListItems.add(item.dataset.ingredientId);
       item.classList.add('added');
       const btn = item.querySelector('.suggested-item__add');
       if (btn) {
@@ -2047,11 +2278,20 @@ function updateAuthUI(user, profile) {
 async function loadData() {
   try {
     await loadIngredients();
+    initStorageLocations();
     initPantry();
+    initPantryHistory();
+    initParLevels();
+    initSubstitutions();
+    initStaples();
+    initRecommendations();
+    initDietaryProfile();
     initMealPlan();
 
     const recipesData = await loadRecipes();
     allRecipes = recipesData.recipes || [];
+    initNutritionCache();
+    initMatchCache();
 
     console.log(`Loaded ${allRecipes.length} recipes`);
   } catch (error) {
@@ -2059,6 +2299,67 @@ async function loadData() {
   }
 }
 
+/**
+ * Warn when pantry changes can't be saved (browser storage full), once until
+ * saving works again
+ */
+function initSaveWarnings() {
+  let pantryWarned = false;
+  onPantryChange(({ saveFailed }) => {
+    if (saveFailed && !pantryWarned) {
+      showToast('Your pantry couldn\'t be saved: browser storage is full. Export a backup before closing this tab.', { duration: 15000 });
+    }
+    pantryWarned = saveFailed;
+  });
+
+  let historyWarned = false;
+  onPantryHistoryChange(({ saveFailed }) => {
+    if (saveFailed && !historyWarned) {
+      showToast('Pantry history couldn\'t be saved: browser storage is full.', { duration: 15000 });
+    }
+    historyWarned = saveFailed;
+  });
+}
+
+/**
+ * Initialize global undo/redo (keyboard shortcuts + toast after destructive edits)
+ */
+function initUndoRedo() {
+  // Undo/Redo toasts act on the top of the stack, so only the newest one may
+  // stay up: any stack change dismisses it before it could revert the wrong edit
+  let dismissActionToast = () => {};
+  const showActionToast = (message, actionLabel, onAction) => {
+    dismissActionToast();
+    dismissActionToast = showToast(message, { actionLabel, onAction });
+  };
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    // Leave text fields their native undo
+    const target = e.target;
+    if (target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      const command = undo();
+      if (command) showActionToast(`Undid: ${command.label}`, 'Redo', redo);
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      const command = redo();
+      if (command) showActionToast(`Redid: ${command.label}`, 'Undo', undo);
+    }
+  });
+
+  onUndoChange(({ action, command }) => {
+    dismissActionToast();
+    if (action === 'record' && command.destructive) {
+      showActionToast(command.label, 'Undo', undo);
+    }
+  });
+}
+
 /**
  * Main initialization
  */
@@ -2069,13 +2370,25 @@ async function init() {
   // Initialize navigation
   initNavigation();
 
+  // Initialize undo/redo
+  initUndoRedo();
+  initSaveWarnings();
+
   // Initialize dashboard
   initDashboard();
 
   // Initialize pantry UI
-  initPantryUI();
+  const updatePantryUI = initPantryUI();
   initAddIngredientModal();
   initExportImport();
+  initPantryHistoryModal();
+  initStorageLocationsModal();
+  initSubstitutionsModal();
+  initStaplesModal();
+  initDietaryProfileModal();
+  initCustomIngredientModal();
+  initCsvImportModal();
+  initImportPreviewModal();
 
   // Initialize recipes
   initRecipeUI();
@@ -2086,6 +2399,20 @@ async function init() {
   // Initialize shopping list view
   initShoppingListView();
 
+  // Substitutions change which recipes match and what needs buying
+  onSubstitutionsChange(() => {
+    updatePantryUI();
+    updateRecipeStats();
+    renderShoppingListView();
+  });
+
+  // So do staples
+  onStaplesChange(() => {
+    updatePantryUI();
+    updateRecipeStats();
+    renderShoppingListView();
+  });
+
   // Initialize auth UI
   initAuthUI();
 
@@ -2106,12 +2433,22 @@ async function init() {
       renderWeekView(calendarContainer, currentWeekStart, {
         onAddClick: (dateStr, mealType) => openRecipeBrowserModal(dateStr, mealType),
         onMealClick: (meal, recipe) => openMealDetailModal(meal, recipe),
-        onRemoveClick: (mealId) => removeMeal(mealId)
+        onRemoveClick: (mealId) => removeMealCommand(mealId)
       });
     }
   });
   initNutritionWidget();
 
+  // Quantities everywhere are shown in the chosen unit system
+  let unitSystem = getUnitSystem();
+  onNutritionPrefsChange(() => {
+    if (getUnitSystem() === unitSystem) return;
+    unitSystem = getUnitSystem();
+    updatePantryUI();
+    renderShoppingListView();
+    renderLowStockSuggestions();
+  });
+
   // Listen for view changes
   onViewChange((viewId, previousView) => {
     console.log(`View changed: ${previousView} -> ${viewId}`);
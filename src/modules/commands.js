@@ -0,0 +1,225 @@
+/**
+ * Commands Module
+ * Undoable versions of pantry and meal plan edits. Each command captures the
+ * state it touches before and after running, so undo/redo restore it exactly.
+ */
+
+import { getIngredientById } from './ingredientManager.js';
+import { getRecipeById } from './recipeManager.js';
+import {
+  getPantryItem,
+  getPantryItems,
+  addPantryItem,
+  addPantryLot,
+  restockPantryItem,
+  removePantryItem,
+  importPantry,
+  importPantryFromFile,
+  restorePantryItem,
+  restorePantrySnapshot
+} from './pantryManager.js';
+import {
+  getMealsForDate,
+  getMealDate,
+  addMealToDate,
+  removeMeal,
+  moveMeal,
+  clearWeek,
+  importMealPlan,
+  getMealPlanSnapshot,
+  restoreMealPlanSnapshot
+} from './mealPlanManager.js';
+import { restockToTarget } from './parLevels.js';
+import { recordCommand } from './undoManager.js';
+
+/**
+ * Deep copy helper for snapshots
+ */
+function clone(data) {
+  return data == null ? null : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Whether an import result actually changed anything
+ */
+function importChangedData(result) {
+  const diff = result?.diff;
+  return Boolean(result?.success && diff && diff.added.length + diff.changed.length + diff.removed.length > 0);
+}
+
+/**
+ * Display name of an ingredient for command labels
+ */
+function ingredientName(ingredientId) {
+  return getIngredientById(ingredientId)?.name || ingredientId;
+}
+
+/**
+ * Display name of a meal's recipe for command labels
+ */
+function mealName(mealId) {
+  const dateStr = getMealDate(mealId);
+  const meal = dateStr ? getMealsForDate(dateStr).find(m => m.id === mealId) : null;
+  return getRecipeById(meal?.recipeId)?.title || 'meal';
+}
+
+/**
+ * Run a change to one pantry item and record it
+ */
+function runPantryItemCommand(label, ingredientId, apply, destructive = false) {
+  const before = clone(getPantryItem(ingredientId));
+  const result = apply();
+  if (!result) return result;
+
+  const after = clone(getPantryItem(ingredientId));
+  recordCommand({
+    label,
+    destructive,
+    undo: () => restorePantryItem(ingredientId, before),
+    redo: () => restorePantryItem(ingredientId, after)
+  });
+  return result;
+}
+
+/**
+ * Run a change to the whole pantry and record it
+ */
+async function runPantryCommand(label, apply, isApplied, destructive = false) {
+  const before = clone(getPantryItems());
+  const result = await apply();
+  if (!isApplied(result)) return result;
+
+  const after = clone(getPantryItems());
+  recordCommand({
+    label,
+    destructive,
+    undo: () => restorePantrySnapshot(before),
+    redo: () => restorePantrySnapshot(after)
+  });
+  return result;
+}
+
+/**
+ * Run a change to the meal plan and record it
+ */
+function runMealPlanCommand(label, apply, isApplied = Boolean, destructive = false) {
+  const before = getMealPlanSnapshot();
+  const result = apply();
+  if (!isApplied(result)) return result;
+
+  const after = getMealPlanSnapshot();
+  recordCommand({
+    label,
+    destructive,
+    undo: () => restoreMealPlanSnapshot(before),
+    redo: () => restoreMealPlanSnapshot(after)
+  });
+  return result;
+}
+
+/**
+ * Undoable addPantryItem
+ */
+export function addPantryItemCommand(ingredientId, quantity = null, unit = null, storage = 'pantry', notes = '') {
+  const verb = getPantryItem(ingredientId) ? 'Update' : 'Add';
+  return runPantryItemCommand(`${verb} ${ingredientName(ingredientId)}`, ingredientId,
+    () => addPantryItem(ingredientId, quantity, unit, storage, notes));
+}
+
+/**
+ * Undoable addPantryLot
+ */
+export function addPantryLotCommand(ingredientId, lotData = {}) {
+  return runPantryItemCommand(`Add ${ingredientName(ingredientId)}`, ingredientId,
+    () => addPantryLot(ingredientId, lotData));
+}
+
+/**
+ * Undoable restockPantryItem
+ */
+export function restockPantryItemCommand(ingredientId, quantity, unit = null, lotData = {}, options = {}) {
+  return runPantryItemCommand(`Add ${ingredientName(ingredientId)}`, ingredientId,
+    () => restockPantryItem(ingredientId, quantity, unit, lotData, options));
+}
+
+/**
+ * Undoable removePantryItem
+ */
+export function removePantryItemCommand(ingredientId) {
+  return runPantryItemCommand(`Remove ${ingredientName(ingredientId)}`, ingredientId,
+    () => removePantryItem(ingredientId), true);
+}
+
+/**
+ * Undoable restockToTarget
+ */
+export function restockToTargetCommand(ingredientId) {
+  return runPantryItemCommand(`Restock ${ingredientName(ingredientId)}`, ingredientId,
+    () => restockToTarget(ingredientId));
+}
+
+/**
+ * Undoable importPantry / importPantryFromFile
+ * @param {File|Object|string} source - File from an input, or JSON data
+ * @param {string} mode - 'merge', 'replace' or 'add'
+ * @param {Object} options - { accept: change ids from diffPantryImport }
+ */
+export function importPantryCommand(source, mode = 'merge', options = {}) {
+  const apply = () => (typeof File !== 'undefined' && source instanceof File)
+    ? importPantryFromFile(source, mode, options)
+    : importPantry(source, mode, options);
+
+  return runPantryCommand(`Import pantry (${mode})`, apply, importChangedData, mode === 'replace');
+}
+
+/**
+ * Undoable addMealToDate
+ */
+export function addMealCommand(dateStr, recipeId, mealType = 'dinner', servings = null, notes = '', leftoverData = null) {
+  const title = getRecipeById(recipeId)?.title || 'meal';
+  return runMealPlanCommand(`Add ${title}`,
+    () => addMealToDate(dateStr, recipeId, mealType, servings, notes, leftoverData));
+}
+
+/**
+ * Undoable removeMeal
+ */
+export function removeMealCommand(mealId) {
+  return runMealPlanCommand(`Remove ${mealName(mealId)}`, () => removeMeal(mealId), Boolean, true);
+}
+
+/**
+ * Undoable moveMeal
+ */
+export function moveMealCommand(mealId, targetDate) {
+  return runMealPlanCommand(`Move ${mealName(mealId)}`, () => moveMeal(mealId, targetDate), Boolean, true);
+}
+
+/**
+ * Undoable clearWeek
+ */
+export function clearWeekCommand(startDate) {
+  return runMealPlanCommand('Clear week', () => clearWeek(startDate), removed => removed > 0, true);
+}
+
+/**
+ * Undoable importMealPlan
+ */
+export function importMealPlanCommand(data, mode = 'merge', options = {}) {
+  return runMealPlanCommand(`Import meal plan (${mode})`, () => importMealPlan(data, mode, options),
+    importChangedData, mode === 'replace');
+}
+
+export default {
+  addPantryItemCommand,
+  addPantryLotCommand,
+  restockPantryItemCommand,
+  removePantryItemCommand,
+  restockToTargetCommand,
+  importPantryCommand,
+  addMealCommand,
+  removeMealCommand,
+  moveMealCommand,
+  clearWeekCommand,
+  importMealPlanCommand
+};
@@ -0,0 +1,198 @@
+/**
+ * Dietary Profile Module
+ * Recipe-level diet and allergen flags, derived from what each ingredient
+ * contains (see CONTAINS_TAGS), and the household's restrictions. Recipes
+ * that break a restriction are either hidden everywhere recipes are offered
+ * or shown with a warning, depending on the profile's mode.
+ */
+
+import { getIngredientById } from './ingredientManager.js';
+import { CONTAINS_TAGS, DIETS } from '../data/dietaryTags.js';
+
+const STORAGE_KEY = 'pantry_planner_dietary_profile';
+
+export const PROFILE_MODES = {
+  HIDE: 'hide',
+  WARN: 'warn'
+};
+
+let profile = { diets: [], mode: PROFILE_MODES.HIDE };
+let listeners = [];
+
+/**
+ * Load the household profile from localStorage
+ */
+export function initDietaryProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    profile = {
+      diets: Array.isArray(stored?.diets) ? stored.diets.filter(id => DIETS[id]) : [],
+      mode: stored?.mode === PROFILE_MODES.WARN ? PROFILE_MODES.WARN : PROFILE_MODES.HIDE
+    };
+  } catch (error) {
+    console.error('Failed to load dietary profile:', error);
+    profile = { diets: [], mode: PROFILE_MODES.HIDE };
+  }
+  return getDietaryProfile();
+}
+
+/**
+ * Save the household profile to localStorage
+ */
+function saveProfile() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.error('Failed to save dietary profile:', error);
+  }
+}
+
+/**
+ * Notify all listeners of changes
+ */
+function notifyListeners() {
+  listeners.forEach(callback => {
+    try {
+      callback(getDietaryProfile());
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to dietary profile changes
+ */
+export function onDietaryProfileChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Get the household profile
+ * @returns {Object} { diets: string[], mode: 'hide'|'warn' }
+ */
+export function getDietaryProfile() {
+  return { diets: [...profile.diets], mode: profile.mode };
+}
+
+/**
+ * Update the household profile
+ * @param {Object} updates - { diets?, mode? }
+ * @returns {Object} { success } or { success: false, error }
+ */
+export function setDietaryProfile(updates = {}) {
+  if (updates.diets !== undefined) {
+    if (!Array.isArray(updates.diets) || updates.diets.some(id => !DIETS[id])) {
+      return { success: false, error: 'Unknown diet' };
+    }
+  }
+  if (updates.mode !== undefined && !Object.values(PROFILE_MODES).includes(updates.mode)) {
+    return { success: false, error: 'Mode must be hide or warn' };
+  }
+
+  profile = {
+    diets: updates.diets !== undefined ? [...new Set(updates.diets)] : profile.diets,
+    mode: updates.mode ?? profile.mode
+  };
+
+  saveProfile();
+  notifyListeners();
+
+  return { success: true };
+}
+
+/**
+ * What an ingredient contains (untagged ingredients contain nothing restricted)
+ */
+function getIngredientTags(ingredientId) {
+  const contains = getIngredientById(ingredientId)?.contains;
+  return Array.isArray(contains) ? contains.filter(tag => CONTAINS_TAGS[tag]) : [];
+}
+
+/**
+ * Derive a recipe's diet and allergen flags from its ingredients
+ * @returns {Object} { contains: string[], mayContain: string[], diets: string[] } -
+ *   mayContain holds tags that only come from optional ingredients;
+ *   diets are the diets the required ingredients fit
+ */
+export function getRecipeDietInfo(recipe) {
+  const contains = new Set();
+  const mayContain = new Set();
+
+  recipe.ingredients.forEach(ing => {
+    getIngredientTags(ing.ingredientId).forEach(tag => {
+      (ing.optional ? mayContain : contains).add(tag);
+    });
+  });
+  contains.forEach(tag => mayContain.delete(tag));
+
+  return {
+    contains: Array.from(contains),
+    mayContain: Array.from(mayContain),
+    diets: Object.keys(DIETS).filter(id => DIETS[id].excludes.every(tag => !contains.has(tag)))
+  };
+}
+
+/**
+ * Whether a recipe fits a diet (optional ingredients can be left out)
+ */
+export function recipeFitsDiet(recipe, dietId) {
+  return getRecipeDietInfo(recipe).diets.includes(dietId);
+}
+
+/**
+ * Check a recipe against the household profile
+ * @returns {Object} { allowed, violations: [{ ingredientId, name, diets, optional }], warning } -
+ *   allowed is false only when a required ingredient breaks a restriction;
+ *   warning is a short message, or null when nothing conflicts
+ */
+export function checkRecipeAgainstProfile(recipe) {
+  const violations = [];
+
+  recipe.ingredients.forEach(ing => {
+    const tags = getIngredientTags(ing.ingredientId);
+    const diets = profile.diets.filter(id => DIETS[id].excludes.some(tag => tags.includes(tag)));
+    if (diets.length > 0) {
+      violations.push({
+        ingredientId: ing.ingredientId,
+        name: getIngredientById(ing.ingredientId)?.name || ing.name || ing.ingredientId,
+        diets,
+        optional: !!ing.optional
+      });
+    }
+  });
+
+  const required = violations.filter(v => !v.optional);
+  const dietLabels = [...new Set(violations.flatMap(v => v.diets))].map(id => DIETS[id].label);
+  let warning = null;
+  if (required.length > 0) {
+    warning = `Not ${dietLabels.join(' or ')}: ${required.map(v => v.name).join(', ')}`;
+  } else if (violations.length > 0) {
+    warning = `Leave out ${violations.map(v => v.name).join(', ')} to keep it ${dietLabels.join(' and ')}`;
+  }
+
+  return { allowed: required.length === 0, violations, warning };
+}
+
+/**
+ * Drop the recipes the profile hides (in warn mode nothing is dropped)
+ */
+export function filterRecipesByProfile(recipes) {
+  if (profile.diets.length === 0 || profile.mode !== PROFILE_MODES.HIDE) return recipes;
+  return recipes.filter(recipe => checkRecipeAgainstProfile(recipe).allowed);
+}
+
+export default {
+  PROFILE_MODES,
+  initDietaryProfile,
+  onDietaryProfileChange,
+  getDietaryProfile,
+  setDietaryProfile,
+  getRecipeDietInfo,
+  recipeFitsDiet,
+  checkRecipeAgainstProfile,
+  filterRecipesByProfile
+};
@@ -0,0 +1,130 @@
+/**
+ * Fuzzy Search Module
+ * Typo-tolerant text matching shared by ingredient and recipe search.
+ * A query is split into words and each word is matched on its own, so word
+ * order doesn't matter ("breast chicken"), and a word can be a little
+ * misspelled ("chiken brest") or still being typed ("chick").
+ */
+
+/**
+ * Lowercase, drop accents and punctuation, collapse whitespace
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into normalized words
+ */
+export function tokenize(text) {
+  const normalized = normalizeSearchText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters
+ * as one edit. Stops early once it's sure to exceed `max`.
+ * @returns {number} The distance, or max + 1 if it's more than max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Typos tolerated in a query word of this length
+ */
+function allowedTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Score one query word against one word of the text (0 = no match)
+ * Exact > prefix > misspelled > misspelled prefix > inside the word
+ */
+export function scoreWord(queryWord, word) {
+  if (word === queryWord) return 100;
+  if (word.startsWith(queryWord)) return 80;
+
+  const typos = allowedTypos(queryWord.length);
+  if (typos > 0) {
+    const distance = editDistance(queryWord, word, typos);
+    if (distance <= typos) return 70 - distance * 10;
+
+    // A misspelled start of a longer word, e.g. "chik" for "chicken"
+    if (word.length > queryWord.length) {
+      const prefixDistance = editDistance(queryWord, word.slice(0, queryWord.length), typos);
+      if (prefixDistance <= typos) return 55 - prefixDistance * 10;
+    }
+  }
+
+  if (queryWord.length >= 3 && word.includes(queryWord)) return 40;
+  return 0;
+}
+
+/**
+ * Score a query against one piece of text, e.g. an ingredient name or alias.
+ * Every query word has to match some word of the text.
+ * @param {Array} queryWords - From tokenize(query)
+ * @param {Array} words - From tokenize(text)
+ * @returns {number} 0 for no match; about 100 for a good one, more for an exact one
+ */
+export function scoreText(queryWords, words) {
+  if (queryWords.length === 0 || words.length === 0) return 0;
+
+  let total = 0;
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const word of words) {
+      best = Math.max(best, scoreWord(queryWord, word));
+      if (best === 100) break;
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  let score = total / queryWords.length;
+
+  // Prefer texts the query covers more of ("Chicken" over "Chicken Stock"),
+  // and the query's own word order
+  score += 10 * Math.min(1, queryWords.length / words.length);
+  if (words.join(' ').startsWith(queryWords.join(' '))) score += 10;
+
+  return Math.round(score);
+}
+
+export default {
+  normalizeSearchText,
+  tokenize,
+  editDistance,
+  scoreWord,
+  scoreText
+};
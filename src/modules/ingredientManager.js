@@ -1,6 +1,8 @@
 /**
  * Ingredient Manager Module
- * Handles loading, searching, and normalizing ingredients
+ * Handles loading, searching, and normalizing ingredients.
+ * The built-in catalog is extended with the user's own custom ingredients,
+ * which are stored in localStorage and indexed exactly like catalog entries.
  */
 
 import {
@@ -9,10 +11,19 @@ import {
   CATEGORY_ICONS,
   INGREDIENT_ICONS
 } from '../data/icons.js';
+import { CONTAINS_TAGS } from '../data/dietaryTags.js';
+import { tokenize, scoreText } from './fuzzySearch.js';
+import { schedulePushToCloud } from '../services/syncOrchestrator.js';
+
+const CUSTOM_STORAGE_KEY = 'pantry_planner_custom_ingredients';
+const CUSTOM_ID_PREFIX = 'ing_custom_';
+const NUTRIENTS = ['calories', 'protein', 'fat', 'carbs', 'fiber'];
 
 let ingredientsData = null;
+let customIngredients = []; // User-defined ingredients, same shape as catalog entries
 let ingredientIndex = new Map(); // Fast lookup by ID
 let searchIndex = []; // Flattened search terms
+let listeners = [];
 
 /**
  * Load ingredients from JSON file
@@ -23,6 +34,7 @@ export async function loadIngredients() {
   try {
     const response = await fetch('/src/data/ingredients.json');
     ingredientsData = await response.json();
+    customIngredients = loadCustomIngredients();
     buildIndexes();
     return ingredientsData;
   } catch (error) {
@@ -38,7 +50,7 @@ function buildIndexes() {
   ingredientIndex.clear();
   searchIndex = [];
 
-  ingredientsData.ingredients.forEach(ingredient => {
+  getAllIngredients().forEach(ingredient => {
     // Index by ID
     ingredientIndex.set(ingredient.id, ingredient);
 
@@ -49,9 +61,11 @@ function buildIndexes() {
       ...ingredient.searchTerms.map(t => t.toLowerCase())
     ];
 
-    terms.forEach(term => {
+    terms.forEach((term, index) => {
       searchIndex.push({
         term,
+        words: tokenize(term),
+        isName: index === 0,
         ingredientId: ingredient.id,
         ingredient
       });
@@ -59,6 +73,63 @@ function buildIndexes() {
   });
 }
 
+/**
+ * Catalog ingredients followed by custom ones
+ */
+function getAllIngredients() {
+  return [...(ingredientsData?.ingredients || []), ...customIngredients];
+}
+
+/**
+ * Load custom ingredients from localStorage
+ */
+function loadCustomIngredients() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Failed to load custom ingredients:', error);
+    return [];
+  }
+}
+
+/**
+ * Save custom ingredients to localStorage and rebuild the indexes
+ */
+function saveCustomIngredients() {
+  try {
+    localStorage.setItem(CUSTOM_STORAGE_KEY, JSON.stringify(customIngredients));
+    schedulePushToCloud();
+  } catch (error) {
+    console.error('Failed to save custom ingredients:', error);
+  }
+  buildIndexes();
+}
+
+/**
+ * Notify all listeners of custom ingredient changes
+ * @param {string} action - 'create' | 'update' | 'delete'
+ */
+function notifyListeners(action, ingredient) {
+  listeners.forEach(callback => {
+    try {
+      callback({ action, ingredient });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to custom ingredient changes
+ */
+export function onCustomIngredientsChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
 /**
  * Get ingredient by ID
  */
@@ -75,46 +146,47 @@ export function getIngredientsMap() {
 }
 
 /**
- * Search ingredients by query string
- * Returns sorted results by relevance
+ * Search ingredients by query string. Typo-tolerant and word-order independent
+ * (see fuzzySearch.js); names rank above aliases and search terms.
+ * @param {string} query
+ * @param {number} limit
+ * @param {Object} options - { boost(ingredient, score) } adds points to matching ingredients,
+ *   e.g. for ones already in the pantry (see ingredientSearch.js)
+ * @returns {Array} Ingredients, best match first
  */
-export function searchIngredients(query, limit = 10) {
-  if (!query || query.length < 2) return [];
+export function searchIngredients(query, limit = 10, options = {}) {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return [];
 
-  const normalizedQuery = query.toLowerCase().trim();
   const results = new Map(); // Dedupe by ingredient ID
 
   searchIndex.forEach(entry => {
-    if (entry.term.includes(normalizedQuery)) {
-      const existing = results.get(entry.ingredientId);
-
-      // Score: exact match > starts with > contains
-      let score = 0;
-      if (entry.term === normalizedQuery) {
-        score = 100;
-      } else if (entry.term.startsWith(normalizedQuery)) {
-        score = 75;
-      } else {
-        score = 50;
-      }
-
-      // Prefer name matches over aliases
-      if (entry.term === entry.ingredient.name.toLowerCase()) {
-        score += 10;
-      }
-
-      if (!existing || existing.score < score) {
-        results.set(entry.ingredientId, {
-          ingredient: entry.ingredient,
-          score
-        });
-      }
+    let score = scoreText(queryWords, entry.words);
+    if (score === 0) return;
+
+    // Prefer name matches over aliases
+    if (entry.isName) {
+      score += 10;
+    }
+
+    const existing = results.get(entry.ingredientId);
+    if (!existing || existing.score < score) {
+      results.set(entry.ingredientId, {
+        ingredient: entry.ingredient,
+        score
+      });
     }
   });
 
+  if (options.boost) {
+    results.forEach(result => {
+      result.score += options.boost(result.ingredient, result.score) || 0;
+    });
+  }
+
   // Sort by score and return limited results
   return Array.from(results.values())
-    .sort((a, b) => b.score - a.score)
+    .sort((a, b) => b.score - a.score || a.ingredient.name.localeCompare(b.ingredient.name))
     .slice(0, limit)
     .map(r => r.ingredient);
 }
@@ -125,7 +197,7 @@ export function searchIngredients(query, limit = 10) {
 export function getIngredientsByCategory(categoryId) {
   if (!ingredientsData) return [];
 
-  return ingredientsData.ingredients.filter(
+  return getAllIngredients().filter(
     ing => ing.category === categoryId
   );
 }
@@ -136,7 +208,7 @@ export function getIngredientsByCategory(categoryId) {
 export function getIngredientsBySubcategory(categoryId, subcategory) {
   if (!ingredientsData) return [];
 
-  return ingredientsData.ingredients.filter(
+  return getAllIngredients().filter(
     ing => ing.category === categoryId && ing.subcategory === subcategory
   );
 }
@@ -148,6 +220,148 @@ export function getCategories() {
   return ingredientsData?.categories || [];
 }
 
+/**
+ * Get the user's custom ingredients
+ */
+export function getCustomIngredients() {
+  return customIngredients.map(ingredient => ({ ...ingredient }));
+}
+
+/**
+ * Whether an ingredient was created by the user
+ */
+export function isCustomIngredient(id) {
+  return customIngredients.some(ingredient => ingredient.id === id);
+}
+
+/**
+ * Generate a custom ingredient ID from its name
+ */
+function generateCustomId(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 30);
+  return CUSTOM_ID_PREFIX + (slug || 'item') + '_' + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Validate custom ingredient fields and build the stored record
+ * @param {Object} data - { name, category, aliases, defaultUnit, density, contains, nutrition: { calories, protein, fat, carbs, fiber } }
+ *   nutrition values are per 100g; density (g per ml) is optional; aliases may be an
+ *   array or a comma-separated string; contains lists dietary tags (see CONTAINS_TAGS)
+ * @returns {Object} { ingredient } or { error }
+ */
+function buildCustomIngredient(data, id) {
+  const name = (data.name || '').trim();
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+
+  const duplicate = getAllIngredients().find(ing =>
+    ing.id !== id && ing.name.toLowerCase() === name.toLowerCase());
+  if (duplicate) {
+    return { error: `"${duplicate.name}" already exists` };
+  }
+
+  const category = getCategories().find(cat => cat.id === data.category);
+  if (!category) {
+    return { error: 'Choose a category' };
+  }
+
+  const aliases = (Array.isArray(data.aliases) ? data.aliases : String(data.aliases || '').split(','))
+    .map(alias => alias.trim())
+    .filter(alias => alias && alias.toLowerCase() !== name.toLowerCase());
+
+  const per100g = {};
+  for (const nutrient of NUTRIENTS) {
+    const value = Number(data.nutrition?.[nutrient] || 0);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${nutrient} must be zero or more` };
+    }
+    per100g[nutrient] = value;
+  }
+
+  const density = data.density === '' || data.density == null ? null : Number(data.density);
+  if (density !== null && !(density > 0)) {
+    return { error: 'Density must be more than zero' };
+  }
+
+  const contains = Array.isArray(data.contains) ? [...new Set(data.contains)] : [];
+  if (contains.some(tag => !CONTAINS_TAGS[tag])) {
+    return { error: 'Unknown dietary tag' };
+  }
+
+  return {
+    ingredient: {
+      id,
+      name,
+      category: category.id,
+      subcategory: 'custom',
+      aliases: [...new Set(aliases)],
+      defaultUnit: data.defaultUnit || 'pieces',
+      ...(density !== null && { density }),
+      ...(contains.length > 0 && { contains }),
+      searchTerms: name.toLowerCase().split(/\s+/).filter(word => word.length > 2),
+      nutrition: { per100g },
+      custom: true
+    }
+  };
+}
+
+/**
+ * Create a custom ingredient
+ * @returns {Object} { success, ingredient } or { success: false, error }
+ */
+export function createCustomIngredient(data) {
+  const result = buildCustomIngredient(data, generateCustomId(data.name || ''));
+  if (result.error) {
+    return { success: false, error: result.error };
+  }
+
+  customIngredients.push(result.ingredient);
+  saveCustomIngredients();
+  notifyListeners('create', result.ingredient);
+
+  return { success: true, ingredient: result.ingredient };
+}
+
+/**
+ * Update a custom ingredient. Catalog ingredients can't be edited.
+ * @returns {Object} { success, ingredient } or { success: false, error }
+ */
+export function updateCustomIngredient(id, data) {
+  const index = customIngredients.findIndex(ingredient => ingredient.id === id);
+  if (index === -1) {
+    return { success: false, error: 'Only custom ingredients can be edited' };
+  }
+
+  const result = buildCustomIngredient({ ...customIngredients[index], ...data }, id);
+  if (result.error) {
+    return { success: false, error: result.error };
+  }
+
+  customIngredients[index] = result.ingredient;
+  saveCustomIngredients();
+  notifyListeners('update', result.ingredient);
+
+  return { success: true, ingredient: result.ingredient };
+}
+
+/**
+ * Delete a custom ingredient. Callers should make sure it isn't in the pantry.
+ * @returns {Object} { success } or { success: false, error }
+ */
+export function deleteCustomIngredient(id) {
+  const ingredient = customIngredients.find(ing => ing.id === id);
+  if (!ingredient) {
+    return { success: false, error: 'Only custom ingredients can be deleted' };
+  }
+
+  customIngredients = customIngredients.filter(ing => ing.id !== id);
+  saveCustomIngredients();
+  notifyListeners('delete', ingredient);
+
+  return { success: true };
+}
+
 /**
  * Normalize an ingredient name for matching
  * Handles common variations and plurals
@@ -192,12 +406,18 @@ export function getIngredientIcon(ingredient) {
 
 export default {
   loadIngredients,
+  onCustomIngredientsChange,
   getIngredientById,
   getIngredientsMap,
   searchIngredients,
   getIngredientsByCategory,
   getIngredientsBySubcategory,
   getCategories,
+  getCustomIngredients,
+  isCustomIngredient,
+  createCustomIngredient,
+  updateCustomIngredient,
+  deleteCustomIngredient,
   normalizeIngredientName,
   findIngredientByName,
   getCategoryIcon,
@@ -0,0 +1,96 @@
+/**
+ * Ingredient Search Module
+ * Search ranked for this household: searchIngredients() and searchRecipes()
+ * matching, with ingredients already in the pantry and ones used lately
+ * (going by pantry history) pulled up, as are recipes made of them. Shared by
+ * every ingredient search box and the recipe searches.
+ */
+
+import { searchIngredients } from './ingredientManager.js';
+import { searchRecipes } from './recipeManager.js';
+import { hasPantryItem } from './pantryManager.js';
+import { getHistoryEntries } from './pantryHistory.js';
+
+// Points added to an ingredient's match score
+const PANTRY_BOOST = 15;
+const RECENT_BOOST = 10;
+
+// Only good text matches are boosted (about a whole word with one typo), so
+// a weak match like "parm" -> "warm water" doesn't outrank real ones
+const MIN_BOOSTED_SCORE = 70;
+
+// Pantry changes older than this don't count as recent use
+const RECENT_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * When each ingredient was last added, changed or removed, within RECENT_DAYS
+ * @returns {Map} ingredientId -> days ago
+ */
+function getRecentlyUsed() {
+  const recent = new Map();
+  const now = Date.now();
+
+  getHistoryEntries().forEach(entry => {
+    if (!entry.ingredientId) return;
+    const daysAgo = (now - new Date(entry.at).getTime()) / MS_PER_DAY;
+    if (daysAgo > RECENT_DAYS) return;
+    if (!recent.has(entry.ingredientId) || daysAgo < recent.get(entry.ingredientId)) {
+      recent.set(entry.ingredientId, daysAgo);
+    }
+  });
+
+  return recent;
+}
+
+/**
+ * Points for an ingredient being on hand and recently used
+ */
+function getIngredientBoost(ingredientId, recent) {
+  let boost = hasPantryItem(ingredientId) ? PANTRY_BOOST : 0;
+  if (recent.has(ingredientId)) {
+    boost += Math.round(RECENT_BOOST * (1 - recent.get(ingredientId) / RECENT_DAYS));
+  }
+  return boost;
+}
+
+/**
+ * Search ingredients, ranking what the household has and uses higher
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Array} Ingredients, best first
+ */
+export function searchIngredientsRanked(query, limit = 10) {
+  const recent = getRecentlyUsed();
+
+  return searchIngredients(query, limit, {
+    boost: (ingredient, score) => score < MIN_BOOSTED_SCORE ? 0 : getIngredientBoost(ingredient.id, recent)
+  });
+}
+
+/**
+ * Search recipes, ranking ones made from what the household has and uses
+ * higher (the average boost of their required ingredients)
+ * @param {Array} recipes
+ * @param {string} query
+ * @returns {Array} Matching recipes, best first
+ */
+export function searchRecipesRanked(recipes, query) {
+  const recent = getRecentlyUsed();
+
+  return searchRecipes(recipes, query, {
+    boost: (recipe, score) => {
+      const required = recipe.ingredients.filter(ing => !ing.optional);
+      if (score < MIN_BOOSTED_SCORE || required.length === 0) return 0;
+
+      const total = required.reduce((sum, ing) => sum + getIngredientBoost(ing.ingredientId, recent), 0);
+      return Math.round(total / required.length);
+    }
+  });
+}
+
+export default {
+  searchIngredientsRanked,
+  searchRecipesRanked
+};
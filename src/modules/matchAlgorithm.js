@@ -2,60 +2,241 @@
  * Match Algorithm Module
  * Calculates recipe matching scores based on pantry contents
  * Extended with nutrition-based suggestions
+ *
+ * Once initMatchCache() has run, match results against the current pantry are
+ * cached per recipe. A change to one ingredient (a pantry item added, updated
+ * or removed, a planned meal, a staple) only drops the recipes that use it or
+ * could use it as a substitute, found through the recipe manager's ingredient
+ * index; anything broader clears the cache.
  */
 
-import { getIngredientById, getIngredientsMap } from './ingredientManager.js';
-import { getPantryIngredientIds } from './pantryManager.js';
-import { calculateRecipeNutrition } from './nutritionCalculator.js';
+import { getIngredientById, onCustomIngredientsChange } from './ingredientManager.js';
+import { getPantryIngredientIds, getDaysUntilExpiry, onPantryChange } from './pantryManager.js';
+import { getAvailableCoverage, findSubstitute, parseDate, formatDate, onMealPlanChange } from './mealPlanManager.js';
+import { isStaple, onStaplesChange } from './staples.js';
+import { getSubstitutionRules, onSubstitutionsChange } from './substitutions.js';
+import { getRecipeNutrition } from './nutritionCalculator.js';
 import { getRemainingNutrition, checkRecipeFitsNutrition } from './nutritionAggregator.js';
-import { isTrackingEnabled, getAllDailyGoals } from './nutritionPrefsManager.js';
-import { getRecipes } from './recipeManager.js';
+import { isTrackingEnabled, getAllDailyGoals, getHistoryWeight } from './nutritionPrefsManager.js';
+import { getRecipes, getRecipeById, getRecipeIdsUsingIngredient } from './recipeManager.js';
+import { buildTasteProfile, scoreRecipeForUser } from './recommendations.js';
+import { filterRecipesByProfile, checkRecipeAgainstProfile } from './dietaryProfile.js';
+
+// Items expiring within this many days count as "use soon"
+export const USE_SOON_DAYS = 3;
+
+// Expiry urgency fades out linearly over this many days
+const URGENCY_HORIZON_DAYS = 7;
+
+// How much expiry urgency adds to the match score when ranking
+const URGENCY_WEIGHT = 0.5;
+
+// Largest shopping bundle the unlock analysis suggests
+export const MAX_UNLOCK_ITEMS = 3;
+
+// Priority points against a suggestion that breaks the household's dietary
+// needs (when the profile warns rather than hides)
+const DIET_CONFLICT_PENALTY = 50;
+
+const TYPE_ORDER = { full: 0, partial: 1, minimal: 2, none: 3 };
+
+let matchCache = new Map(); // Recipe ID -> { recipe, result } against the current pantry
+let matchCacheDay = null; // Expiry urgency changes from one day to the next
+let cacheSubscriptions = [];
+
+/**
+ * Urgency (0-1) of using an ingredient, from days until it expires.
+ * Already-expired items get no urgency so they are never pushed into recipes.
+ */
+function getExpiryUrgency(daysLeft) {
+  if (daysLeft === null || daysLeft < 0) return 0;
+  return Math.max(0, (URGENCY_HORIZON_DAYS - daysLeft) / URGENCY_HORIZON_DAYS);
+}
+
+/**
+ * Describe the expiring items a recipe uses up, e.g. "Uses up Chicken Breast (tomorrow), Spinach (3 days)"
+ * @param {Array} usesExpiring - matchResult.usesExpiring
+ * @returns {string} Empty string if nothing is expiring
+ */
+export function describeExpiringUse(usesExpiring = []) {
+  if (usesExpiring.length === 0) return '';
+
+  const parts = usesExpiring.map(({ name, daysLeft }) => {
+    const when = daysLeft === 0 ? 'today' : daysLeft === 1 ? 'tomorrow' : `${daysLeft} days`;
+    return `${name} (${when})`;
+  });
+
+  return `Uses up ${parts.join(', ')}`;
+}
 
 /**
- * Calculate match score for a recipe against current pantry
+ * Start caching match results and keep the cache in step with everything a
+ * match depends on. Call once the pantry, meal plan and recipes are loaded.
  */
-export function calculateMatchScore(recipe, pantryIds = null) {
-  const pantry = pantryIds || getPantryIngredientIds();
+export function initMatchCache() {
+  cacheSubscriptions.forEach(unsubscribe => unsubscribe());
+  matchCache = new Map();
+  matchCacheDay = formatDate(new Date());
+
+  cacheSubscriptions = [
+    onPantryChange(({ action, item }) => {
+      const single = item && ['add', 'update', 'remove'].includes(action);
+      invalidateMatches(single ? [item.ingredientId] : null);
+    }),
+    // Planned meals reserve their ingredients
+    onMealPlanChange(({ data }) => {
+      const recipe = data?.meal ? getRecipeById(data.meal.recipeId) : null;
+      invalidateMatches(recipe ? recipe.ingredients.map(ing => ing.ingredientId) : null);
+    }),
+    onStaplesChange(({ ingredientId }) => invalidateMatches(ingredientId ? [ingredientId] : null)),
+    onSubstitutionsChange(() => invalidateMatches()),
+    onCustomIngredientsChange(() => invalidateMatches())
+  ];
+}
+
+/**
+ * Drop cached match results
+ * @param {Array} ingredientIds - Ingredients that changed; omit to drop everything
+ */
+export function invalidateMatches(ingredientIds = null) {
+  if (!ingredientIds) {
+    matchCache = new Map();
+    return;
+  }
+
+  // Recipes using a changed ingredient, or an ingredient it can stand in for
+  const changed = new Set(ingredientIds);
+  const affected = new Set(changed);
+  getSubstitutionRules().forEach(rule => {
+    if (changed.has(rule.to)) affected.add(rule.from);
+  });
+
+  affected.forEach(ingredientId => {
+    getRecipeIdsUsingIngredient(ingredientId).forEach(recipeId => matchCache.delete(recipeId));
+  });
+}
+
+/**
+ * Calculate match score for a recipe against current pantry.
+ * Each ingredient is matched (enough on hand), short (some, not enough) or
+ * missing; `coverage` maps ingredient IDs to the fraction on hand. When a
+ * substitute on hand covers more than the ingredient itself, the entry carries
+ * a `substitution` (see findSubstitute) and `substitutions` maps ingredient IDs to it.
+ * Staples always count as fully on hand; their entries are marked `staple`.
+ * Results against the current pantry at the recipe's own servings come from
+ * the cache (see initMatchCache), so treat them as read-only.
+ * @param {Object} recipe
+ * @param {Set} pantryIds - Optional pantry ingredient IDs (defaults to current pantry)
+ * @param {Object} options - { servings } to scale quantities (defaults to the recipe's)
+ */
+export function calculateMatchScore(recipe, pantryIds = null, options = {}) {
+  // Only catalog recipes are in the ingredient index, so only they can be invalidated
+  const cacheable = !pantryIds && !options.servings && cacheSubscriptions.length > 0
+    && getRecipeById(recipe.id) === recipe;
+  if (!cacheable) {
+    return computeMatchScore(recipe, pantryIds || getPantryIngredientIds(), options);
+  }
+
+  const today = formatDate(new Date());
+  if (today !== matchCacheDay) {
+    matchCache = new Map();
+    matchCacheDay = today;
+  }
+
+  const cached = matchCache.get(recipe.id);
+  if (cached?.recipe === recipe) return cached.result;
+
+  const result = computeMatchScore(recipe, getPantryIngredientIds(), options);
+  matchCache.set(recipe.id, { recipe, result });
+  return result;
+}
+
+/**
+ * Match a recipe against a set of pantry ingredient IDs (uncached)
+ */
+function computeMatchScore(recipe, pantry, options) {
+  const scale = (options.servings || recipe.servings) / recipe.servings;
 
   let requiredCount = 0;
   let requiredHave = 0;
+  let requiredCovered = 0;
   let optionalCount = 0;
-  let optionalHave = 0;
+  let optionalCovered = 0;
 
   const matched = [];
+  const short = [];
   const missing = [];
+  const coverage = {};
+  const substitutions = {};
+  const usesExpiring = [];
+  let urgencyTotal = 0;
 
   recipe.ingredients.forEach(recipeIng => {
     const ingredient = getIngredientById(recipeIng.ingredientId);
     const hasIt = pantry.has(recipeIng.ingredientId);
+    const staple = isStaple(recipeIng.ingredientId);
+    const needed = (recipeIng.quantity || 0) * scale;
+    let covered = staple ? 1
+      : hasIt ? getAvailableCoverage(recipeIng.ingredientId, needed, recipeIng.unit)
+      : 0;
+
+    let substitution = null;
+    if (covered < 1) {
+      const substitute = findSubstitute(recipeIng.ingredientId, needed, recipeIng.unit, pantry);
+      if (substitute && substitute.coverage > covered) {
+        substitution = substitute;
+        covered = substitute.coverage;
+        substitutions[recipeIng.ingredientId] = substitute;
+      }
+    }
+    coverage[recipeIng.ingredientId] = covered;
+
+    if (hasIt) {
+      const daysLeft = getDaysUntilExpiry(recipeIng.ingredientId);
+      urgencyTotal += getExpiryUrgency(daysLeft);
+
+      if (daysLeft !== null && daysLeft >= 0 && daysLeft <= USE_SOON_DAYS) {
+        usesExpiring.push({
+          ingredientId: recipeIng.ingredientId,
+          name: ingredient?.name || recipeIng.ingredientId,
+          daysLeft
+        });
+      }
+    }
+
+    const entry = { ...recipeIng, ingredient, optional: !!recipeIng.optional, coverage: covered, substitution, staple };
+    if (covered >= 1) {
+      matched.push(entry);
+    } else if (covered > 0) {
+      short.push(entry);
+    } else if (!recipeIng.optional) {
+      missing.push(entry);
+    }
 
     if (recipeIng.optional) {
       optionalCount++;
-      if (hasIt) {
-        optionalHave++;
-        matched.push({ ...recipeIng, ingredient, optional: true });
-      }
+      optionalCovered += covered;
     } else {
       requiredCount++;
-      if (hasIt) {
-        requiredHave++;
-        matched.push({ ...recipeIng, ingredient, optional: false });
-      } else {
-        missing.push({ ...recipeIng, ingredient, optional: false });
-      }
+      requiredCovered += covered;
+      if (covered >= 1) requiredHave++;
     }
   });
 
-  // Calculate percentage of required ingredients
-  const requiredPercent = requiredCount > 0
-    ? Math.round((requiredHave / requiredCount) * 100)
-    : 100;
+  // Percentage of required quantities on hand; only 100 when nothing is short
+  const requiredPercent = requiredCount === 0 ? 100
+    : requiredHave === requiredCount ? 100
+    : Math.min(99, Math.round((requiredCovered / requiredCount) * 100));
 
-  // Calculate overall score (required=10pts, optional=3pts)
+  // Calculate overall score (required=10pts, optional=3pts, scaled by coverage)
   const maxScore = (requiredCount * 10) + (optionalCount * 3);
-  const actualScore = (requiredHave * 10) + (optionalHave * 3);
+  const actualScore = (requiredCovered * 10) + (optionalCovered * 3);
   const score = maxScore > 0 ? Math.round((actualScore / maxScore) * 100) : 0;
 
+  // Expiry urgency: one item expiring today is worth 50, capped at 100
+  const urgencyScore = Math.min(100, Math.round(urgencyTotal * 50));
+  usesExpiring.sort((a, b) => a.daysLeft - b.daysLeft);
+
   // Determine match type
   let matchType;
   if (requiredPercent === 100) {
@@ -73,33 +254,54 @@ export function calculateMatchScore(recipe, pantryIds = null) {
     requiredPercent,
     matchType,
     matched,
+    short,
     missing,
+    coverage,
+    substitutions,
     requiredHave,
+    requiredShort: short.filter(entry => !entry.optional).length,
     requiredCount,
-    optionalHave,
-    optionalCount
+    optionalHave: matched.filter(entry => entry.optional).length,
+    optionalCount,
+    urgencyScore,
+    usesExpiring,
+    rankScore: score + urgencyScore * URGENCY_WEIGHT
   };
 }
 
+/**
+ * Compare two matched recipes by match type, then by score with expiry urgency
+ */
+function compareByMatch(a, b) {
+  const typeDiff = TYPE_ORDER[a.matchResult.matchType] - TYPE_ORDER[b.matchResult.matchType];
+  if (typeDiff !== 0) return typeDiff;
+  return b.matchResult.rankScore - a.matchResult.rankScore;
+}
+
+/**
+ * Compare two matched recipes by how urgently they use up expiring items
+ */
+function compareByUseSoon(a, b) {
+  const urgencyDiff = b.matchResult.urgencyScore - a.matchResult.urgencyScore;
+  if (urgencyDiff !== 0) return urgencyDiff;
+  return compareByMatch(a, b);
+}
+
 /**
  * Get all recipes sorted by match score
+ * @param {Array} recipes
+ * @param {Set} pantryIds - Optional pantry ingredient IDs (defaults to current pantry)
+ * @param {Object} options - { sortBy: 'match' | 'useSoon' }
  */
-export function getMatchedRecipes(recipes, pantryIds = null) {
-  const pantry = pantryIds || getPantryIngredientIds();
+export function getMatchedRecipes(recipes, pantryIds = null, options = {}) {
+  const { sortBy = 'match' } = options;
 
   return recipes
     .map(recipe => ({
       ...recipe,
-      matchResult: calculateMatchScore(recipe, pantry)
+      matchResult: calculateMatchScore(recipe, pantryIds)
     }))
-    .sort((a, b) => {
-      // Sort by match type first, then by score
-      const typeOrder = { full: 0, partial: 1, minimal: 2, none: 3 };
-      const typeDiff = typeOrder[a.matchResult.matchType] - typeOrder[b.matchResult.matchType];
-
-      if (typeDiff !== 0) return typeDiff;
-      return b.matchResult.score - a.matchResult.score;
-    });
+    .sort(sortBy === 'useSoon' ? compareByUseSoon : compareByMatch);
 }
 
 /**
@@ -116,6 +318,8 @@ export function filterByMatchType(matchedRecipes, matchType) {
         return recipe.matchResult.requiredPercent >= 70;
       case 'minimal':
         return recipe.matchResult.requiredPercent >= 50;
+      case 'useSoon':
+        return recipe.matchResult.usesExpiring.length > 0;
       default:
         return true;
     }
@@ -126,14 +330,77 @@ export function filterByMatchType(matchedRecipes, matchType) {
  * Count recipes that can be made (100% match)
  */
 export function countMakeableRecipes(recipes, pantryIds = null) {
-  const pantry = pantryIds || getPantryIngredientIds();
-
   return recipes.filter(recipe => {
-    const match = calculateMatchScore(recipe, pantry);
+    const match = calculateMatchScore(recipe, pantryIds);
     return match.matchType === 'full';
   }).length;
 }
 
+/**
+ * Find what to buy to open up the most recipes: ingredients, or bundles of up
+ * to `maxItems` of them, ranked by how many recipes buying them would move to
+ * a full match. Only required ingredients block a recipe (short or missing);
+ * optional ones, staples and on-hand substitutes don't.
+ * @param {Array} recipes
+ * @param {Object} options - { maxItems, limit, pantryIds }
+ * @returns {Array} [{ ingredients: [{ ingredientId, name }], recipes: [{ id, title }], unlockCount }],
+ *   most recipes first, then fewest items
+ */
+export function getUnlockSuggestions(recipes, options = {}) {
+  const { maxItems = MAX_UNLOCK_ITEMS, limit = 5, pantryIds = null } = options;
+
+  // What stands between each recipe and a full match, if it's few enough things
+  const blocked = [];
+  recipes.forEach(recipe => {
+    const match = calculateMatchScore(recipe, pantryIds);
+    if (match.matchType === 'full') return;
+
+    const needs = new Set([...match.short, ...match.missing]
+      .filter(entry => !entry.optional)
+      .map(entry => entry.ingredientId));
+    if (needs.size > 0 && needs.size <= maxItems) {
+      blocked.push({ recipe, needs });
+    }
+  });
+
+  // Any useful bundle is a union of some recipes' needs; build them up a set at a time
+  const bundles = new Map(); // sorted ids joined -> ids
+  let frontier = [];
+  const addBundle = ids => {
+    const key = [...ids].sort().join('|');
+    if (ids.size > maxItems || bundles.has(key)) return;
+    bundles.set(key, ids);
+    frontier.push(ids);
+  };
+
+  blocked.forEach(({ needs }) => addBundle(needs));
+  for (let size = 1; size < maxItems && frontier.length > 0; size++) {
+    const previous = frontier;
+    frontier = [];
+    previous.forEach(bundle => {
+      blocked.forEach(({ needs }) => addBundle(new Set([...bundle, ...needs])));
+    });
+  }
+
+  const ingredientName = id => getIngredientById(id)?.name || id;
+
+  return Array.from(bundles.values())
+    .map(bundle => {
+      const unlocked = blocked.filter(({ needs }) => [...needs].every(id => bundle.has(id)));
+      return {
+        ingredients: [...bundle]
+          .map(ingredientId => ({ ingredientId, name: ingredientName(ingredientId) }))
+          .sort((a, b) => a.name.localeCompare(b.name)),
+        recipes: unlocked.map(({ recipe }) => ({ id: recipe.id, title: recipe.title })),
+        unlockCount: unlocked.length
+      };
+    })
+    .sort((a, b) => b.unlockCount - a.unlockCount
+      || a.ingredients.length - b.ingredients.length
+      || a.ingredients[0].name.localeCompare(b.ingredients[0].name))
+    .slice(0, limit);
+}
+
 /**
  * Score how well a recipe (1 serving) fits the remaining nutrition budget
  * Lower score = better fit
@@ -142,8 +409,7 @@ export function countMakeableRecipes(recipes, pantryIds = null) {
  * @returns {Object} - { score, details, fits }
  */
 export function scoreRecipeNutritionFit(recipe, remainingNutrition) {
-  const ingredientsMap = getIngredientsMap();
-  const recipeNutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const recipeNutrition = getRecipeNutrition(recipe);
 
   if (!recipeNutrition || !recipeNutrition.perServing) {
     return { score: 1000, details: {}, fits: false, noData: true };
@@ -228,7 +494,7 @@ export function getNutritionBasedSuggestions(dateStr, mealType = null, maxResult
   }
 
   const remaining = getRemainingNutrition(dateStr);
-  let recipes = getRecipes();
+  let recipes = filterRecipesByProfile(getRecipes());
 
   // Filter by meal type if specified
   if (mealType) {
@@ -271,35 +537,55 @@ export function getNutritionBasedSuggestions(dateStr, mealType = null, maxResult
   return fitting;
 }
 
+/**
+ * Explain a suggestion in a sentence, e.g.
+ * "You've cooked this 6 times · Uses up Spinach (tomorrow) · You have everything"
+ */
+function describeWhyRecommended({ matchResult, nutritionFit, personal, dietCheck }) {
+  const reasons = dietCheck.warning ? [`⚠️ ${dietCheck.warning}`] : [];
+  reasons.push(...personal.reasons);
+
+  const expiring = describeExpiringUse(matchResult.usesExpiring);
+  if (expiring) reasons.push(expiring);
+
+  reasons.push(matchResult.matchType === 'full'
+    ? 'You have everything'
+    : `You have ${matchResult.requiredHave} of ${matchResult.requiredCount} ingredients`);
+
+  if (nutritionFit?.fits && !nutritionFit.noData) {
+    reasons.push('Fits what\'s left of today\'s nutrition goals');
+  }
+
+  return reasons.join(' · ');
+}
+
 /**
  * Get recipe suggestions that fit both nutrition and pantry constraints
- * Used for the meal planner suggestions panel
+ * Used for the meal planner suggestions panel.
+ * Cooking history and likes (see recommendations.js) pull recipes forward or
+ * back by up to `historyWeight` priority points; 0 ignores them.
+ * With sortBy 'useSoon', only recipes using expiring items are returned, most urgent first.
+ * Recipes the dietary profile hides are never suggested; in warn mode ones
+ * that break it sink down the list.
+ * Each suggestion carries usesExpiring, an expiringSummary string, the
+ * `personal` score, the `dietCheck` and a human-readable whyRecommended.
  */
 export function getSuggestionsForDate(dateStr, options = {}) {
   const {
     mealType = null,
     maxResults = 5,
     includePartialMatch = true,
-    minPantryMatch = 50
+    minPantryMatch = 50,
+    sortBy = 'match',
+    historyWeight = getHistoryWeight()
   } = options;
 
-  if (!isTrackingEnabled()) {
-    // Fall back to pantry-based suggestions only
-    let recipes = getRecipes();
-    if (mealType) {
-      recipes = recipes.filter(r => {
-        if (Array.isArray(r.mealType)) return r.mealType.includes(mealType);
-        return r.mealType === mealType;
-      });
-    }
-    return getMatchedRecipes(recipes)
-      .filter(r => r.matchResult.requiredPercent >= minPantryMatch)
-      .slice(0, maxResults);
-  }
-
-  const remaining = getRemainingNutrition(dateStr);
-  let recipes = getRecipes();
+  const useSoon = sortBy === 'useSoon';
+  const tracking = isTrackingEnabled();
+  const remaining = tracking ? getRemainingNutrition(dateStr) : null;
+  const profile = historyWeight > 0 ? buildTasteProfile(parseDate(dateStr)) : null;
 
+  let recipes = filterRecipesByProfile(getRecipes());
   if (mealType) {
     recipes = recipes.filter(r => {
       if (Array.isArray(r.mealType)) return r.mealType.includes(mealType);
@@ -309,34 +595,53 @@ export function getSuggestionsForDate(dateStr, options = {}) {
 
   // Score all recipes
   const scored = recipes.map(recipe => {
-    const nutritionFit = scoreRecipeNutritionFit(recipe, remaining);
-    const pantryMatch = calculateMatchScore(recipe);
+    const matchResult = calculateMatchScore(recipe);
+    const nutritionFit = tracking ? scoreRecipeNutritionFit(recipe, remaining) : null;
+    const personal = profile ? scoreRecipeForUser(recipe, profile) : { score: 0, reasons: [], concerns: [] };
+    const dietCheck = checkRecipeAgainstProfile(recipe);
 
     return {
       ...recipe,
       nutritionFit,
-      matchResult: pantryMatch,
-      fitsNutrition: nutritionFit.fits,
+      matchResult,
+      fitsNutrition: nutritionFit ? nutritionFit.fits : true,
+      personal,
+      dietCheck,
       // Priority: fits nutrition + full pantry match > fits nutrition + partial > doesn't fit
-      priority: (nutritionFit.fits ? 0 : 100) + (100 - pantryMatch.requiredPercent)
+      // Expiry urgency (strongly when sorting by "use soon") and taste pull recipes forward
+      priority: (nutritionFit && !nutritionFit.fits ? 100 : 0) + (100 - matchResult.requiredPercent)
+        + (dietCheck.allowed ? 0 : DIET_CONFLICT_PENALTY)
+        - matchResult.urgencyScore * (useSoon ? 2 : URGENCY_WEIGHT)
+        - personal.score * historyWeight
     };
   });
 
   // Sort and filter
-  let results = scored
+  return scored
     .filter(r => includePartialMatch || r.matchResult.requiredPercent >= 100)
     .filter(r => r.matchResult.requiredPercent >= minPantryMatch)
+    .filter(r => !useSoon || r.matchResult.usesExpiring.length > 0)
     .sort((a, b) => a.priority - b.priority)
-    .slice(0, maxResults);
-
-  return results;
+    .slice(0, maxResults)
+    .map(recipe => ({
+      ...recipe,
+      usesExpiring: recipe.matchResult.usesExpiring,
+      expiringSummary: describeExpiringUse(recipe.matchResult.usesExpiring),
+      whyRecommended: describeWhyRecommended(recipe)
+    }));
 }
 
 export default {
+  USE_SOON_DAYS,
+  initMatchCache,
+  invalidateMatches,
+  describeExpiringUse,
   calculateMatchScore,
   getMatchedRecipes,
   filterByMatchType,
   countMakeableRecipes,
+  MAX_UNLOCK_ITEMS,
+  getUnlockSuggestions,
   scoreRecipeNutritionFit,
   getNutritionBasedSuggestions,
   getSuggestionsForDate
@@ -5,11 +5,20 @@
 
 import { getIngredientById } from './ingredientManager.js';
 import { getRecipeById } from './recipeManager.js';
-import { getPantryItem, getPantryItems, onPantryChange } from './pantryManager.js';
-import { convertQuantity, areUnitsCompatible } from './unitConverter.js';
+import {
+  getPantryItem,
+  getPantryItems,
+  onPantryChange,
+  consumePantryQuantities,
+  restoreConsumedQuantities
+} from './pantryManager.js';
+import { convertQuantity, areUnitsCompatible, humanizeQuantity } from './unitConverter.js';
+import { getSubstitutesFor, getSubstituteAmount } from './substitutions.js';
+import { isStaple } from './staples.js';
 import { schedulePushToCloud } from '../services/syncOrchestrator.js';
 
 const STORAGE_KEY = 'pantry_planner_meals';
+const LEDGER_STORAGE_KEY = 'pantry_planner_consumption';
 const EXPORT_VERSION = '1.0.0';
 
 // Meal status constants
@@ -23,6 +32,7 @@ let mealPlanData = {
   version: EXPORT_VERSION,
   meals: {} // { "YYYY-MM-DD": [meal, meal, ...] }
 };
+let consumptionLedger = {}; // mealId -> what was taken from the pantry when it was eaten
 let listeners = [];
 
 /**
@@ -92,6 +102,14 @@ export function initMealPlan() {
     console.error('Failed to load meal plan from storage:', error);
     mealPlanData = { version: EXPORT_VERSION, meals: {} };
   }
+
+  try {
+    consumptionLedger = JSON.parse(localStorage.getItem(LEDGER_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Failed to load consumption ledger:', error);
+    consumptionLedger = {};
+  }
+
   return mealPlanData;
 }
 
@@ -107,6 +125,17 @@ function saveMealPlan() {
   }
 }
 
+/**
+ * Save the consumption ledger to localStorage (device-local, not synced)
+ */
+function saveLedger() {
+  try {
+    localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(consumptionLedger));
+  } catch (error) {
+    console.error('Failed to save consumption ledger:', error);
+  }
+}
+
 /**
  * Notify all listeners of changes
  */
@@ -291,6 +320,12 @@ export function removeMeal(mealId) {
         delete mealPlanData.meals[dateStr];
       }
 
+      // The food is gone either way - just forget how it was deducted
+      if (consumptionLedger[mealId]) {
+        delete consumptionLedger[mealId];
+        saveLedger();
+      }
+
       saveMealPlan();
       notifyListeners('remove', { date: dateStr, meal: removed });
       return true;
@@ -313,22 +348,61 @@ export function clearWeek(startDate) {
     }
   });
 
+  if (removed.some(meal => consumptionLedger[meal.id])) {
+    removed.forEach(meal => delete consumptionLedger[meal.id]);
+    saveLedger();
+  }
+
   saveMealPlan();
   notifyListeners('clearWeek', { startDate, removed });
   return removed.length;
 }
 
+/**
+ * Whether a meal is still planned (meals saved before status tracking have no status)
+ */
+function isPlanned(meal) {
+  return (meal.status || MEAL_STATUS.PLANNED) === MEAL_STATUS.PLANNED;
+}
+
+/**
+ * Capture the whole meal plan (including the consumption ledger) for undo/redo
+ * @returns {Object} Deep copy of { meals, ledger }
+ */
+export function getMealPlanSnapshot() {
+  return JSON.parse(JSON.stringify({ meals: mealPlanData.meals, ledger: consumptionLedger }));
+}
+
+/**
+ * Restore a snapshot taken with getMealPlanSnapshot()
+ * @param {Object} snapshot - { meals, ledger }
+ */
+export function restoreMealPlanSnapshot(snapshot) {
+  const copy = JSON.parse(JSON.stringify(snapshot));
+  mealPlanData.meals = copy.meals || {};
+  consumptionLedger = copy.ledger || {};
+  saveLedger();
+  saveMealPlan();
+  notifyListeners('restore', null);
+}
+
 /**
  * Calculate reserved quantity for an ingredient across all planned meals
- * Skips leftovers since ingredients are already counted in the original meal
+ * Skips leftovers since ingredients are already counted in the original meal,
+ * and eaten/dismissed meals since they no longer need pantry stock
+ * @param {string} ingredientId
+ * @param {string} unit - Unit to total in (defaults to the pantry item's unit).
+ *   Recipe amounts are converted into it, across weight and volume by density;
+ *   amounts that can't be converted are counted as-is.
  */
-export function getReservedQuantity(ingredientId) {
+export function getReservedQuantity(ingredientId, unit = null) {
+  const targetUnit = unit || getPantryItem(ingredientId)?.unit || null;
   let reserved = 0;
 
   Object.values(mealPlanData.meals).forEach(dayMeals => {
     dayMeals.forEach(meal => {
       // Skip leftovers - ingredients already counted in original meal
-      if (meal.isLeftover) return;
+      if (meal.isLeftover || !isPlanned(meal)) return;
 
       const recipe = getRecipeById(meal.recipeId);
       if (!recipe) return;
@@ -337,7 +411,10 @@ export function getReservedQuantity(ingredientId) {
       if (recipeIng) {
         // Scale by servings: (recipe ingredient qty * meal servings / recipe servings)
         const scaledQty = (recipeIng.quantity * meal.servings) / recipe.servings;
-        reserved += scaledQty;
+        const converted = targetUnit && recipeIng.unit !== targetUnit
+          ? convertQuantity(scaledQty, recipeIng.unit, targetUnit, ingredientId)
+          : null;
+        reserved += converted ?? scaledQty;
       }
     });
   });
@@ -352,12 +429,67 @@ export function getAvailableQuantity(ingredientId) {
   const pantryItem = getPantryItem(ingredientId);
   if (!pantryItem) return 0;
 
-  const reserved = getReservedQuantity(ingredientId);
+  const reserved = getReservedQuantity(ingredientId, pantryItem.unit);
   return Math.max(0, pantryItem.quantity - reserved);
 }
 
 /**
- * Check if a recipe can be made with available ingredients
+ * Fraction (0-1) of an amount covered by what's available after reservations
+ * for planned meals. Amounts that can't be measured (no quantity, units that
+ * don't convert) count as covered when the item is on hand.
+ * @param {string} ingredientId
+ * @param {number} needed - Amount needed, in `unit`
+ * @param {string} unit
+ */
+export function getAvailableCoverage(ingredientId, needed, unit) {
+  const pantryItem = getPantryItem(ingredientId);
+  if (!pantryItem) return 0;
+  if (!(needed > 0)) return 1;
+
+  const available = getAvailableQuantity(ingredientId);
+  const inUnit = pantryItem.unit === unit ? available
+    : convertQuantity(available, pantryItem.unit, unit, ingredientId);
+  if (inUnit === null) return 1;
+
+  return Math.min(1, Math.round((inUnit / needed) * 100) / 100);
+}
+
+/**
+ * Find the on-hand substitute that best covers an amount of an ingredient
+ * @param {string} ingredientId - The ingredient a recipe asks for
+ * @param {number} needed - Amount of it needed, in `unit`
+ * @param {string} unit
+ * @param {Set} pantryIds - Optional pantry ingredient IDs to pick substitutes from
+ * @returns {Object|null} { ruleId, ingredientId, name, quantity, unit, ratio, note, coverage }
+ */
+export function findSubstitute(ingredientId, needed, unit, pantryIds = null) {
+  let best = null;
+
+  getSubstitutesFor(ingredientId).forEach(rule => {
+    const staple = isStaple(rule.to);
+    if (!staple && (pantryIds ? !pantryIds.has(rule.to) : !getPantryItem(rule.to))) return;
+
+    const amount = getSubstituteAmount(rule, needed || 0, unit);
+    const coverage = staple ? 1 : getAvailableCoverage(rule.to, amount.quantity, amount.unit);
+    if (coverage <= 0 || (best && coverage <= best.coverage)) return;
+
+    best = {
+      ruleId: rule.id,
+      ingredientId: rule.to,
+      name: getIngredientById(rule.to)?.name || rule.to,
+      quantity: amount.quantity,
+      unit: amount.unit,
+      ratio: rule.ratio,
+      note: rule.note,
+      coverage
+    };
+  });
+
+  return best;
+}
+
+/**
+ * Check if a recipe can be made with available ingredients. Staples are always available.
  * Returns { canMake: boolean, missing: [{ingredientId, name, needed, available}], warnings: [...] }
  */
 export function checkRecipeAvailability(recipe, servings = null) {
@@ -366,11 +498,11 @@ export function checkRecipeAvailability(recipe, servings = null) {
   const warnings = [];
 
   recipe.ingredients.forEach(recipeIng => {
-    if (recipeIng.optional) return;
+    if (recipeIng.optional || isStaple(recipeIng.ingredientId)) return;
 
     const ingredient = getIngredientById(recipeIng.ingredientId);
     const pantryItem = getPantryItem(recipeIng.ingredientId);
-    const reservedQty = getReservedQuantity(recipeIng.ingredientId);
+    const reservedQty = pantryItem ? getReservedQuantity(recipeIng.ingredientId, pantryItem.unit) : 0;
     const needed = (recipeIng.quantity * targetServings) / recipe.servings;
     const recipeUnit = recipeIng.unit;
 
@@ -394,15 +526,15 @@ export function checkRecipeAvailability(recipe, servings = null) {
     let availableInRecipeUnit = availableInPantryUnit;
 
     if (pantryUnit !== recipeUnit) {
-      if (areUnitsCompatible(pantryUnit, recipeUnit)) {
+      // Weight and volume convert through the ingredient's density ("1 lb flour" vs "2 cups flour")
+      if (areUnitsCompatible(pantryUnit, recipeUnit, recipeIng.ingredientId)) {
         // Convert pantry quantity to recipe unit
-        const converted = convertQuantity(availableInPantryUnit, pantryUnit, recipeUnit);
+        const converted = convertQuantity(availableInPantryUnit, pantryUnit, recipeUnit, recipeIng.ingredientId);
         if (converted !== null) {
           availableInRecipeUnit = converted;
         }
       }
-      // If units are incompatible, fall back to assuming we have it if quantity > 0
-      // This is a graceful fallback for cases like "1 lb flour" vs "2 cups flour"
+      // If units are still incompatible (e.g. pieces vs grams), fall back to the raw quantity
     }
 
     if (availableInRecipeUnit < needed) {
@@ -440,7 +572,8 @@ export function checkRecipeAvailability(recipe, servings = null) {
 /**
  * Get shopping list for a date range
  * Returns ingredients needed but not available in pantry
- * Skips leftovers since ingredients are already purchased for original meal
+ * Skips leftovers since ingredients are already purchased for original meal,
+ * and staples since they are always on hand
  */
 export function getShoppingList(startDate, endDate = null) {
   const endDateStr = endDate ? formatDate(endDate) : null;
@@ -454,32 +587,42 @@ export function getShoppingList(startDate, endDate = null) {
 
     dayMeals.forEach(meal => {
       // Skip leftovers - ingredients already purchased for original meal
-      if (meal.isLeftover) return;
+      // Eaten meals were already deducted from the pantry; dismissed ones won't be cooked
+      if (meal.isLeftover || !isPlanned(meal)) return;
 
       const recipe = getRecipeById(meal.recipeId);
       if (!recipe) return;
 
       recipe.ingredients.forEach(recipeIng => {
-        if (recipeIng.optional) return;
+        // Staples are always on hand
+        if (recipeIng.optional || isStaple(recipeIng.ingredientId)) return;
 
         const scaledQty = (recipeIng.quantity * meal.servings) / recipe.servings;
         const ingredient = getIngredientById(recipeIng.ingredientId);
 
         if (shoppingItems.has(recipeIng.ingredientId)) {
           const item = shoppingItems.get(recipeIng.ingredientId);
-          item.needed += scaledQty;
+          // Total in the unit of the first recipe that needs it
+          const converted = recipeIng.unit === item.unit ? scaledQty
+            : convertQuantity(scaledQty, recipeIng.unit, item.unit, recipeIng.ingredientId);
+          item.needed += converted ?? scaledQty;
           // Add recipe name if not already in list
           if (!item.recipes.includes(recipe.title)) {
             item.recipes.push(recipe.title);
           }
         } else {
+          // What's on hand, in the recipe's unit where it converts
           const pantryItem = getPantryItem(recipeIng.ingredientId);
+          const available = !pantryItem ? 0
+            : pantryItem.unit === recipeIng.unit ? pantryItem.quantity
+            : convertQuantity(pantryItem.quantity, pantryItem.unit, recipeIng.unit, recipeIng.ingredientId) ?? pantryItem.quantity;
+
           shoppingItems.set(recipeIng.ingredientId, {
             ingredientId: recipeIng.ingredientId,
             name: ingredient?.name || recipeIng.ingredientId,
             unit: recipeIng.unit,
             needed: scaledQty,
-            available: pantryItem?.quantity || 0,
+            available,
             category: ingredient?.category || 'other',
             recipes: [recipe.title]
           });
@@ -488,13 +631,23 @@ export function getShoppingList(startDate, endDate = null) {
     });
   });
 
-  // Filter to only items where needed > available
+  // Filter to only items where needed > available and no substitute on hand
+  // covers the rest, shown in the unit that reads best for the amount to buy
   const needToBuy = [];
   shoppingItems.forEach(item => {
     if (item.needed > item.available) {
+      if (findSubstitute(item.ingredientId, item.needed - item.available, item.unit)?.coverage >= 1) return;
+
+      const { unit } = humanizeQuantity(item.needed - item.available, item.unit, item.ingredientId);
+      const inUnit = qty => unit === item.unit ? qty : convertQuantity(qty, item.unit, unit, item.ingredientId);
+      const needed = inUnit(item.needed);
+      const available = inUnit(item.available);
       needToBuy.push({
         ...item,
-        shortage: item.needed - item.available
+        unit,
+        needed,
+        available,
+        shortage: needed - available
       });
     }
   });
@@ -578,55 +731,174 @@ export function downloadMealPlanJson() {
 }
 
 /**
- * Import meal plan from JSON
+ * Field-level differences between an existing and an incoming meal
+ */
+function diffMealFields(current, incoming) {
+  return ['servings', 'notes', 'status']
+    .filter(field => (current[field] ?? null) !== (incoming[field] ?? null))
+    .map(field => ({ field, from: current[field] ?? null, to: incoming[field] ?? null }));
+}
+
+/**
+ * Compute what importing meal plan data would change, without changing anything.
+ * Incoming meals are matched to existing meals on the same date by id, then by
+ * recipe and meal type. Each change has an id that can be passed to
+ * importMealPlan's `accept` option.
+ * @param {Object|string} data - JSON object or string
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Object} { success, mode, changes, unchanged, total } or { success: false, error }
+ *   change: { id, type: 'add'|'change'|'remove'|'unknown', date, current, incoming, fields }
  */
-export function importMealPlan(data, mode = 'merge') {
+export function diffMealPlanImport(data, mode = 'merge') {
   try {
     const parsed = typeof data === 'string' ? JSON.parse(data) : data;
 
-    if (!parsed.meals) {
+    if (!parsed.meals || typeof parsed.meals !== 'object') {
       throw new Error('Invalid meal plan file format');
     }
 
-    if (mode === 'replace') {
-      mealPlanData.meals = parsed.meals;
-    } else {
-      // Merge: add meals from import to existing dates
-      Object.entries(parsed.meals).forEach(([dateStr, meals]) => {
-        if (!mealPlanData.meals[dateStr]) {
-          mealPlanData.meals[dateStr] = [];
+    const changes = [];
+    const matchedIds = new Set();
+    let unchanged = 0;
+    let total = 0;
+
+    Object.entries(parsed.meals).forEach(([dateStr, meals]) => {
+      if (!Array.isArray(meals)) return;
+      const existing = mealPlanData.meals[dateStr] || [];
+
+      meals.forEach((incoming, index) => {
+        total++;
+        const key = `${dateStr}:${index}`;
+
+        if (!getRecipeById(incoming?.recipeId)) {
+          changes.push({ id: `unknown:${key}`, type: 'unknown', date: dateStr, current: null, incoming, fields: [] });
+          return;
         }
-        // Add meals with new IDs to avoid conflicts
-        meals.forEach(meal => {
-          mealPlanData.meals[dateStr].push({
-            ...meal,
-            id: generateMealId()
-          });
+
+        const current = existing.find(m => !matchedIds.has(m.id) && m.id === incoming.id) ||
+          existing.find(m => !matchedIds.has(m.id) && m.recipeId === incoming.recipeId && m.mealType === incoming.mealType);
+
+        if (!current) {
+          changes.push({ id: `add:${key}`, type: 'add', date: dateStr, current: null, incoming, fields: [] });
+          return;
+        }
+
+        matchedIds.add(current.id);
+        const fields = diffMealFields(current, incoming);
+        if (fields.length === 0) {
+          unchanged++;
+          return;
+        }
+
+        changes.push({ id: `change:${current.id}`, type: 'change', date: dateStr, current, incoming, fields });
+      });
+    });
+
+    if (mode === 'replace') {
+      Object.entries(mealPlanData.meals).forEach(([dateStr, meals]) => {
+        meals.forEach(current => {
+          if (!matchedIds.has(current.id)) {
+            changes.push({ id: `remove:${current.id}`, type: 'remove', date: dateStr, current, incoming: null, fields: [] });
+          }
         });
       });
     }
 
-    saveMealPlan();
-    notifyListeners('import', null);
-
-    return { success: true };
+    return { success: true, mode, changes, unchanged, total };
   } catch (error) {
-    console.error('Import failed:', error);
+    console.error('Import preview failed:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Import meal plan from JSON
+ * Pass options.accept (change ids from diffMealPlanImport) to apply only some of the changes.
+ * @param {Object|string} data - JSON object or string
+ * @param {string} mode - 'replace' (remove meals not in the import) or 'merge' (keep them)
+ * @param {Object} options - { accept: array of change ids to apply (default: all) }
+ * @returns {Object} { success, diff: { added, changed, removed, unknown, rejected } }
+ */
+export function importMealPlan(data, mode = 'merge', options = {}) {
+  const preview = diffMealPlanImport(data, mode);
+  if (!preview.success) {
+    return preview;
+  }
+
+  const accepted = options.accept ? new Set(options.accept) : null;
+  const diff = { added: [], changed: [], removed: [], unknown: [], rejected: [] };
+
+  preview.changes.forEach(change => {
+    if (change.type === 'unknown') {
+      diff.unknown.push(change);
+      return;
+    }
+
+    if (accepted && !accepted.has(change.id)) {
+      diff.rejected.push(change);
+      return;
+    }
+
+    const meals = mealPlanData.meals[change.date] || (mealPlanData.meals[change.date] = []);
+
+    if (change.type === 'add') {
+      // New IDs avoid conflicts with meals already in the plan
+      meals.push({ ...change.incoming, id: generateMealId() });
+      diff.added.push(change);
+    } else if (change.type === 'change') {
+      const index = meals.findIndex(m => m.id === change.current.id);
+      change.fields.forEach(({ field, to }) => {
+        meals[index][field] = to;
+      });
+      diff.changed.push(change);
+    } else if (change.type === 'remove') {
+      const remaining = meals.filter(m => m.id !== change.current.id);
+      if (remaining.length > 0) {
+        mealPlanData.meals[change.date] = remaining;
+      } else {
+        delete mealPlanData.meals[change.date];
+      }
+      delete consumptionLedger[change.current.id];
+      diff.removed.push(change);
+    }
+  });
+
+  if (diff.removed.length > 0) {
+    saveLedger();
+  }
+
+  if (diff.added.length + diff.changed.length + diff.removed.length > 0) {
+    saveMealPlan();
+    notifyListeners('import', null);
+  }
+
+  return { success: true, diff };
+}
+
 // ============================================
 // Meal Status Management Functions
 // ============================================
 
 /**
  * Mark a meal as eaten
+ * Non-leftover meals also deduct their ingredients (scaled to the meal's servings) from the pantry;
+ * see getConsumptionEntry() for what was taken and any shortfalls.
  * @param {string} mealId - The meal ID
  * @param {number} servingsConsumed - How many servings were eaten (default: 1)
+ * @param {Object} options - { deductPantry: set false to only change the status }
  * @returns {Object|null} Updated meal or null if not found
  */
-export function markMealAsEaten(mealId, servingsConsumed = 1) {
+export function markMealAsEaten(mealId, servingsConsumed = 1, options = {}) {
+  const { deductPantry = true } = options;
+  const dateStr = getMealDate(mealId);
+  const meal = dateStr ? getMealsForDate(dateStr).find(m => m.id === mealId) : null;
+  if (!meal) return null;
+
+  // Leftovers were already deducted when the original meal was cooked
+  if (deductPantry && !meal.isLeftover && !consumptionLedger[mealId]) {
+    deductMealFromPantry(meal, dateStr);
+  }
+
   return updateMeal(mealId, {
     status: MEAL_STATUS.EATEN,
     consumedServings: servingsConsumed,
@@ -634,6 +906,60 @@ export function markMealAsEaten(mealId, servingsConsumed = 1) {
   });
 }
 
+/**
+ * Subtract a cooked meal's scaled ingredients from the pantry and record a ledger entry.
+ * Optional ingredients are only deducted when they're in the pantry and never count as shortfalls.
+ */
+function deductMealFromPantry(meal, dateStr) {
+  const recipe = getRecipeById(meal.recipeId);
+  if (!recipe) return null;
+
+  const scale = meal.servings / recipe.servings;
+  const requirements = recipe.ingredients
+    .filter(ing => !ing.optional || getPantryItem(ing.ingredientId))
+    .map(ing => ({
+      ingredientId: ing.ingredientId,
+      quantity: Math.round(ing.quantity * scale * 1000) / 1000,
+      unit: ing.unit,
+      optional: !!ing.optional
+    }));
+
+  const records = consumePantryQuantities(requirements);
+
+  const shortfalls = records
+    .filter((record, i) => record.shortfall > 0 && !requirements[i].optional)
+    .map(record => ({
+      ingredientId: record.ingredientId,
+      name: getIngredientById(record.ingredientId)?.name || record.ingredientId,
+      unit: record.unit,
+      needed: record.requested,
+      available: record.consumed,
+      shortage: record.shortfall
+    }));
+
+  consumptionLedger[meal.id] = {
+    mealId: meal.id,
+    recipeId: meal.recipeId,
+    date: dateStr,
+    servings: meal.servings,
+    deductedAt: new Date().toISOString(),
+    records,
+    shortfalls
+  };
+  saveLedger();
+
+  return consumptionLedger[meal.id];
+}
+
+/**
+ * Get the pantry consumption recorded for an eaten meal
+ * @param {string} mealId - The meal ID
+ * @returns {Object|null} { mealId, recipeId, date, servings, deductedAt, records, shortfalls }
+ */
+export function getConsumptionEntry(mealId) {
+  return consumptionLedger[mealId] || null;
+}
+
 /**
  * Dismiss a meal (not eaten, removed from tracking)
  * @param {string} mealId - The meal ID
@@ -689,10 +1015,19 @@ export function moveMeal(mealId, targetDate) {
 
 /**
  * Undo meal status (reset to planned)
+ * Restores any pantry stock deducted when the meal was marked eaten
  * @param {string} mealId - The meal ID
  * @returns {Object|null} Updated meal or null if not found
  */
 export function undoMealStatus(mealId) {
+  // Put back exactly what eating this meal took from the pantry
+  const entry = consumptionLedger[mealId];
+  if (entry) {
+    restoreConsumedQuantities(entry.records);
+    delete consumptionLedger[mealId];
+    saveLedger();
+  }
+
   return updateMeal(mealId, {
     status: MEAL_STATUS.PLANNED,
     consumedServings: null,
@@ -747,19 +1082,25 @@ export default {
   updateMeal,
   removeMeal,
   clearWeek,
+  getMealPlanSnapshot,
+  restoreMealPlanSnapshot,
   getReservedQuantity,
   getAvailableQuantity,
+  getAvailableCoverage,
+  findSubstitute,
   checkRecipeAvailability,
   getShoppingList,
   getMealPlanStats,
   exportMealPlan,
   downloadMealPlanJson,
+  diffMealPlanImport,
   importMealPlan,
   getMealDate,
   createLeftover,
   // Status management
   MEAL_STATUS,
   markMealAsEaten,
+  getConsumptionEntry,
   dismissMeal,
   moveMeal,
   undoMealStatus,
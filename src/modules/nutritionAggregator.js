@@ -5,8 +5,7 @@
 
 import { getMealsForDate, getMealsForWeek, getWeekDates, formatDate, MEAL_STATUS } from './mealPlanManager.js';
 import { getRecipeById } from './recipeManager.js';
-import { getIngredientsMap } from './ingredientManager.js';
-import { calculateRecipeNutrition } from './nutritionCalculator.js';
+import { getRecipeNutrition } from './nutritionCalculator.js';
 import { getNutritionPrefs, getAllDailyGoals, isTrackingEnabled } from './nutritionPrefsManager.js';
 
 /**
@@ -18,8 +17,7 @@ function calculateMealNutrition(meal) {
   const recipe = getRecipeById(meal.recipeId);
   if (!recipe) return null;
 
-  const ingredientsMap = getIngredientsMap();
-  const recipeNutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const recipeNutrition = getRecipeNutrition(recipe);
 
   if (!recipeNutrition || !recipeNutrition.perServing) return null;
 
@@ -279,8 +277,7 @@ export function getDayNutritionSummary(dateStr) {
  */
 export function checkRecipeFitsNutrition(recipe, dateStr) {
   const remaining = getRemainingNutrition(dateStr);
-  const ingredientsMap = getIngredientsMap();
-  const recipeNutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+  const recipeNutrition = getRecipeNutrition(recipe);
 
   if (!recipeNutrition || !recipeNutrition.perServing) {
     return { fits: true, wouldExceed: [], remaining };
@@ -371,8 +368,7 @@ export function calculateActualDayNutrition(dateStr) {
     const recipe = getRecipeById(meal.recipeId);
     if (!recipe) return;
 
-    const ingredientsMap = getIngredientsMap();
-    const recipeNutrition = calculateRecipeNutrition(recipe, ingredientsMap);
+    const recipeNutrition = getRecipeNutrition(recipe);
     if (!recipeNutrition?.perServing) return;
 
     // Use consumedServings instead of fixed 1
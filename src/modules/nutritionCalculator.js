@@ -1,48 +1,37 @@
 /**
  * Nutrition Calculator Module
- * Calculates nutritional information for recipes based on ingredient data
+ * Calculates nutritional information for recipes based on ingredient data.
+ * A recipe's nutrition only changes with ingredient data, so getRecipeNutrition()
+ * caches it until a custom ingredient is created, edited or deleted.
  */
 
-// Unit conversion factors to grams
-const UNIT_TO_GRAMS = {
-  g: 1,
-  kg: 1000,
-  oz: 28.35,
-  lb: 453.6,
-  ml: 1, // Approximate for liquids (assumes water-like density)
-  l: 1000,
-  cup: 240, // Approximate
-  tbsp: 15,
-  tsp: 5,
-  piece: 100, // Default estimate for "piece"
-  clove: 5, // Garlic clove
-  slice: 30, // Bread slice, etc.
-  bunch: 100,
-  sprig: 5,
-  head: 500, // Head of lettuce/cabbage
-  stalk: 50,
-  can: 400, // Standard can size
-  jar: 350,
-  packet: 50,
-  sheet: 5, // Nori sheet, etc.
-  link: 75, // Sausage link
-  fillet: 150,
-  breast: 200,
-  thigh: 120,
-  whole: 1000, // Whole chicken, etc.
-  serving: 100
-};
+import { toGrams } from './unitConverter.js';
+import { getUnitInfo } from './unitRegistry.js';
+import { getIngredientsMap, onCustomIngredientsChange } from './ingredientManager.js';
+
+// Grams assumed for a unit the registry doesn't know
+const UNKNOWN_UNIT_GRAMS = 100;
+
+let nutritionCache = new Map(); // Recipe ID -> { recipe, nutrition }
+let unsubscribe = null;
 
 /**
- * Convert quantity from any unit to grams
+ * Convert quantity from any unit to grams, using the ingredient's density and
+ * unit weights where known
  * @param {number} quantity - Amount in original unit
  * @param {string} unit - Original unit
+ * @param {string} ingredientId - Ingredient being measured
  * @returns {number} - Amount in grams
  */
-function convertToGrams(quantity, unit) {
-  const normalizedUnit = unit.toLowerCase().replace(/s$/, ''); // Remove trailing 's'
-  const conversionFactor = UNIT_TO_GRAMS[normalizedUnit] || 100; // Default to 100g if unknown
-  return quantity * conversionFactor;
+function convertToGrams(quantity, unit, ingredientId = null) {
+  const grams = toGrams(quantity, unit, ingredientId);
+  if (grams !== null) return grams;
+
+  // No density or unit weight: treat volume as water and counts as a typical portion
+  const info = getUnitInfo(unit);
+  if (info?.type === 'volume') return quantity * info.ratio;
+  if (info?.type === 'count') return quantity * info.typicalGrams;
+  return quantity * UNKNOWN_UNIT_GRAMS;
 }
 
 /**
@@ -57,7 +46,7 @@ function calculateIngredientNutrition(ingredient, ingredientData) {
   }
 
   const nutrition = ingredientData.nutrition.per100g;
-  const gramsUsed = convertToGrams(ingredient.quantity, ingredient.unit);
+  const gramsUsed = convertToGrams(ingredient.quantity, ingredient.unit, ingredient.ingredientId);
   const factor = gramsUsed / 100; // Nutrition data is per 100g
 
   return {
@@ -128,6 +117,32 @@ export function calculateRecipeNutrition(recipe, ingredientsMap) {
   };
 }
 
+/**
+ * Start caching recipe nutrition, dropping the cache whenever ingredient data changes
+ */
+export function initNutritionCache() {
+  nutritionCache = new Map();
+  if (unsubscribe) unsubscribe();
+  unsubscribe = onCustomIngredientsChange(() => {
+    nutritionCache = new Map();
+  });
+}
+
+/**
+ * Nutrition for a recipe against the current ingredient data, cached
+ * (see initNutritionCache). Treat the result as read-only.
+ */
+export function getRecipeNutrition(recipe) {
+  if (!unsubscribe) return calculateRecipeNutrition(recipe, getIngredientsMap());
+
+  const cached = nutritionCache.get(recipe.id);
+  if (cached?.recipe === recipe) return cached.nutrition;
+
+  const nutrition = calculateRecipeNutrition(recipe, getIngredientsMap());
+  nutritionCache.set(recipe.id, { recipe, nutrition });
+  return nutrition;
+}
+
 /**
  * Format nutrition for display
  * @param {Object} nutrition - Nutrition object with perServing data
@@ -1,12 +1,20 @@
 /**
  * Nutrition Preferences Manager Module
- * Handles user nutrition goals, localStorage persistence, and preference presets
+ * Handles user nutrition goals, localStorage persistence, and preference presets.
+ * Also holds the app-wide display settings, including the unit system quantities
+ * are shown in and how much cooking history shapes recipe suggestions.
  */
 
 import { schedulePushToCloud } from '../services/syncOrchestrator.js';
 
 const STORAGE_KEY = 'pantry_planner_nutrition_prefs';
 
+// 'original' shows quantities in the units they're stored in
+export const UNIT_SYSTEMS = ['original', 'metric', 'us'];
+
+// How far (in suggestion priority points) cooking history can move a recipe; 0 turns it off
+export const MAX_HISTORY_WEIGHT = 100;
+
 // Default nutrition goals
 const DEFAULT_PREFS = {
   enabled: true,
@@ -21,7 +29,9 @@ const DEFAULT_PREFS = {
   },
   displaySettings: {
     showOnCalendar: true,
-    primaryMacro: 'calories'
+    primaryMacro: 'calories',
+    unitSystem: 'original',
+    historyWeight: 30
   }
 };
 
@@ -131,7 +141,13 @@ function mergeWithDefaults(stored) {
     },
     displaySettings: {
       showOnCalendar: stored.displaySettings?.showOnCalendar ?? DEFAULT_PREFS.displaySettings.showOnCalendar,
-      primaryMacro: stored.displaySettings?.primaryMacro || DEFAULT_PREFS.displaySettings.primaryMacro
+      primaryMacro: stored.displaySettings?.primaryMacro || DEFAULT_PREFS.displaySettings.primaryMacro,
+      unitSystem: UNIT_SYSTEMS.includes(stored.displaySettings?.unitSystem)
+        ? stored.displaySettings.unitSystem
+        : DEFAULT_PREFS.displaySettings.unitSystem,
+      historyWeight: Number.isFinite(stored.displaySettings?.historyWeight)
+        ? Math.min(MAX_HISTORY_WEIGHT, Math.max(0, stored.displaySettings.historyWeight))
+        : DEFAULT_PREFS.displaySettings.historyWeight
     }
   };
 }
@@ -324,6 +340,28 @@ export function resetToDefaults() {
   return nutritionPrefs;
 }
 
+/**
+ * Get the unit system quantities are displayed in
+ * @returns {'original'|'metric'|'us'}
+ */
+export function getUnitSystem() {
+  if (!nutritionPrefs) {
+    initNutritionPrefs();
+  }
+  return nutritionPrefs.displaySettings.unitSystem;
+}
+
+/**
+ * Get how strongly cooking history weighs in recipe suggestions
+ * @returns {number} 0 (ignored) to MAX_HISTORY_WEIGHT
+ */
+export function getHistoryWeight() {
+  if (!nutritionPrefs) {
+    initNutritionPrefs();
+  }
+  return nutritionPrefs.displaySettings.historyWeight;
+}
+
 /**
  * Export preferences to JSON
  */
@@ -364,6 +402,8 @@ export default {
   isTrackingEnabled,
   setTrackingEnabled,
   resetToDefaults,
+  getUnitSystem,
+  getHistoryWeight,
   exportNutritionPrefs,
   importNutritionPrefs
 };
@@ -0,0 +1,398 @@
+/**
+ * Pantry CSV Module
+ * CSV export of the pantry, and CSV import with column mapping and a dry-run
+ * preview. Nothing touches the pantry until the preview is turned into import
+ * data (buildImportFromPreview) and handed to importPantry.
+ */
+
+import {
+  getIngredientById,
+  findIngredientByName,
+  searchIngredients,
+  normalizeIngredientName
+} from './ingredientManager.js';
+import { getPantryItems } from './pantryManager.js';
+import { getUnitType, normalizeUnit } from './unitConverter.js';
+import { parseQuantity } from './quantityFormatter.js';
+import { DEFAULT_LOCATION_ID, getLocationPath, resolveStorageLocation } from './storageLocations.js';
+
+// Fields a CSV column can be mapped to
+export const CSV_FIELDS = ['name', 'quantity', 'unit', 'storage', 'expires', 'notes'];
+
+// Header names recognized for each field when guessing the mapping
+const HEADER_SYNONYMS = {
+  name: ['name', 'item', 'ingredient', 'product', 'food', 'description'],
+  quantity: ['quantity', 'qty', 'amount', 'count', 'number'],
+  unit: ['unit', 'units', 'uom', 'measure'],
+  storage: ['storage', 'location', 'where', 'place', 'stored'],
+  expires: ['expires', 'expiry', 'expiration', 'expiration date', 'best before', 'use by', 'exp'],
+  notes: ['notes', 'note', 'comment', 'comments', 'memo']
+};
+
+const MAX_CANDIDATES = 5;
+
+// The number at the start of a quantity cell ("1 1/2", "½", "2.5"), and the rest
+const QUANTITY_PATTERN = /^([\d½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞][\d½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞\s.,\/⁄-]*?)\s*([^\d\s½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞.,\/⁄-].*)?$/;
+
+/**
+ * Read a quantity cell
+ * @returns {{quantity: number|null, rest: string}} rest is any text after the number
+ */
+function parseQuantityCell(text) {
+  const match = text.trim().match(QUANTITY_PATTERN);
+  if (!match) return { quantity: null, rest: text.trim() };
+
+  // A comma before groups of three digits separates thousands ("1,000")
+  const number = /^\d{1,3}(,\d{3})+$/.test(match[1]) ? match[1].replace(/,/g, '') : match[1];
+  return { quantity: parseQuantity(number), rest: (match[2] || '').trim() };
+}
+
+/**
+ * Quote a value for CSV output when needed
+ */
+function escapeCsvValue(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Export the pantry as CSV text, one row per lot
+ * @returns {string}
+ */
+export function exportPantryCsv() {
+  const header = ['name', 'ingredient_id', 'quantity', 'unit', 'storage', 'expires', 'notes'];
+  const rows = [];
+
+  getPantryItems().forEach(item => {
+    const name = getIngredientById(item.ingredientId)?.name || item.ingredientId;
+    item.lots.forEach(lot => {
+      rows.push([
+        name,
+        item.ingredientId,
+        // Lots in another unit than their item keep full precision
+        Math.round(lot.quantity * 1e6) / 1e6,
+        lot.unit,
+        getLocationPath(lot.storage),
+        lot.expiresAt || '',
+        lot.notes || item.notes || ''
+      ]);
+    });
+  });
+
+  return [header, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Export pantry as downloadable CSV file
+ */
+export function downloadPantryCsv() {
+  const blob = new Blob([exportPantryCsv()], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `pantry-export-${date}.csv`;
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  return filename;
+}
+
+/**
+ * Pick the delimiter used in the first line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(d => ({ d, count: firstLine.split(d).length - 1 }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].d : ',';
+}
+
+/**
+ * Parse CSV text (quoted fields, escaped quotes, CRLF) into headers and rows
+ * @param {string} text
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^﻿/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+
+  return {
+    headers: headers.map(h => h.trim()),
+    rows
+  };
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {string[]} headers
+ * @returns {Object} { name, quantity, unit, storage, expires, notes } -> column index or null
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(h => h.toLowerCase().replace(/[_-]+/g, ' ').trim());
+  const mapping = {};
+  const used = new Set();
+
+  CSV_FIELDS.forEach(field => {
+    const index = normalized.findIndex((header, i) =>
+      !used.has(i) && HEADER_SYNONYMS[field].includes(header));
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+
+  // Fall back to the first column for names
+  if (mapping.name === null && headers.length > 0 && !used.has(0)) {
+    mapping.name = 0;
+  }
+
+  return mapping;
+}
+
+/**
+ * A name as written and its regular plural ("onion", "onions"; "tomato", "tomatoes")
+ */
+function nameForms(name) {
+  const base = name.toLowerCase().trim().replace(/\s+/g, ' ');
+  let plural = base + 's';
+  if (/[^aeiou]y$/.test(base)) {
+    plural = base.slice(0, -1) + 'ies';
+  } else if (/(s|x|z|ch|sh|o)$/.test(base)) {
+    plural = base + 'es';
+  }
+  return [base, plural];
+}
+
+/**
+ * Whether a free-text name is exactly an ingredient's name or one of its
+ * aliases, or the singular or plural of one. Misspellings ("tomatos") are not.
+ */
+function isExactNameMatch(name, ingredient) {
+  const [target] = nameForms(name);
+  return [ingredient.name, ...(ingredient.aliases || [])].some(candidate => {
+    const [key] = nameForms(candidate);
+    return nameForms(key).includes(target) || nameForms(target).includes(key);
+  });
+}
+
+/**
+ * Match a free-text name to ingredients
+ * @returns {{status: string, ingredientId: string|null, candidates: Array}}
+ */
+export function matchIngredientName(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { status: 'unmatched', ingredientId: null, candidates: [] };
+  }
+
+  // Search both the raw text and its normalized form ("onions" -> "onion")
+  const candidates = [];
+  [trimmed, normalizeIngredientName(trimmed)].forEach(query => {
+    searchIngredients(query, MAX_CANDIDATES).forEach(ingredient => {
+      if (!candidates.some(c => c.id === ingredient.id)) candidates.push(ingredient);
+    });
+  });
+
+  const exact = candidates.filter(ingredient => isExactNameMatch(trimmed, ingredient));
+
+  if (exact.length === 1) {
+    return { status: 'matched', ingredientId: exact[0].id, candidates: [exact[0]] };
+  }
+
+  if (candidates.length > 0) {
+    // Search is typo-tolerant, so even a lone candidate may be a near miss:
+    // suggest the best guess but let the user confirm
+    const best = exact[0] || findIngredientByName(trimmed) || candidates[0];
+    return {
+      status: 'ambiguous',
+      ingredientId: best.id,
+      candidates: candidates.slice(0, MAX_CANDIDATES)
+    };
+  }
+
+  return { status: 'unmatched', ingredientId: null, candidates: [] };
+}
+
+/**
+ * Read a mapped cell from a row
+ */
+function cell(row, mapping, field) {
+  const index = mapping[field];
+  return index === null || index === undefined ? '' : (row[index] || '').trim();
+}
+
+/**
+ * Build a dry-run preview of a CSV import. Nothing is changed.
+ * @param {{headers: string[], rows: string[][]}} parsed - From parseCsv()
+ * @param {Object} mapping - From guessColumnMapping(), possibly edited by the user
+ * @returns {Array} Rows: { rowNumber, values, status, ingredientId, candidates, issues }
+ *   status is 'matched' | 'ambiguous' | 'unmatched'
+ */
+export function previewCsvImport(parsed, mapping) {
+  return parsed.rows.map((row, i) => {
+    const values = {};
+    CSV_FIELDS.forEach(field => {
+      values[field] = cell(row, mapping, field);
+    });
+
+    const issues = [];
+    const match = matchIngredientName(values.name);
+    const ingredient = match.ingredientId ? getIngredientById(match.ingredientId) : null;
+
+    // Quantity
+    let quantity = 1;
+    if (values.quantity !== '') {
+      const parsed = parseQuantityCell(values.quantity);
+      if (!Number.isFinite(parsed.quantity) || parsed.quantity <= 0) {
+        issues.push(`Invalid quantity "${values.quantity}", using 1`);
+      } else {
+        quantity = parsed.quantity;
+        if (parsed.rest) {
+          issues.push(`Ignored "${parsed.rest}" after the quantity ${quantity}`);
+        }
+      }
+    }
+
+    // Unit
+    let unit = values.unit ? normalizeUnit(values.unit) : ingredient?.defaultUnit || null;
+    if (values.unit && !getUnitType(unit)) {
+      issues.push(`Unknown unit "${values.unit}", using ${ingredient?.defaultUnit || 'the default unit'}`);
+      unit = ingredient?.defaultUnit || null;
+    }
+
+    // Storage: a location id, name or path ("Freezer > Drawer 2")
+    let storage = values.storage ? resolveStorageLocation(values.storage) : DEFAULT_LOCATION_ID;
+    if (!storage) {
+      issues.push(`Unknown storage "${values.storage}", using ${getLocationPath(DEFAULT_LOCATION_ID)}`);
+      storage = DEFAULT_LOCATION_ID;
+    }
+
+    // Expiry (YYYY-MM-DD or anything Date can parse)
+    let expiresAt = null;
+    if (values.expires) {
+      const date = new Date(values.expires);
+      if (Number.isNaN(date.getTime())) {
+        issues.push(`Unreadable expiry date "${values.expires}"`);
+      } else {
+        expiresAt = /^\d{4}-\d{2}-\d{2}/.test(values.expires)
+          ? values.expires.slice(0, 10)
+          : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      }
+    }
+
+    return {
+      rowNumber: i + 2, // 1-based, after the header row
+      values,
+      status: match.status,
+      ingredientId: match.ingredientId,
+      candidates: match.candidates.map(c => ({ id: c.id, name: c.name })),
+      quantity,
+      unit,
+      storage,
+      expiresAt,
+      notes: values.notes,
+      issues
+    };
+  });
+}
+
+/**
+ * Turn preview rows into pantry import data (the format importPantry accepts).
+ * Rows for the same ingredient become separate lots.
+ * @param {Array} previewRows - From previewCsvImport()
+ * @param {Object} resolutions - rowNumber -> ingredientId (or null to skip) chosen by the user
+ * @returns {{data: Object, rowsUsed: number, rowsSkipped: number}}
+ */
+export function buildImportFromPreview(previewRows, resolutions = {}) {
+  const items = new Map();
+  let rowsUsed = 0;
+  let rowsSkipped = 0;
+
+  previewRows.forEach(row => {
+    const ingredientId = row.rowNumber in resolutions
+      ? resolutions[row.rowNumber]
+      : row.status === 'matched' ? row.ingredientId : null;
+
+    const ingredient = ingredientId ? getIngredientById(ingredientId) : null;
+    if (!ingredient) {
+      rowsSkipped++;
+      return;
+    }
+
+    if (!items.has(ingredientId)) {
+      items.set(ingredientId, { ingredientId, notes: '', lots: [] });
+    }
+
+    items.get(ingredientId).lots.push({
+      quantity: row.quantity,
+      unit: row.unit || ingredient.defaultUnit,
+      storage: row.storage,
+      expiresAt: row.expiresAt,
+      notes: row.notes
+    });
+    rowsUsed++;
+  });
+
+  return {
+    data: { version: 'csv', items: Array.from(items.values()) },
+    rowsUsed,
+    rowsSkipped
+  };
+}
+
+export default {
+  CSV_FIELDS,
+  exportPantryCsv,
+  downloadPantryCsv,
+  parseCsv,
+  guessColumnMapping,
+  matchIngredientName,
+  previewCsvImport,
+  buildImportFromPreview
+};
@@ -0,0 +1,354 @@
+/**
+ * Pantry History Module
+ * Append-only log of pantry changes, recorded from pantryManager change events.
+ * Changes are stored as deltas of the items they touched; only a clear, a
+ * replacing import and a restore store a full checkpoint. The pantry can be
+ * rebuilt at any entry from the nearest checkpoint before it.
+ */
+
+import { getPantryItems, onPantryChange, restorePantrySnapshot } from './pantryManager.js';
+
+const STORAGE_KEY = 'pantry_planner_history';
+const MAX_ENTRIES = 300; // Oldest entries are folded into a checkpoint beyond this
+const MAX_STORED_CHARS = 1000000; // ...and beyond this much JSON, leaving room for the pantry itself
+
+// Bulk changes that replace the whole pantry rather than touching some items
+const CHECKPOINT_ACTIONS = ['baseline', 'clear', 'restore'];
+
+let entries = [];
+let listeners = [];
+let unsubscribe = null;
+let pendingRestoreFrom = null; // Entry being restored, tagged onto the resulting 'restore' entry
+
+/**
+ * Generate unique history entry ID
+ */
+function generateEntryId() {
+  return 'hist_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Deep copy pantry data so later mutations don't leak into history
+ */
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Initialize history from localStorage and start recording pantry changes.
+ * Call after initPantry().
+ */
+export function initPantryHistory() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    entries = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Failed to load pantry history:', error);
+    entries = [];
+  }
+
+  // Record a baseline when history is empty or the pantry changed outside the app (e.g. cloud pull)
+  const current = getPantryItems();
+  if (entries.length === 0 || !sameItems(getPantryAtEntry(entries[entries.length - 1].id), current)) {
+    appendEntry({ action: 'baseline', checkpoint: clone(current) });
+  }
+
+  if (unsubscribe) unsubscribe();
+  unsubscribe = onPantryChange(handlePantryChange);
+
+  return getHistoryEntries();
+}
+
+/**
+ * Save history to localStorage. When storage is full, older history is
+ * folded away until it fits, so history never crowds out the pantry.
+ * @returns {boolean} Whether the history was saved
+ */
+function saveHistory() {
+  let json = trimToSize();
+
+  while (true) {
+    try {
+      localStorage.setItem(STORAGE_KEY, json);
+      return true;
+    } catch (error) {
+      if (entries.length <= 1) {
+        console.error('Failed to save pantry history:', error);
+        return false;
+      }
+      foldOldest(Math.ceil(entries.length / 2));
+      json = JSON.stringify(entries);
+    }
+  }
+}
+
+/**
+ * Drop the oldest entries, turning the first one kept into a checkpoint
+ */
+function foldOldest(count) {
+  const firstKept = entries[count];
+  if (!firstKept.checkpoint) {
+    firstKept.checkpoint = clone(getPantryAtIndex(count));
+    delete firstKept.changes;
+    delete firstKept.item;
+  }
+  entries = entries.slice(count);
+}
+
+/**
+ * Fold the oldest entries until history is within MAX_STORED_CHARS
+ * @returns {string} History as JSON
+ */
+function trimToSize() {
+  let json = JSON.stringify(entries);
+  while (json.length > MAX_STORED_CHARS && entries.length > 1) {
+    foldOldest(Math.ceil(entries.length / 10));
+    json = JSON.stringify(entries);
+  }
+  return json;
+}
+
+/**
+ * Notify all listeners of changes
+ */
+function notifyListeners(entry, saveFailed) {
+  listeners.forEach(callback => {
+    try {
+      callback({ entry, entries: getHistoryEntries(), saveFailed });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to history changes
+ */
+export function onPantryHistoryChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Record a pantry change event
+ */
+function handlePantryChange({ action, item, pantry, mode }) {
+  const itemCount = pantry.length;
+
+  if (item && ['add', 'update', 'remove'].includes(action)) {
+    appendEntry({ action, ingredientId: item.ingredientId, item: clone(item), itemCount });
+  } else if (CHECKPOINT_ACTIONS.includes(action) || (action === 'import' && mode === 'replace')) {
+    appendEntry({
+      action,
+      checkpoint: clone(pantry),
+      itemCount,
+      restoredFrom: action === 'restore' ? pendingRestoreFrom : null
+    });
+  } else {
+    appendEntry({ action, changes: diffItems(getPantryAtIndex(entries.length - 1), pantry), itemCount });
+  }
+}
+
+/**
+ * The items that differ between two pantry states
+ * @returns {Array} [{ ingredientId, item }] - item is null for a removed item
+ */
+function diffItems(before, after) {
+  const beforeMap = new Map(before.map(item => [item.ingredientId, JSON.stringify(item)]));
+  const changes = [];
+
+  after.forEach(item => {
+    if (beforeMap.get(item.ingredientId) !== JSON.stringify(item)) {
+      changes.push({ ingredientId: item.ingredientId, item: clone(item) });
+    }
+    beforeMap.delete(item.ingredientId);
+  });
+  beforeMap.forEach((_, ingredientId) => changes.push({ ingredientId, item: null }));
+
+  return changes;
+}
+
+/**
+ * Append an entry, folding the oldest ones into a checkpoint when over the cap
+ */
+function appendEntry(data) {
+  const entry = {
+    id: generateEntryId(),
+    at: new Date().toISOString(),
+    ingredientId: null,
+    itemCount: data.checkpoint ? data.checkpoint.length : 0,
+    ...data
+  };
+
+  entries.push(entry);
+
+  if (entries.length > MAX_ENTRIES) {
+    foldOldest(entries.length - MAX_ENTRIES);
+  }
+
+  const saved = saveHistory();
+  notifyListeners(entry, !saved);
+  return entry;
+}
+
+/**
+ * Apply a delta entry to a list of items
+ */
+function applyEntry(items, entry) {
+  if (entry.checkpoint) return entry.checkpoint;
+
+  if (entry.changes) {
+    const byId = new Map(items.map(item => [item.ingredientId, item]));
+    entry.changes.forEach(({ ingredientId, item }) => {
+      if (item) {
+        byId.set(ingredientId, item);
+      } else {
+        byId.delete(ingredientId);
+      }
+    });
+    return Array.from(byId.values());
+  }
+
+  const others = items.filter(i => i.ingredientId !== entry.ingredientId);
+  return entry.action === 'remove' ? others : [...others, entry.item];
+}
+
+/**
+ * Rebuild the pantry as it stood right after the entry at an index
+ */
+function getPantryAtIndex(index) {
+  let start = index;
+  while (start > 0 && !entries[start].checkpoint) {
+    start--;
+  }
+
+  let items = [];
+  for (let i = start; i <= index; i++) {
+    items = applyEntry(items, entries[i]);
+  }
+  return items;
+}
+
+/**
+ * Compare two pantry states by their contents
+ */
+function sameItems(a, b) {
+  const key = items => JSON.stringify(
+    [...items]
+      .sort((x, y) => x.ingredientId.localeCompare(y.ingredientId))
+      .map(({ ingredientId, quantity, unit, lots }) => ({
+        ingredientId,
+        quantity,
+        unit,
+        lots: (lots || []).map(({ id, quantity, unit, storage, expiresAt }) => ({ id, quantity, unit, storage, expiresAt }))
+      }))
+  );
+  return key(a) === key(b);
+}
+
+/**
+ * Get history entries, newest first (without item payloads)
+ * @returns {Array} [{ id, at, action, ingredientId, itemCount }]
+ */
+export function getHistoryEntries() {
+  return entries
+    .map(({ id, at, action, ingredientId, itemCount, restoredFrom }) => ({
+      id, at, action, ingredientId, itemCount, restoredFrom: restoredFrom || null
+    }))
+    .reverse();
+}
+
+/**
+ * Get the pantry as it stood right after a history entry
+ * @param {string} entryId
+ * @returns {Array|null} Pantry items, or null if the entry is unknown
+ */
+export function getPantryAtEntry(entryId) {
+  const index = entries.findIndex(e => e.id === entryId);
+  if (index === -1) return null;
+  return clone(getPantryAtIndex(index));
+}
+
+/**
+ * Get the pantry as it stood at a point in time
+ * @param {string|Date} time
+ * @returns {Array|null} Pantry items, or null if history doesn't reach back that far
+ */
+export function getPantryAtTime(time) {
+  const iso = new Date(time).toISOString();
+  let index = -1;
+  entries.forEach((entry, i) => {
+    if (entry.at <= iso) index = i;
+  });
+  return index === -1 ? null : clone(getPantryAtIndex(index));
+}
+
+/**
+ * Summarize what restoring an entry would change compared to the current pantry
+ * @param {string} entryId
+ * @returns {Object|null} { added, removed, changed } ingredient ID lists
+ */
+export function diffWithCurrent(entryId) {
+  const past = getPantryAtEntry(entryId);
+  if (!past) return null;
+
+  const current = new Map(getPantryItems().map(item => [item.ingredientId, item]));
+  const pastMap = new Map(past.map(item => [item.ingredientId, item]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  pastMap.forEach((item, id) => {
+    if (!current.has(id)) {
+      added.push(id);
+    } else if (!sameItems([item], [current.get(id)])) {
+      changed.push(id);
+    }
+  });
+  current.forEach((item, id) => {
+    if (!pastMap.has(id)) removed.push(id);
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Restore the pantry to how it stood right after a history entry.
+ * The restore itself is recorded, so it can be reverted too.
+ * @param {string} entryId
+ * @returns {{success: boolean, itemCount?: number, error?: string}}
+ */
+export function restorePantryToEntry(entryId) {
+  const snapshot = getPantryAtEntry(entryId);
+  if (!snapshot) {
+    return { success: false, error: 'History entry not found' };
+  }
+
+  pendingRestoreFrom = entryId;
+  const itemCount = restorePantrySnapshot(snapshot);
+  pendingRestoreFrom = null;
+
+  return { success: true, itemCount };
+}
+
+/**
+ * Clear all history, keeping a baseline of the current pantry
+ */
+export function clearPantryHistory() {
+  entries = [];
+  appendEntry({ action: 'baseline', checkpoint: clone(getPantryItems()) });
+}
+
+export default {
+  initPantryHistory,
+  onPantryHistoryChange,
+  getHistoryEntries,
+  getPantryAtEntry,
+  getPantryAtTime,
+  diffWithCurrent,
+  restorePantryToEntry,
+  clearPantryHistory
+};
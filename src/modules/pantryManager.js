@@ -1,16 +1,31 @@
 /**
  * Pantry Manager Module
  * Handles CRUD operations, localStorage persistence, and JSON export/import
+ *
+ * Each pantry item holds one or more lots (a purchase with its own quantity,
+ * unit, storage, purchase date and expiry). The item-level quantity/unit/storage
+ * fields are kept as an aggregate of its lots for existing consumers.
  */
 
 import { getIngredientById } from './ingredientManager.js';
+import { convertQuantity, convertQuantityPrecise } from './unitConverter.js';
+import { isKnownUnit } from './unitRegistry.js';
+import {
+  DEFAULT_LOCATION_ID,
+  getStorageLocations,
+  getLocationWithAncestors,
+  getLocationWithDescendants,
+  onStorageLocationsChange
+} from './storageLocations.js';
 import { schedulePushToCloud } from '../services/syncOrchestrator.js';
 
 const STORAGE_KEY = 'pantry_planner_items';
-const EXPORT_VERSION = '1.0.0';
+const EXPORT_VERSION = '2.0.0';
 
-let pantryItems = new Map(); // ingredientId -> item data
+let pantryItems = new Map(); // ingredientId -> item data (with lots)
 let listeners = []; // Change listeners
+let saveFailed = false; // Whether the last save to localStorage failed (e.g. storage full)
+let unsubscribeLocations = null;
 
 /**
  * Default pantry items for new users / testing
@@ -74,17 +89,22 @@ export function initPantry() {
     const stored = localStorage.getItem(STORAGE_KEY);
     if (stored) {
       const data = JSON.parse(stored);
-      pantryItems = new Map(data.map(item => [item.ingredientId, item]));
+      pantryItems = new Map(data.map(item => [item.ingredientId, normalizePantryItem(item)]));
+
+      // Persist migrated records so older single-lot data is only upgraded once
+      if (data.some(item => !Array.isArray(item.lots))) {
+        savePantry();
+      }
     } else {
       // Load default pantry for new users
       console.log('Loading default pantry items...');
       pantryItems = new Map();
       DEFAULT_PANTRY.forEach(item => {
-        pantryItems.set(item.ingredientId, {
+        pantryItems.set(item.ingredientId, normalizePantryItem({
           ...item,
           addedAt: new Date().toISOString(),
           notes: ''
-        });
+        }));
       });
       savePantry();
     }
@@ -92,9 +112,181 @@ export function initPantry() {
     console.error('Failed to load pantry from storage:', error);
     pantryItems = new Map();
   }
+
+  // Lots in a deleted storage location move to its parent (or the default)
+  if (!unsubscribeLocations) {
+    unsubscribeLocations = onStorageLocationsChange(({ action, removedIds, reassignTo }) => {
+      if (action === 'delete') {
+        relocateLots(removedIds, reassignTo);
+      }
+    });
+  }
+
+  const unresolved = getUnresolvedPantryUnits();
+  if (unresolved.length > 0) {
+    console.warn('Pantry units the unit registry cannot resolve:', unresolved);
+  }
+
   return getPantryItems();
 }
 
+/**
+ * Move every lot stored in any of the given locations to another location
+ */
+function relocateLots(fromIds, toId) {
+  let moved = false;
+
+  pantryItems.forEach(item => {
+    const lotsToMove = item.lots.filter(lot => fromIds.includes(lot.storage));
+    if (lotsToMove.length === 0) return;
+
+    lotsToMove.forEach(lot => { lot.storage = toId; });
+    refreshItemTotals(item);
+    moved = true;
+  });
+
+  if (moved) {
+    savePantry();
+    notifyListeners('relocate', null);
+  }
+}
+
+/**
+ * Generate a unique lot ID
+ */
+function generateLotId() {
+  return 'lot_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Build a lot record, filling gaps from the owning item
+ */
+function createLot(data = {}, fallback = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: data.id || generateLotId(),
+    quantity: data.quantity ?? fallback.quantity ?? 1,
+    unit: data.unit || fallback.unit,
+    storage: data.storage || fallback.storage || DEFAULT_LOCATION_ID,
+    purchasedAt: data.purchasedAt || fallback.purchasedAt || null,
+    expiresAt: data.expiresAt ? String(data.expiresAt).slice(0, 10) : null, // YYYY-MM-DD
+    notes: data.notes || '',
+    addedAt: data.addedAt || fallback.addedAt || now
+  };
+}
+
+/**
+ * Order lots so the ones to use first (earliest expiry) come first
+ */
+function compareLots(a, b) {
+  if (a.expiresAt && b.expiresAt && a.expiresAt !== b.expiresAt) {
+    return a.expiresAt < b.expiresAt ? -1 : 1;
+  }
+  if (a.expiresAt && !b.expiresAt) return -1;
+  if (!a.expiresAt && b.expiresAt) return 1;
+  return (a.addedAt || '') < (b.addedAt || '') ? -1 : 1;
+}
+
+/**
+ * Convert a lot's quantity into the item's unit (null if incompatible).
+ * Weight and volume convert through the ingredient's density.
+ */
+function lotQuantityIn(lot, unit, ingredientId) {
+  if (lot.unit === unit) return lot.quantity;
+  return convertQuantityPrecise(lot.quantity, lot.unit, unit, ingredientId);
+}
+
+/**
+ * Set a lot's quantity from an amount in the item's unit. The amount is
+ * rounded in the item's unit and converted back unrounded, so a lot kept in
+ * another unit (a 2 lb lot on an item counted in g) doesn't drift with every edit.
+ */
+function setLotQuantityFrom(lot, quantity, unit, ingredientId) {
+  const rounded = Math.max(0, Math.round(quantity * 1000) / 1000);
+  lot.quantity = lot.unit === unit ? rounded : convertQuantityPrecise(rounded, unit, lot.unit, ingredientId);
+}
+
+/**
+ * Recompute the aggregate quantity, storage and expiry of an item from its lots
+ */
+function refreshItemTotals(item) {
+  item.lots.sort(compareLots);
+
+  if (!item.unit) {
+    item.unit = item.lots[0]?.unit;
+  }
+
+  const total = item.lots.reduce((sum, lot) => {
+    const converted = lotQuantityIn(lot, item.unit, item.ingredientId);
+    return converted === null ? sum : sum + converted;
+  }, 0);
+
+  item.quantity = Math.round(total * 1000) / 1000;
+  item.storage = item.lots[0]?.storage || item.storage || DEFAULT_LOCATION_ID;
+  item.expiresAt = item.lots.find(lot => lot.expiresAt)?.expiresAt || null;
+
+  return item;
+}
+
+/**
+ * Normalize a stored/imported item into the lot-based shape.
+ * Legacy single-record items become a single lot.
+ */
+function normalizePantryItem(raw) {
+  const ingredient = getIngredientById(raw.ingredientId);
+  const addedAt = raw.addedAt || new Date().toISOString();
+  const unit = raw.unit || raw.lots?.[0]?.unit || ingredient?.defaultUnit;
+  const fallback = {
+    quantity: raw.quantity,
+    unit,
+    storage: raw.storage,
+    purchasedAt: raw.addedAt || null,
+    addedAt
+  };
+
+  const lots = Array.isArray(raw.lots) && raw.lots.length > 0
+    ? raw.lots.map(lot => createLot(lot, fallback))
+    : [createLot({ ...fallback, expiresAt: raw.expiresAt }, fallback)];
+
+  return refreshItemTotals({
+    ingredientId: raw.ingredientId,
+    quantity: raw.quantity ?? 1,
+    unit,
+    storage: raw.storage || DEFAULT_LOCATION_ID,
+    notes: raw.notes || '',
+    addedAt,
+    updatedAt: raw.updatedAt || addedAt,
+    lots
+  });
+}
+
+/**
+ * Remove an amount (in the item's unit) from its lots, earliest expiry first.
+ * Returns the amount that could not be taken and what was taken from each lot.
+ */
+function takeFromLots(item, amount) {
+  let remaining = amount;
+  const taken = [];
+
+  for (const lot of [...item.lots].sort(compareLots)) {
+    if (remaining <= 0) break;
+
+    const available = lotQuantityIn(lot, item.unit, item.ingredientId);
+    if (available === null || available <= 0) continue;
+
+    const amountTaken = Math.min(available, remaining);
+    const before = lot.quantity;
+    const lotBefore = { ...lot };
+
+    setLotQuantityFrom(lot, available - amountTaken, item.unit, item.ingredientId);
+    taken.push({ lotId: lot.id, quantity: before - lot.quantity, lot: lotBefore });
+    remaining = Math.round((remaining - amountTaken) * 1000) / 1000;
+  }
+
+  item.lots = item.lots.filter(lot => lot.quantity > 0);
+  return { remaining: Math.max(0, remaining), taken };
+}
+
 /**
  * Save pantry to localStorage
  */
@@ -102,19 +294,22 @@ function savePantry() {
   try {
     const data = Array.from(pantryItems.values());
     localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    saveFailed = false;
     schedulePushToCloud();
   } catch (error) {
     console.error('Failed to save pantry:', error);
+    saveFailed = true;
   }
 }
 
 /**
  * Notify all listeners of changes
+ * @param {Object} details - Extra event fields, e.g. { mode } for an import
  */
-function notifyListeners(action, item) {
+function notifyListeners(action, item, details = {}) {
   listeners.forEach(callback => {
     try {
-      callback({ action, item, pantry: getPantryItems() });
+      callback({ action, item, pantry: getPantryItems(), saveFailed, ...details });
     } catch (error) {
       console.error('Listener error:', error);
     }
@@ -176,26 +371,66 @@ export function getPantryItem(ingredientId) {
 }
 
 /**
- * Add or update an item in the pantry
+ * Add or update an item in the pantry.
+ * Sets the item's total quantity; for an existing item the difference is
+ * added to its newest lot or taken from the earliest-expiring lots.
  */
-export function addPantryItem(ingredientId, quantity = null, unit = null, storage = 'pantry', notes = '') {
+export function addPantryItem(ingredientId, quantity = null, unit = null, storage = DEFAULT_LOCATION_ID, notes = '') {
   const ingredient = getIngredientById(ingredientId);
   if (!ingredient) {
     console.error('Unknown ingredient:', ingredientId);
     return null;
   }
 
-  const item = {
-    ingredientId,
-    quantity: quantity ?? 1,
-    unit: unit || ingredient.defaultUnit,
-    storage, // 'pantry', 'fridge', 'freezer'
-    notes,
-    addedAt: pantryItems.has(ingredientId)
-      ? pantryItems.get(ingredientId).addedAt
-      : new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
+  const now = new Date().toISOString();
+  const existing = pantryItems.get(ingredientId);
+  const targetQuantity = quantity ?? 1;
+  const targetUnit = unit || existing?.unit || ingredient.defaultUnit;
+  let item;
+
+  if (existing && (targetUnit === existing.unit || convertQuantity(1, existing.unit, targetUnit, ingredientId) !== null)) {
+    item = existing;
+    item.unit = targetUnit;
+    refreshItemTotals(item);
+
+    if (storage && storage !== item.storage) {
+      item.lots.forEach(lot => { lot.storage = storage; });
+    }
+
+    const difference = Math.round((targetQuantity - item.quantity) * 1000) / 1000;
+    if (difference > 0) {
+      const newestLot = item.lots.reduce((latest, lot) =>
+        !latest || lot.addedAt > latest.addedAt ? lot : latest, null);
+      const current = newestLot ? lotQuantityIn(newestLot, item.unit, ingredientId) : null;
+
+      if (current !== null) {
+        setLotQuantityFrom(newestLot, current + difference, item.unit, ingredientId);
+      } else {
+        item.lots.push(createLot({ quantity: difference, unit: item.unit, storage: storage || item.storage, purchasedAt: now }));
+      }
+    } else if (difference < 0) {
+      takeFromLots(item, -difference);
+    }
+
+    if (item.lots.length === 0) {
+      item.lots.push(createLot({ quantity: targetQuantity, unit: item.unit, storage: storage || DEFAULT_LOCATION_ID, purchasedAt: now }));
+    }
+
+    item.notes = notes ?? item.notes;
+    item.updatedAt = now;
+    refreshItemTotals(item);
+  } else {
+    // New item, or a unit that cannot be converted: start over with a single lot
+    item = normalizePantryItem({
+      ingredientId,
+      quantity: targetQuantity,
+      unit: targetUnit,
+      storage, // storage location id (see storageLocations.js)
+      notes,
+      addedAt: existing ? existing.addedAt : now,
+      updatedAt: now
+    });
+  }
 
   const isUpdate = pantryItems.has(ingredientId);
   pantryItems.set(ingredientId, item);
@@ -224,6 +459,292 @@ export function updatePantryQuantity(ingredientId, quantity, unit = null) {
 // Alias for consistency
 export const updatePantryItemQuantity = updatePantryQuantity;
 
+/**
+ * Get the lots of a pantry item, earliest expiry first
+ * @param {string} ingredientId
+ * @returns {Array} Copies of the item's lots
+ */
+export function getPantryLots(ingredientId) {
+  const item = pantryItems.get(ingredientId);
+  if (!item) return [];
+  return item.lots.map(lot => ({ ...lot }));
+}
+
+/**
+ * Add a new lot (e.g. a fresh purchase) to a pantry item, creating the item if needed
+ * @param {string} ingredientId
+ * @param {Object} lotData - { quantity, unit, storage, purchasedAt, expiresAt, notes }
+ * @returns {Object|null} The created lot
+ */
+export function addPantryLot(ingredientId, lotData = {}) {
+  const ingredient = getIngredientById(ingredientId);
+  if (!ingredient) {
+    console.error('Unknown ingredient:', ingredientId);
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const existing = pantryItems.get(ingredientId);
+  const lot = createLot({ purchasedAt: now, ...lotData, addedAt: now }, {
+    unit: existing?.unit || ingredient.defaultUnit
+  });
+
+  if (existing) {
+    existing.lots.push(lot);
+    existing.updatedAt = now;
+    refreshItemTotals(existing);
+    savePantry();
+    notifyListeners('update', existing);
+  } else {
+    const item = refreshItemTotals({
+      ingredientId,
+      unit: lot.unit,
+      storage: lot.storage,
+      notes: '',
+      addedAt: now,
+      updatedAt: now,
+      lots: [lot]
+    });
+    pantryItems.set(ingredientId, item);
+    savePantry();
+    notifyListeners('add', item);
+  }
+
+  return { ...lot };
+}
+
+/**
+ * Describe a unit clash between a pantry item and an incoming amount
+ * @returns {Object|null} { storedQuantity, storedUnit, incomingUnit }, or null when
+ *   the incoming unit converts into the stored one (or nothing is stored yet)
+ */
+export function getUnitConflict(ingredientId, unit) {
+  const item = pantryItems.get(ingredientId);
+  if (!item || !unit || unit === item.unit || convertQuantity(1, unit, item.unit, ingredientId) !== null) {
+    return null;
+  }
+  return { storedQuantity: item.quantity, storedUnit: item.unit, incomingUnit: unit };
+}
+
+/**
+ * Add incoming lots to a copy of an item, converting each into the stored unit.
+ * With replaceIncompatible, a unit that can't be converted takes over instead:
+ * the item switches to it and stock that can't be expressed in it is dropped.
+ * @returns {Object} { item, conflict } - item is null on an unresolved conflict
+ */
+function restockItem(current, lots, now, replaceIncompatible = false) {
+  const item = { ...current, lots: current.lots.map(lot => ({ ...lot })) };
+  const convertible = lot => lot.unit === item.unit || convertQuantity(1, lot.unit, item.unit, item.ingredientId) !== null;
+
+  const clash = lots.find(lot => !convertible({ unit: lot.unit || item.unit }));
+  const conflict = clash
+    ? { storedQuantity: current.quantity, storedUnit: current.unit, incomingUnit: clash.unit }
+    : null;
+
+  if (conflict) {
+    if (!replaceIncompatible) return { item: null, conflict };
+
+    item.unit = clash.unit;
+    item.lots = item.lots.filter(convertible);
+  }
+
+  lots.forEach(lot => {
+    const unit = lot.unit || item.unit;
+    const quantity = unit === item.unit ? lot.quantity : convertQuantity(lot.quantity, unit, item.unit, item.ingredientId);
+    if (quantity === null) return;
+
+    item.lots.push(createLot({
+      purchasedAt: now,
+      ...lot,
+      id: null,
+      quantity: Math.round(quantity * 1000) / 1000,
+      unit: item.unit,
+      addedAt: now
+    }, { storage: item.storage }));
+  });
+
+  item.updatedAt = now;
+  return { item: refreshItemTotals(item), conflict };
+}
+
+/**
+ * Add a purchase to what's already on hand. The amount is converted into the
+ * unit the item is stored in (500 g onto 1 lb gives about 2.1 lb) and kept as a
+ * new lot. Creates the item if it isn't in the pantry yet.
+ * @param {string} ingredientId
+ * @param {number} quantity
+ * @param {string} unit - Unit of the quantity (defaults to the stored unit)
+ * @param {Object} lotData - { storage, purchasedAt, expiresAt, notes }
+ * @param {Object} options - { replaceIncompatible: switch the item to `unit` when it
+ *   can't be converted (see getUnitConflict) instead of refusing }
+ * @returns {Object|null} The added lot in the stored unit, or null
+ */
+export function restockPantryItem(ingredientId, quantity, unit = null, lotData = {}, options = {}) {
+  const existing = pantryItems.get(ingredientId);
+  if (!existing) {
+    return addPantryLot(ingredientId, { ...lotData, quantity, unit });
+  }
+
+  if (!(quantity > 0)) return null;
+
+  const now = new Date().toISOString();
+  const { item, conflict } = restockItem(existing, [{ ...lotData, quantity, unit: unit || existing.unit }],
+    now, options.replaceIncompatible);
+
+  if (!item) {
+    console.warn(`Cannot add ${conflict.incomingUnit} to ${ingredientId} stored in ${conflict.storedUnit}`);
+    return null;
+  }
+
+  pantryItems.set(ingredientId, item);
+  savePantry();
+  notifyListeners('update', item);
+
+  const lot = item.lots.find(l => !existing.lots.some(old => old.id === l.id));
+  return lot ? { ...lot } : null;
+}
+
+/**
+ * Update fields of a single lot
+ * @param {string} ingredientId
+ * @param {string} lotId
+ * @param {Object} updates - Any of { quantity, unit, storage, purchasedAt, expiresAt, notes }
+ * @returns {Object|null} The updated lot
+ */
+export function updatePantryLot(ingredientId, lotId, updates = {}) {
+  const item = pantryItems.get(ingredientId);
+  const lot = item?.lots.find(l => l.id === lotId);
+  if (!lot) return null;
+
+  const allowed = ['quantity', 'unit', 'storage', 'purchasedAt', 'expiresAt', 'notes'];
+  allowed.forEach(key => {
+    if (updates[key] !== undefined) {
+      lot[key] = updates[key];
+    }
+  });
+
+  if (lot.quantity <= 0) {
+    return removePantryLot(ingredientId, lotId) ? null : lot;
+  }
+
+  item.updatedAt = new Date().toISOString();
+  refreshItemTotals(item);
+  savePantry();
+  notifyListeners('update', item);
+
+  return { ...lot };
+}
+
+/**
+ * Remove a single lot; removing the last lot removes the item
+ * @param {string} ingredientId
+ * @param {string} lotId
+ * @returns {boolean}
+ */
+export function removePantryLot(ingredientId, lotId) {
+  const item = pantryItems.get(ingredientId);
+  if (!item || !item.lots.some(l => l.id === lotId)) return false;
+
+  if (item.lots.length === 1) {
+    return removePantryItem(ingredientId);
+  }
+
+  item.lots = item.lots.filter(l => l.id !== lotId);
+  item.updatedAt = new Date().toISOString();
+  refreshItemTotals(item);
+  savePantry();
+  notifyListeners('update', item);
+
+  return true;
+}
+
+/**
+ * Consume several ingredients at once (e.g. when a meal is cooked).
+ * Amounts are converted into each item's unit and taken from the earliest-expiring lots.
+ * Items that run out are removed. Fires a single 'consume' change.
+ * @param {Array} requirements - [{ ingredientId, quantity, unit }]
+ * @returns {Array} Per-ingredient records: { ingredientId, requested, unit, consumed,
+ *   shortfall, skipped, takenLots, item } — takenLots/item are what restoreConsumedQuantities needs
+ */
+export function consumePantryQuantities(requirements) {
+  const results = requirements.map(({ ingredientId, quantity, unit }) => {
+    const record = { ingredientId, requested: quantity, unit, consumed: 0, shortfall: quantity, skipped: null, takenLots: [], item: null };
+    const item = pantryItems.get(ingredientId);
+    if (!item) return record;
+
+    const amountInItemUnit = unit === item.unit ? quantity : convertQuantity(quantity, unit, item.unit, ingredientId);
+    if (amountInItemUnit === null) {
+      // Can't tell how much of the stock this is - leave it alone
+      record.skipped = 'incompatible-units';
+      record.shortfall = 0;
+      return record;
+    }
+
+    record.item = { ingredientId, unit: item.unit, notes: item.notes, addedAt: item.addedAt };
+    const { remaining, taken } = takeFromLots(item, amountInItemUnit);
+    const remainingInRecipeUnit = unit === item.unit ? remaining : convertQuantity(remaining, item.unit, unit, ingredientId);
+
+    record.takenLots = taken;
+    record.shortfall = Math.round(remainingInRecipeUnit * 1000) / 1000;
+    record.consumed = Math.round((quantity - record.shortfall) * 1000) / 1000;
+
+    if (item.lots.length === 0) {
+      pantryItems.delete(ingredientId);
+    } else {
+      item.updatedAt = new Date().toISOString();
+      refreshItemTotals(item);
+    }
+
+    return record;
+  });
+
+  if (results.some(r => r.takenLots.length > 0)) {
+    savePantry();
+    notifyListeners('consume', null);
+  }
+
+  return results;
+}
+
+/**
+ * Put back stock taken by consumePantryQuantities, lot by lot.
+ * Lots that were used up are recreated, as are items that were removed.
+ * @param {Array} records - The records returned by consumePantryQuantities
+ */
+export function restoreConsumedQuantities(records) {
+  let restored = 0;
+
+  records.forEach(record => {
+    if (!record.item || !record.takenLots?.length) return;
+
+    let item = pantryItems.get(record.ingredientId);
+    if (!item) {
+      item = { ...record.item, updatedAt: new Date().toISOString(), lots: [] };
+      pantryItems.set(record.ingredientId, item);
+    }
+
+    record.takenLots.forEach(({ lotId, quantity, lot }) => {
+      const existingLot = item.lots.find(l => l.id === lotId);
+      if (existingLot) {
+        existingLot.quantity += quantity;
+      } else {
+        item.lots.push({ ...lot, quantity });
+      }
+    });
+
+    item.updatedAt = new Date().toISOString();
+    refreshItemTotals(item);
+    restored++;
+  });
+
+  if (restored > 0) {
+    savePantry();
+    notifyListeners('consumeUndo', null);
+  }
+
+  return restored;
+}
+
 /**
  * Remove an item from the pantry
  */
@@ -247,6 +768,44 @@ export function clearPantry() {
   notifyListeners('clear', null);
 }
 
+/**
+ * Replace the whole pantry with a saved snapshot (e.g. from the change history)
+ * @param {Array} items - Pantry items as returned by getPantryItems()
+ * @returns {number} Number of items in the restored pantry
+ */
+export function restorePantrySnapshot(items) {
+  pantryItems = new Map(
+    items
+      .filter(item => item.ingredientId)
+      .map(item => [item.ingredientId, normalizePantryItem(JSON.parse(JSON.stringify(item)))])
+  );
+  savePantry();
+  notifyListeners('restore', null);
+
+  return pantryItems.size;
+}
+
+/**
+ * Put a single item back exactly as captured (used by undo/redo).
+ * A null snapshot means the item should not exist.
+ * @param {string} ingredientId
+ * @param {Object|null} snapshot - Item as returned by getPantryItem()
+ * @returns {boolean} Whether anything changed
+ */
+export function restorePantryItem(ingredientId, snapshot) {
+  if (!snapshot) {
+    return pantryItems.has(ingredientId) ? removePantryItem(ingredientId) : false;
+  }
+
+  const isUpdate = pantryItems.has(ingredientId);
+  const item = normalizePantryItem(JSON.parse(JSON.stringify(snapshot)));
+  pantryItems.set(ingredientId, item);
+  savePantry();
+  notifyListeners(isUpdate ? 'update' : 'add', item);
+
+  return true;
+}
+
 /**
  * Get pantry item IDs as a Set (for fast recipe matching)
  */
@@ -254,6 +813,50 @@ export function getPantryIngredientIds() {
   return new Set(pantryItems.keys());
 }
 
+/**
+ * Pantry lots whose unit the unit registry can't resolve
+ * @returns {Array} [{ ingredientId, lotId, unit }]
+ */
+export function getUnresolvedPantryUnits() {
+  return Array.from(pantryItems.values()).flatMap(item => item.lots
+    .filter(lot => lot.unit && !isKnownUnit(lot.unit))
+    .map(lot => ({ ingredientId: item.ingredientId, lotId: lot.id, unit: lot.unit })));
+}
+
+/**
+ * Whole days from today until a YYYY-MM-DD date (negative once past)
+ */
+function daysUntil(dateStr, from = new Date()) {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const target = new Date(dateStr + 'T00:00:00');
+  return Math.round((target - start) / 86400000);
+}
+
+/**
+ * Days until the earliest-expiring lot of an item expires
+ * @param {string} ingredientId
+ * @returns {number|null} Days left (negative if expired), or null if no expiry is set
+ */
+export function getDaysUntilExpiry(ingredientId) {
+  const item = pantryItems.get(ingredientId);
+  if (!item || !item.expiresAt) return null;
+  return daysUntil(item.expiresAt);
+}
+
+/**
+ * Get items expiring within a number of days, soonest first
+ * @param {number} withinDays - Horizon in days (0 = today)
+ * @param {Object} options - { includeExpired: also return items already past their date }
+ * @returns {Array} Items with an added daysLeft field
+ */
+export function getExpiringItems(withinDays = 3, { includeExpired = false } = {}) {
+  return getPantryItems()
+    .filter(item => item.expiresAt)
+    .map(item => ({ ...item, daysLeft: daysUntil(item.expiresAt) }))
+    .filter(item => item.daysLeft <= withinDays && (includeExpired || item.daysLeft >= 0))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
 /**
  * Export pantry to JSON object
  */
@@ -263,7 +866,15 @@ export function exportPantry() {
     quantity: item.quantity,
     unit: item.unit,
     storage: item.storage,
-    notes: item.notes
+    notes: item.notes,
+    lots: item.lots.map(lot => ({
+      quantity: lot.quantity,
+      unit: lot.unit,
+      storage: lot.storage,
+      purchasedAt: lot.purchasedAt,
+      expiresAt: lot.expiresAt,
+      notes: lot.notes
+    }))
   }));
 
   return {
@@ -297,11 +908,82 @@ export function downloadPantryJson() {
 }
 
 /**
- * Import pantry from JSON data
+ * Build a pantry item from an import record, keeping the existing item's addedAt
+ */
+function itemFromImport(record, ingredient, existing, now) {
+  return normalizePantryItem({
+    ingredientId: record.ingredientId,
+    quantity: record.quantity ?? 1,
+    unit: record.unit || ingredient.defaultUnit,
+    storage: record.storage || DEFAULT_LOCATION_ID,
+    notes: record.notes || '',
+    expiresAt: record.expiresAt || null,
+    // Lot IDs are regenerated so repeated imports never collide
+    lots: Array.isArray(record.lots)
+      ? record.lots.map(lot => ({ ...lot, id: null, addedAt: now }))
+      : null,
+    addedAt: existing?.addedAt || now,
+    updatedAt: now
+  });
+}
+
+/**
+ * The lots an import record brings in (legacy records are a single amount)
+ */
+function lotsFromImport(record, ingredient) {
+  if (Array.isArray(record.lots) && record.lots.length > 0) {
+    return record.lots.map(lot => ({ ...lot, unit: lot.unit || record.unit || ingredient.defaultUnit }));
+  }
+  return [{
+    quantity: record.quantity ?? 1,
+    unit: record.unit || ingredient.defaultUnit,
+    storage: record.storage,
+    expiresAt: record.expiresAt || null,
+    notes: record.notes || ''
+  }];
+}
+
+/**
+ * Field-level differences between a current and an incoming pantry item
+ */
+function diffPantryItemFields(current, incoming) {
+  const fields = [];
+  const describeLots = item => item.lots.length;
+
+  if (current.quantity !== incoming.quantity || current.unit !== incoming.unit) {
+    fields.push({
+      field: 'quantity',
+      from: `${current.quantity} ${current.unit}`,
+      to: `${incoming.quantity} ${incoming.unit}`
+    });
+  }
+  if (current.storage !== incoming.storage) {
+    fields.push({ field: 'storage', from: current.storage, to: incoming.storage });
+  }
+  if ((current.expiresAt || null) !== (incoming.expiresAt || null)) {
+    fields.push({ field: 'expiresAt', from: current.expiresAt || null, to: incoming.expiresAt || null });
+  }
+  if ((current.notes || '') !== (incoming.notes || '')) {
+    fields.push({ field: 'notes', from: current.notes || '', to: incoming.notes || '' });
+  }
+  if (describeLots(current) !== describeLots(incoming)) {
+    fields.push({ field: 'lots', from: describeLots(current), to: describeLots(incoming) });
+  }
+
+  return fields;
+}
+
+/**
+ * Compute what importing pantry data would change, without changing anything.
+ * Each change has an id that can be passed to importPantry's `accept` option.
  * @param {Object|string} data - JSON object or string
- * @param {string} mode - 'replace' (clear existing) or 'merge' (add to existing)
+ * @param {string} mode - 'replace', 'merge' or 'add' (add quantities to what's on hand)
+ * @returns {Object} { success, mode, changes, unchanged, total } or { success: false, error }
+ *   change: { id, type: 'add'|'change'|'remove'|'unknown', ingredientId, current, incoming, fields,
+ *   unitConflict } - in 'add' mode, unitConflict is set when the file's unit can't be converted
+ *   into the stored one; accepting such a change switches the item to the file's unit
  */
-export function importPantry(data, mode = 'merge') {
+export function diffPantryImport(data, mode = 'merge') {
   try {
     const parsed = typeof data === 'string' ? JSON.parse(data) : data;
 
@@ -310,51 +992,67 @@ export function importPantry(data, mode = 'merge') {
       throw new Error('Invalid pantry file format: missing items array');
     }
 
-    if (mode === 'replace') {
-      pantryItems.clear();
-    }
+    const now = new Date().toISOString();
+    const incomingIds = new Set();
+    const changes = [];
+    let unchanged = 0;
 
-    let imported = 0;
-    let skipped = 0;
+    // Later records for the same ingredient win, as they would on import
+    const records = new Map();
+    parsed.items.forEach(record => {
+      if (record?.ingredientId) records.set(record.ingredientId, record);
+    });
 
-    parsed.items.forEach(item => {
-      if (!item.ingredientId) {
-        skipped++;
+    records.forEach((record, ingredientId) => {
+      incomingIds.add(ingredientId);
+
+      const ingredient = getIngredientById(ingredientId);
+      if (!ingredient) {
+        changes.push({ id: `unknown:${ingredientId}`, type: 'unknown', ingredientId, current: null, incoming: record, fields: [] });
         return;
       }
 
-      // Verify ingredient exists
-      const ingredient = getIngredientById(item.ingredientId);
-      if (!ingredient) {
-        console.warn('Unknown ingredient in import:', item.ingredientId);
-        skipped++;
+      const current = pantryItems.get(ingredientId) || null;
+      let incoming;
+      let unitConflict = null;
+
+      if (mode === 'add' && current) {
+        ({ item: incoming, conflict: unitConflict } = restockItem(current, lotsFromImport(record, ingredient), now, true));
+      } else {
+        incoming = itemFromImport(record, ingredient, current, now);
+      }
+
+      if (!current) {
+        changes.push({ id: `add:${ingredientId}`, type: 'add', ingredientId, current: null, incoming, fields: [] });
         return;
       }
 
-      // Add to pantry
-      pantryItems.set(item.ingredientId, {
-        ingredientId: item.ingredientId,
-        quantity: item.quantity ?? 1,
-        unit: item.unit || ingredient.defaultUnit,
-        storage: item.storage || 'pantry',
-        notes: item.notes || '',
-        addedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-      imported++;
+      const fields = diffPantryItemFields(current, incoming);
+      if (fields.length === 0) {
+        unchanged++;
+        return;
+      }
+
+      changes.push({ id: `change:${ingredientId}`, type: 'change', ingredientId, current, incoming, fields, unitConflict });
     });
 
-    savePantry();
-    notifyListeners('import', null);
+    if (mode === 'replace') {
+      pantryItems.forEach((current, ingredientId) => {
+        if (!incomingIds.has(ingredientId)) {
+          changes.push({ id: `remove:${ingredientId}`, type: 'remove', ingredientId, current, incoming: null, fields: [] });
+        }
+      });
+    }
 
     return {
       success: true,
-      imported,
-      skipped,
+      mode,
+      changes,
+      unchanged,
       total: parsed.items.length
     };
   } catch (error) {
-    console.error('Import failed:', error);
+    console.error('Import preview failed:', error);
     return {
       success: false,
       error: error.message
@@ -362,18 +1060,75 @@ export function importPantry(data, mode = 'merge') {
   }
 }
 
+/**
+ * Import pantry from JSON data
+ * Accepts both lot-based (2.x) and legacy single-record (1.x) exports.
+ * Existing items keep their addedAt. Pass options.accept (change ids from
+ * diffPantryImport) to apply only some of the changes.
+ * @param {Object|string} data - JSON object or string
+ * @param {string} mode - 'replace' (remove items not in the import), 'merge' (keep them)
+ *   or 'add' (add the file's quantities to what's on hand, see restockPantryItem)
+ * @param {Object} options - { accept: array of change ids to apply (default: all) }
+ * @returns {Object} { success, imported, skipped, total, diff: { added, changed, removed, unknown, rejected } }
+ */
+export function importPantry(data, mode = 'merge', options = {}) {
+  const preview = diffPantryImport(data, mode);
+  if (!preview.success) {
+    return preview;
+  }
+
+  const accepted = options.accept ? new Set(options.accept) : null;
+  const diff = { added: [], changed: [], removed: [], unknown: [], rejected: [] };
+
+  preview.changes.forEach(change => {
+    if (change.type === 'unknown') {
+      console.warn('Unknown ingredient in import:', change.ingredientId);
+      diff.unknown.push(change);
+      return;
+    }
+
+    if (accepted && !accepted.has(change.id)) {
+      diff.rejected.push(change);
+      return;
+    }
+
+    if (change.type === 'remove') {
+      pantryItems.delete(change.ingredientId);
+      diff.removed.push(change);
+    } else {
+      pantryItems.set(change.ingredientId, change.incoming);
+      (change.type === 'add' ? diff.added : diff.changed).push(change);
+    }
+  });
+
+  const applied = diff.added.length + diff.changed.length + diff.removed.length;
+  if (applied > 0) {
+    savePantry();
+    notifyListeners('import', null, { mode });
+  }
+
+  return {
+    success: true,
+    imported: diff.added.length + diff.changed.length,
+    skipped: preview.total - preview.unchanged - diff.added.length - diff.changed.length,
+    total: preview.total,
+    diff
+  };
+}
+
 /**
  * Import pantry from file input
  * @param {File} file - File object from input element
- * @param {string} mode - 'replace' or 'merge'
+ * @param {string} mode - 'replace', 'merge' or 'add'
+ * @param {Object} options - Passed to importPantry()
  */
-export async function importPantryFromFile(file, mode = 'merge') {
+export async function importPantryFromFile(file, mode = 'merge', options = {}) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
     reader.onload = (event) => {
       try {
-        const result = importPantry(event.target.result, mode);
+        const result = importPantry(event.target.result, mode, options);
         resolve(result);
       } catch (error) {
         reject(error);
@@ -388,24 +1143,41 @@ export async function importPantryFromFile(file, mode = 'merge') {
   });
 }
 
+/**
+ * Whether an item has a lot stored in a location or anywhere nested inside it
+ */
+export function isItemInLocation(item, locationId) {
+  const ids = getLocationWithDescendants(locationId);
+  return item.lots.some(lot => ids.includes(lot.storage));
+}
+
 /**
  * Get pantry statistics
+ * byStorage has an entry for every storage location; nested locations also
+ * count towards the locations they sit in.
  */
 export function getPantryStats() {
   const items = getPantryItems();
   const byCategory = {};
-  const byStorage = { pantry: 0, fridge: 0, freezer: 0 };
+  const byStorage = Object.fromEntries(getStorageLocations().map(location => [location.id, 0]));
+
+  let totalLots = 0;
 
   items.forEach(item => {
     const ingredient = getIngredientById(item.ingredientId);
     if (ingredient) {
       byCategory[ingredient.category] = (byCategory[ingredient.category] || 0) + 1;
     }
-    byStorage[item.storage] = (byStorage[item.storage] || 0) + 1;
+    // An item counts once for every storage location one of its lots is in
+    new Set(item.lots.flatMap(lot => getLocationWithAncestors(lot.storage))).forEach(storage => {
+      byStorage[storage] = (byStorage[storage] || 0) + 1;
+    });
+    totalLots += item.lots.length;
   });
 
   return {
     totalItems: items.length,
+    totalLots,
     byCategory,
     byStorage
   };
@@ -420,12 +1192,27 @@ export default {
   getPantryItem,
   addPantryItem,
   updatePantryQuantity,
+  getPantryLots,
+  addPantryLot,
+  getUnitConflict,
+  restockPantryItem,
+  updatePantryLot,
+  removePantryLot,
+  consumePantryQuantities,
+  restoreConsumedQuantities,
   removePantryItem,
   clearPantry,
+  restorePantrySnapshot,
+  restorePantryItem,
   getPantryIngredientIds,
+  getUnresolvedPantryUnits,
+  getDaysUntilExpiry,
+  getExpiringItems,
   exportPantry,
   downloadPantryJson,
+  diffPantryImport,
   importPantry,
   importPantryFromFile,
+  isItemInLocation,
   getPantryStats
 };
@@ -0,0 +1,228 @@
+/**
+ * Par Levels Module
+ * Minimum and target stock levels per ingredient, used for low-stock
+ * detection and restocking.
+ *
+ * A level is { min, target, unit }. It comes from, in order: the user's own
+ * level for the ingredient, the catalog's `parLevel`, or a default for the unit
+ * the item is stored in. User levels are kept even when the item runs out, so
+ * an emptied staple still shows up as low.
+ */
+
+import { getIngredientById } from './ingredientManager.js';
+import { getPantryItem, getPantryItems, restockPantryItem } from './pantryManager.js';
+import { convertQuantity } from './unitConverter.js';
+
+const STORAGE_KEY = 'pantry_planner_par_levels';
+
+// Fallback levels by unit, roughly "a little left" and "a normal shop"
+const DEFAULT_PAR_LEVELS = {
+  pieces: { min: 1, target: 3 },
+  can: { min: 1, target: 3 },
+  stalks: { min: 1, target: 3 },
+  cloves: { min: 3, target: 10 },
+  g: { min: 100, target: 500 },
+  kg: { min: 0.1, target: 0.5 },
+  oz: { min: 4, target: 16 },
+  lb: { min: 0.5, target: 2 },
+  ml: { min: 100, target: 500 },
+  l: { min: 0.1, target: 0.5 },
+  cup: { min: 0.5, target: 2 },
+  tbsp: { min: 2, target: 8 },
+  tsp: { min: 4, target: 12 }
+};
+
+let customLevels = {}; // ingredientId -> { min, target, unit }
+let listeners = [];
+
+/**
+ * Load user-defined par levels from localStorage
+ */
+export function initParLevels() {
+  try {
+    customLevels = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Failed to load par levels:', error);
+    customLevels = {};
+  }
+  return customLevels;
+}
+
+/**
+ * Save user-defined par levels to localStorage
+ */
+function saveParLevels() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(customLevels));
+  } catch (error) {
+    console.error('Failed to save par levels:', error);
+  }
+}
+
+/**
+ * Notify all listeners of changes
+ */
+function notifyListeners(ingredientId) {
+  listeners.forEach(callback => {
+    try {
+      callback({ ingredientId, level: getParLevel(ingredientId) });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to par level changes
+ */
+export function onParLevelChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Validate a level; returns null when unusable
+ */
+function normalizeLevel(level) {
+  if (!level || !level.unit) return null;
+
+  const min = Number(level.min);
+  const target = Number(level.target);
+  if (!Number.isFinite(min) || !Number.isFinite(target) || min < 0 || target <= 0) return null;
+
+  return { min, target: Math.max(min, target), unit: level.unit };
+}
+
+/**
+ * Get the user's own level for an ingredient (null if using the default)
+ */
+export function getCustomParLevel(ingredientId) {
+  return customLevels[ingredientId] ? { ...customLevels[ingredientId] } : null;
+}
+
+/**
+ * Set or clear (null) the user's level for an ingredient
+ * @param {string} ingredientId
+ * @param {Object|null} level - { min, target, unit }
+ * @returns {Object} { success, level } or { success: false, error }
+ */
+export function setParLevel(ingredientId, level) {
+  if (!getIngredientById(ingredientId)) {
+    return { success: false, error: 'Unknown ingredient' };
+  }
+
+  if (level === null) {
+    delete customLevels[ingredientId];
+  } else {
+    const normalized = normalizeLevel(level);
+    if (!normalized) {
+      return { success: false, error: 'Minimum and target must be positive numbers with a unit' };
+    }
+    customLevels[ingredientId] = normalized;
+  }
+
+  saveParLevels();
+  notifyListeners(ingredientId);
+
+  return { success: true, level: getParLevel(ingredientId) };
+}
+
+/**
+ * Resolve the level that applies to an ingredient
+ * @returns {Object|null} { min, target, unit, source: 'custom'|'catalog'|'default' }
+ */
+export function getParLevel(ingredientId) {
+  if (customLevels[ingredientId]) {
+    return { ...customLevels[ingredientId], source: 'custom' };
+  }
+
+  const ingredient = getIngredientById(ingredientId);
+  const catalogLevel = normalizeLevel(ingredient?.parLevel);
+  if (catalogLevel) {
+    return { ...catalogLevel, source: 'catalog' };
+  }
+
+  // Prefer the unit the item is actually stored in
+  const unit = getPantryItem(ingredientId)?.unit || ingredient?.defaultUnit;
+  const fallback = DEFAULT_PAR_LEVELS[unit];
+  return fallback ? { ...fallback, unit, source: 'default' } : null;
+}
+
+/**
+ * Compare what's on hand with the ingredient's par level
+ * @returns {Object|null} { ingredientId, quantity, unit, min, target, source,
+ *   comparable, isLow, toTarget } - quantity/min/target/toTarget are in the level's unit
+ */
+export function getStockStatus(ingredientId) {
+  const level = getParLevel(ingredientId);
+  if (!level) return null;
+
+  const item = getPantryItem(ingredientId);
+  const quantity = !item ? 0
+    : item.unit === level.unit ? item.quantity
+    : convertQuantity(item.quantity, item.unit, level.unit, ingredientId);
+
+  // Stored in a unit the level can't be compared with
+  if (quantity === null) {
+    return { ingredientId, quantity: null, ...level, comparable: false, isLow: false, toTarget: 0 };
+  }
+
+  const rounded = Math.round(quantity * 1000) / 1000;
+  return {
+    ingredientId,
+    quantity: rounded,
+    ...level,
+    comparable: true,
+    isLow: rounded < level.min,
+    toTarget: Math.max(0, Math.round((level.target - rounded) * 1000) / 1000)
+  };
+}
+
+/**
+ * Whether an ingredient is below its minimum
+ */
+export function isLowStock(ingredientId) {
+  return getStockStatus(ingredientId)?.isLow || false;
+}
+
+/**
+ * Everything below its minimum: pantry items plus ingredients with a user
+ * level that have run out. Emptiest first (relative to target).
+ * @returns {Array} Stock statuses from getStockStatus()
+ */
+export function getLowStockItems() {
+  const tracked = new Set([
+    ...getPantryItems().map(item => item.ingredientId),
+    ...Object.keys(customLevels)
+  ]);
+
+  return Array.from(tracked)
+    .map(getStockStatus)
+    .filter(status => status?.isLow)
+    .sort((a, b) => a.quantity / a.target - b.quantity / b.target);
+}
+
+/**
+ * Top an ingredient up to its target level with a new lot
+ * @returns {Object|null} The added lot, or null if nothing was needed
+ */
+export function restockToTarget(ingredientId, lotData = {}) {
+  const status = getStockStatus(ingredientId);
+  if (!status?.comparable || status.toTarget <= 0) return null;
+
+  return restockPantryItem(ingredientId, status.toTarget, status.unit, lotData);
+}
+
+export default {
+  initParLevels,
+  onParLevelChange,
+  getCustomParLevel,
+  setParLevel,
+  getParLevel,
+  getStockStatus,
+  isLowStock,
+  getLowStockItems,
+  restockToTarget
+};
@@ -0,0 +1,129 @@
+/**
+ * Quantity Formatter Module
+ * Reads and writes quantities the way cooks do: mixed numbers ("1 1/2"),
+ * unicode fractions ("½", "1⅓") and plain decimals ("1.5", "1,5").
+ * Metric amounts (g, kg, ml, L) stay decimal.
+ */
+
+import { getUnitLabel, resolveUnit } from './unitRegistry.js';
+import { convertToSystem } from './unitConverter.js';
+import { getUnitSystem } from './nutritionPrefsManager.js';
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '¼': 1 / 4,
+  '¾': 3 / 4,
+  '⅕': 1 / 5,
+  '⅖': 2 / 5,
+  '⅗': 3 / 5,
+  '⅘': 4 / 5,
+  '⅙': 1 / 6,
+  '⅚': 5 / 6,
+  '⅛': 1 / 8,
+  '⅜': 3 / 8,
+  '⅝': 5 / 8,
+  '⅞': 7 / 8
+};
+
+// Fractions used for display, and how close a value must be to snap to one
+const DISPLAY_FRACTIONS = [
+  [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+  [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞']
+];
+const FRACTION_TOLERANCE = 0.04;
+
+const DECIMAL_UNITS = ['g', 'kg', 'ml', 'l'];
+
+/**
+ * Parse a typed quantity
+ * @param {string|number} text - "2", "1.5", "1,5", "3/4", "1 1/2", "1-1/2", "½", "1½", "1 ⅓"
+ * @returns {number|null} The amount, or null if it isn't a quantity
+ */
+export function parseQuantity(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  if (typeof text !== 'string') return null;
+
+  let value = text.trim().replace(/⁄/g, '/'); // fraction slash
+  if (!value) return null;
+
+  // A trailing unicode fraction, alone or after a whole number
+  const unicode = value.match(/^(\d+)?\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])$/);
+  if (unicode) {
+    return (unicode[1] ? parseInt(unicode[1], 10) : 0) + UNICODE_FRACTIONS[unicode[2]];
+  }
+
+  // Mixed number ("1 1/2", "1-1/2") or simple fraction ("3/4")
+  const fraction = value.match(/^(?:(\d+)[\s-]+)?(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) {
+    const denominator = parseInt(fraction[3], 10);
+    if (denominator === 0) return null;
+    return (fraction[1] ? parseInt(fraction[1], 10) : 0) + parseInt(fraction[2], 10) / denominator;
+  }
+
+  // Decimal, with either separator
+  value = value.replace(',', '.');
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(value)) return null;
+  return parseFloat(value);
+}
+
+/**
+ * Format a quantity for display: "1½", "⅔", "0.2", or "250" for metric units
+ * @param {number} quantity
+ * @param {string} unit - Optional; metric units are never shown as fractions
+ * @returns {string}
+ */
+export function formatQuantity(quantity, unit = null) {
+  if (!Number.isFinite(quantity) || quantity < 0) return '';
+
+  const unitId = resolveUnit(unit);
+  if (DECIMAL_UNITS.includes(unitId)) {
+    // Whole grams/millilitres once there are enough of them to not matter
+    const small = unitId === 'g' || unitId === 'ml';
+    const places = !small ? 2 : quantity >= 10 ? 0 : 1;
+    return String(Math.round(quantity * 10 ** places) / 10 ** places);
+  }
+
+  const whole = Math.floor(quantity);
+  const remainder = quantity - whole;
+
+  if (remainder < FRACTION_TOLERANCE) return String(whole || Math.round(quantity * 100) / 100);
+  if (remainder > 1 - FRACTION_TOLERANCE) return String(whole + 1);
+
+  const closest = DISPLAY_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best);
+  if (Math.abs(closest[0] - remainder) <= FRACTION_TOLERANCE) {
+    return whole > 0 ? `${whole}${closest[1]}` : closest[1];
+  }
+
+  // Nothing kitchen-friendly nearby - keep two decimals at most
+  return String(Math.round(quantity * 100) / 100);
+}
+
+/**
+ * Format a quantity with its unit in the user's unit system: "1½ cups", "½ cup", "250 g".
+ * Only the display changes; stored quantities keep their own units.
+ * @param {number} quantity
+ * @param {string} unit
+ * @param {string} ingredientId - Optional, selects the category's unit preferences
+ * @returns {string}
+ */
+export function formatAmount(quantity, unit, ingredientId = null) {
+  if (quantity > 0) {
+    ({ quantity, unit } = convertToSystem(quantity, unit, getUnitSystem(), ingredientId));
+  }
+
+  const formatted = formatQuantity(quantity, unit);
+  if (!formatted) return getUnitLabel(unit) || '';
+  if (!unit) return formatted;
+
+  // "½ cup" but "1½ cups", judged on the number shown
+  return `${formatted} ${getUnitLabel(unit, parseQuantity(formatted) <= 1 ? 1 : quantity)}`;
+}
+
+export default {
+  parseQuantity,
+  formatQuantity,
+  formatAmount
+};
@@ -1,9 +1,18 @@
 /**
  * Recipe Manager Module
- * Handles loading and filtering recipes
+ * Handles loading and filtering recipes, and keeps an index of which recipes
+ * use each ingredient so pantry changes only re-match the recipes they touch
  */
 
+import { isKnownUnit } from './unitRegistry.js';
+import { recipeFitsDiet } from './dietaryProfile.js';
+import { getIngredientById } from './ingredientManager.js';
+import { tokenize, scoreWord, scoreText } from './fuzzySearch.js';
+
 let recipesData = null;
+let recipesById = new Map();
+let recipesByIngredient = new Map(); // Ingredient ID -> Set of recipe IDs using it
+const searchWords = new WeakMap(); // Recipe -> its words, per field, for searching
 
 /**
  * Load recipes from JSON file
@@ -14,6 +23,12 @@ export async function loadRecipes() {
   try {
     const response = await fetch('/src/data/recipes.json');
     recipesData = await response.json();
+    buildIndexes();
+
+    const unresolved = getUnresolvedRecipeUnits();
+    if (unresolved.length > 0) {
+      console.warn('Recipe units the unit registry cannot resolve:', unresolved);
+    }
     return recipesData;
   } catch (error) {
     console.error('Failed to load recipes:', error);
@@ -21,6 +36,31 @@ export async function loadRecipes() {
   }
 }
 
+/**
+ * Rebuild the recipe lookup and ingredient -> recipes indexes
+ */
+function buildIndexes() {
+  recipesById = new Map();
+  recipesByIngredient = new Map();
+  getRecipes().forEach(recipe => {
+    recipesById.set(recipe.id, recipe);
+    recipe.ingredients.forEach(ing => {
+      if (!recipesByIngredient.has(ing.ingredientId)) {
+        recipesByIngredient.set(ing.ingredientId, new Set());
+      }
+      recipesByIngredient.get(ing.ingredientId).add(recipe.id);
+    });
+  });
+}
+
+/**
+ * IDs of the recipes that use an ingredient (required or optional)
+ * @returns {Set}
+ */
+export function getRecipeIdsUsingIngredient(ingredientId) {
+  return recipesByIngredient.get(ingredientId) || new Set();
+}
+
 /**
  * Get all recipes
  */
@@ -28,31 +68,93 @@ export function getRecipes() {
   return recipesData?.recipes || [];
 }
 
+/**
+ * Recipe ingredients whose unit the unit registry can't resolve
+ * @returns {Array} [{ recipeId, ingredientId, unit }]
+ */
+export function getUnresolvedRecipeUnits() {
+  return getRecipes().flatMap(recipe => recipe.ingredients
+    .filter(ing => ing.unit && !isKnownUnit(ing.unit))
+    .map(ing => ({ recipeId: recipe.id, ingredientId: ing.ingredientId, unit: ing.unit })));
+}
+
 /**
  * Get recipe by ID
  */
 export function getRecipeById(id) {
-  return recipesData?.recipes.find(r => r.id === id) || null;
+  return recipesById.get(id) || null;
 }
 
 /**
- * Filter recipes by search query
+ * A recipe's words by field, tokenized once
  */
-export function searchRecipes(recipes, query) {
-  if (!query || query.length < 2) return recipes;
+function getSearchWords(recipe) {
+  if (!searchWords.has(recipe)) {
+    searchWords.set(recipe, {
+      title: tokenize(recipe.title),
+      cuisine: tokenize(recipe.cuisine),
+      ingredients: tokenize(recipe.ingredients
+        .map(ing => getIngredientById(ing.ingredientId)?.name || ing.name || '')
+        .join(' ')),
+      description: tokenize(recipe.description)
+    });
+  }
+  return searchWords.get(recipe);
+}
 
-  const normalized = query.toLowerCase().trim();
+/**
+ * Best score (0 = no match) of one query word against a list of words
+ */
+function bestWordScore(queryWord, words) {
+  return words.reduce((best, word) => Math.max(best, scoreWord(queryWord, word)), 0);
+}
 
-  return recipes.filter(recipe => {
-    return (
-      recipe.title.toLowerCase().includes(normalized) ||
-      recipe.description.toLowerCase().includes(normalized) ||
-      recipe.cuisine.toLowerCase().includes(normalized) ||
-      recipe.ingredients.some(ing =>
-        ing.name.toLowerCase().includes(normalized)
-      )
+/**
+ * Score a recipe against query words: each word has to turn up in the title,
+ * cuisine, an ingredient or (spelled right) the description
+ */
+function scoreRecipeSearch(recipe, queryWords) {
+  const words = getSearchWords(recipe);
+  let total = 0;
+
+  for (const queryWord of queryWords) {
+    const description = bestWordScore(queryWord, words.description);
+    const best = Math.max(
+      bestWordScore(queryWord, words.title),
+      bestWordScore(queryWord, words.cuisine) * 0.8,
+      bestWordScore(queryWord, words.ingredients) * 0.8,
+      description >= 80 ? description * 0.5 : 0
     );
-  });
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  // The whole query in the title ranks first
+  const titleBonus = scoreText(queryWords, words.title) > 0 ? 20 : 0;
+  return total / queryWords.length + titleBonus;
+}
+
+/**
+ * Filter recipes by search query, best matches first. Typo-tolerant and
+ * word-order independent (see fuzzySearch.js).
+ * @param {Array} recipes
+ * @param {string} query
+ * @param {Object} options - { boost(recipe, score) } adds points to matching recipes,
+ *   e.g. for ones the pantry covers (see ingredientSearch.js)
+ * @returns {Array} Matching recipes, best match first
+ */
+export function searchRecipes(recipes, query, options = {}) {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return recipes;
+
+  return recipes
+    .map(recipe => ({ recipe, score: scoreRecipeSearch(recipe, queryWords) }))
+    .filter(result => result.score > 0)
+    .map(result => options.boost
+      ? { ...result, score: result.score + (options.boost(result.recipe, result.score) || 0) }
+      : result)
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.recipe);
 }
 
 /**
@@ -71,6 +173,14 @@ export function filterByCuisine(recipes, cuisine) {
   return recipes.filter(r => r.cuisine === cuisine);
 }
 
+/**
+ * Filter recipes to those that fit a diet (see DIETS)
+ */
+export function filterByDiet(recipes, diet) {
+  if (diet === 'all') return recipes;
+  return recipes.filter(r => recipeFitsDiet(r, diet));
+}
+
 /**
  * Get unique cuisines from recipes
  */
@@ -98,16 +208,23 @@ export function applyFilters(recipes, filters = {}) {
     result = filterByCuisine(result, filters.cuisine);
   }
 
+  if (filters.diet && filters.diet !== 'all') {
+    result = filterByDiet(result, filters.diet);
+  }
+
   return result;
 }
 
 export default {
   loadRecipes,
   getRecipes,
+  getUnresolvedRecipeUnits,
   getRecipeById,
+  getRecipeIdsUsingIngredient,
   searchRecipes,
   filterByDifficulty,
   filterByCuisine,
+  filterByDiet,
   getUniqueCuisines,
   applyFilters
 };
@@ -0,0 +1,251 @@
+/**
+ * Recommendations Module
+ * A small local taste model built from meal history: what was eaten and what
+ * was dismissed (see MEAL_STATUS), which cuisines and proteins come up, and
+ * how recently, plus the user's explicit likes and dislikes. Nothing leaves
+ * the device.
+ *
+ * scoreRecipeForUser() gives a recipe an affinity from -1 (avoid) to 1
+ * (a favourite) with the reasons for and against it, for blending into suggestions.
+ */
+
+import { getAllMeals, parseDate, MEAL_STATUS } from './mealPlanManager.js';
+import { getRecipeById } from './recipeManager.js';
+import { getIngredientById } from './ingredientManager.js';
+
+const STORAGE_KEY = 'pantry_planner_recipe_feedback';
+
+// History loses half its weight every this many days
+const HALF_LIFE_DAYS = 30;
+
+// A recipe eaten this recently is held back to keep some variety
+const REPEAT_WINDOW_DAYS = 3;
+
+// Eaten meals needed before the model reads anything into what's never cooked
+const MIN_HISTORY = 5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+let feedback = { likes: [], dislikes: [] }; // recipe IDs
+let listeners = [];
+
+/**
+ * Load likes and dislikes from localStorage
+ */
+export function initRecommendations() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    feedback = {
+      likes: Array.isArray(stored?.likes) ? stored.likes : [],
+      dislikes: Array.isArray(stored?.dislikes) ? stored.dislikes : []
+    };
+  } catch (error) {
+    console.error('Failed to load recipe feedback:', error);
+    feedback = { likes: [], dislikes: [] };
+  }
+  return feedback;
+}
+
+/**
+ * Save likes and dislikes to localStorage
+ */
+function saveFeedback() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(feedback));
+  } catch (error) {
+    console.error('Failed to save recipe feedback:', error);
+  }
+}
+
+/**
+ * Notify all listeners of changes
+ */
+function notifyListeners(recipeId) {
+  listeners.forEach(callback => {
+    try {
+      callback({ recipeId, feedback: getRecipeFeedback(recipeId) });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to like/dislike changes
+ */
+export function onRecipeFeedbackChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Get the user's verdict on a recipe
+ * @returns {'like'|'dislike'|null}
+ */
+export function getRecipeFeedback(recipeId) {
+  if (feedback.likes.includes(recipeId)) return 'like';
+  if (feedback.dislikes.includes(recipeId)) return 'dislike';
+  return null;
+}
+
+/**
+ * Like, dislike or clear (null) a recipe
+ * @returns {Object} { success } or { success: false, error }
+ */
+export function setRecipeFeedback(recipeId, value) {
+  if (!getRecipeById(recipeId)) {
+    return { success: false, error: 'Unknown recipe' };
+  }
+  if (value !== null && value !== 'like' && value !== 'dislike') {
+    return { success: false, error: 'Feedback must be like, dislike or null' };
+  }
+
+  feedback.likes = feedback.likes.filter(id => id !== recipeId);
+  feedback.dislikes = feedback.dislikes.filter(id => id !== recipeId);
+  if (value === 'like') feedback.likes.push(recipeId);
+  if (value === 'dislike') feedback.dislikes.push(recipeId);
+
+  saveFeedback();
+  notifyListeners(recipeId);
+
+  return { success: true };
+}
+
+/**
+ * Whole days from one date to another
+ */
+function daysBetween(from, to) {
+  return Math.round((to - from) / MS_PER_DAY);
+}
+
+/**
+ * Summarize meal history into weighted counts, recent meals counting most.
+ * Leftovers and meals that were moved rather than skipped are left out.
+ * @param {Date} today
+ * @returns {Object} { recipes: { id: { eaten, dismissed, weight, skipWeight, daysSinceEaten } },
+ *   cuisines: { cuisine: weight }, proteins: { ingredientId: weight }, totalWeight, eatenCount }
+ */
+export function buildTasteProfile(today = new Date()) {
+  const profile = { recipes: {}, cuisines: {}, proteins: {}, totalWeight: 0, eatenCount: 0 };
+
+  getAllMeals().forEach(meal => {
+    if (meal.isLeftover || meal.movedTo) return;
+    const eaten = meal.status === MEAL_STATUS.EATEN;
+    const dismissed = meal.status === MEAL_STATUS.DISMISSED;
+    if (!eaten && !dismissed) return;
+
+    const recipe = getRecipeById(meal.recipeId);
+    if (!recipe) return;
+
+    const age = Math.max(0, daysBetween(parseDate(meal.date), today));
+    const weight = Math.pow(0.5, age / HALF_LIFE_DAYS);
+    if (!profile.recipes[recipe.id]) {
+      profile.recipes[recipe.id] = { eaten: 0, dismissed: 0, weight: 0, skipWeight: 0, daysSinceEaten: null };
+    }
+    const stats = profile.recipes[recipe.id];
+
+    if (dismissed) {
+      stats.dismissed++;
+      stats.skipWeight += weight;
+      return;
+    }
+
+    stats.eaten++;
+    stats.weight += weight;
+    if (stats.daysSinceEaten === null || age < stats.daysSinceEaten) stats.daysSinceEaten = age;
+
+    profile.eatenCount++;
+    profile.totalWeight += weight;
+    if (recipe.cuisine) {
+      profile.cuisines[recipe.cuisine] = (profile.cuisines[recipe.cuisine] || 0) + weight;
+    }
+    recipe.ingredients.forEach(ing => {
+      if (!ing.optional && getIngredientById(ing.ingredientId)?.category === 'proteins') {
+        profile.proteins[ing.ingredientId] = (profile.proteins[ing.ingredientId] || 0) + weight;
+      }
+    });
+  });
+
+  return profile;
+}
+
+/**
+ * How much the user is likely to want a recipe, judging by their history
+ * @param {Object} recipe
+ * @param {Object} profile - From buildTasteProfile() (built fresh if omitted)
+ * @returns {Object} { score: -1..1, reasons: string[], concerns: string[] } -
+ *   reasons count in the recipe's favour, concerns against it
+ */
+export function scoreRecipeForUser(recipe, profile = buildTasteProfile()) {
+  const reasons = [];
+  const concerns = [];
+  let score = 0;
+
+  // Explicit feedback outweighs everything else
+  const verdict = getRecipeFeedback(recipe.id);
+  if (verdict === 'like') {
+    score += 1;
+    reasons.push('You liked this');
+  } else if (verdict === 'dislike') {
+    score -= 1;
+    concerns.push('You disliked this');
+  }
+
+  // Cooked often (recently) vs. planned and skipped
+  const stats = profile.recipes[recipe.id];
+  if (stats) {
+    score += 0.6 * Math.tanh((stats.weight - 1.5 * stats.skipWeight) / 2);
+    if (stats.eaten >= 2) {
+      reasons.push(`You've cooked this ${stats.eaten} times`);
+    } else if (stats.dismissed >= 2 && stats.eaten === 0) {
+      concerns.push(`You've skipped this ${stats.dismissed} times`);
+    }
+
+    if (stats.daysSinceEaten !== null && stats.daysSinceEaten <= REPEAT_WINDOW_DAYS) {
+      score -= 0.5;
+      concerns.push(stats.daysSinceEaten === 0 ? 'Had it today' : `Had it ${stats.daysSinceEaten} day${stats.daysSinceEaten === 1 ? '' : 's'} ago`);
+    }
+  }
+
+  if (profile.totalWeight > 0) {
+    // Share of recent meals from this cuisine
+    const cuisineShare = (profile.cuisines[recipe.cuisine] || 0) / profile.totalWeight;
+    score += 0.3 * cuisineShare;
+    if (cuisineShare >= 0.3 && !(stats?.eaten >= 2)) {
+      reasons.push(`You often cook ${recipe.cuisine.charAt(0).toUpperCase() + recipe.cuisine.slice(1)}`);
+    }
+
+    // Proteins the household keeps coming back to, or never touches
+    recipe.ingredients.forEach(ing => {
+      if (ing.optional) return;
+      const ingredient = getIngredientById(ing.ingredientId);
+      if (ingredient?.category !== 'proteins') return;
+
+      const share = (profile.proteins[ing.ingredientId] || 0) / profile.totalWeight;
+      if (share >= 0.25) {
+        score += 0.1;
+        reasons.push(`You often cook with ${ingredient.name}`);
+      } else if (share === 0 && profile.eatenCount >= MIN_HISTORY) {
+        score -= 0.2;
+        concerns.push(`You rarely cook with ${ingredient.name}`);
+      }
+    });
+  }
+
+  return {
+    score: Math.max(-1, Math.min(1, Math.round(score * 100) / 100)),
+    reasons,
+    concerns
+  };
+}
+
+export default {
+  initRecommendations,
+  onRecipeFeedbackChange,
+  getRecipeFeedback,
+  setRecipeFeedback,
+  buildTasteProfile,
+  scoreRecipeForUser
+};
@@ -0,0 +1,123 @@
+/**
+ * Staples Module
+ * Ingredients the household always has ("always on hand"), such as salt,
+ * pepper and water. Staples count as available for recipe matching, meal
+ * availability checks and the shopping list, whether or not they are in the
+ * pantry. Starts from a default list the user can change.
+ */
+
+import { getIngredientById } from './ingredientManager.js';
+
+const STORAGE_KEY = 'pantry_planner_staples';
+
+export const DEFAULT_STAPLES = [
+  'ing_spice_salt',
+  'ing_spice_black_pepper',
+  'ing_bev_water'
+];
+
+let staples = [...DEFAULT_STAPLES];
+let listeners = [];
+
+/**
+ * Load the staples list from localStorage (defaults if never changed)
+ */
+export function initStaples() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    staples = Array.isArray(stored) ? stored : [...DEFAULT_STAPLES];
+  } catch (error) {
+    console.error('Failed to load staples:', error);
+    staples = [...DEFAULT_STAPLES];
+  }
+  return getStaples();
+}
+
+/**
+ * Save the staples list to localStorage
+ */
+function saveStaples() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(staples));
+  } catch (error) {
+    console.error('Failed to save staples:', error);
+  }
+}
+
+/**
+ * Notify all listeners of changes
+ */
+function notifyListeners(ingredientId) {
+  listeners.forEach(callback => {
+    try {
+      callback({ ingredientId, staples: getStaples() });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to staples changes
+ */
+export function onStaplesChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Ingredient IDs of all staples
+ */
+export function getStaples() {
+  return [...staples];
+}
+
+/**
+ * Whether an ingredient is always on hand
+ */
+export function isStaple(ingredientId) {
+  return staples.includes(ingredientId);
+}
+
+/**
+ * Add or remove a staple
+ * @returns {Object} { success } or { success: false, error }
+ */
+export function setStaple(ingredientId, isOnHand = true) {
+  if (!getIngredientById(ingredientId)) {
+    return { success: false, error: 'Unknown ingredient' };
+  }
+  if (isStaple(ingredientId) === isOnHand) {
+    return { success: true };
+  }
+
+  staples = isOnHand
+    ? [...staples, ingredientId]
+    : staples.filter(id => id !== ingredientId);
+
+  saveStaples();
+  notifyListeners(ingredientId);
+
+  return { success: true };
+}
+
+/**
+ * Go back to the default staples
+ */
+export function resetStaples() {
+  staples = [...DEFAULT_STAPLES];
+  saveStaples();
+  notifyListeners(null);
+}
+
+export default {
+  DEFAULT_STAPLES,
+  initStaples,
+  onStaplesChange,
+  getStaples,
+  isStaple,
+  setStaple,
+  resetStaples
+};
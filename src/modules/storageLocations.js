@@ -0,0 +1,347 @@
+/**
+ * Storage Locations Module
+ * The user's list of places food is kept. Locations can be created, renamed,
+ * reordered and nested (Freezer › Drawer 2). Pantry lots refer to a location
+ * by id; the built-in 'pantry', 'fridge' and 'freezer' ids keep older data valid.
+ */
+
+import { schedulePushToCloud } from '../services/syncOrchestrator.js';
+
+const STORAGE_KEY = 'pantry_planner_storage_locations';
+export const DEFAULT_LOCATION_ID = 'pantry';
+
+const BUILT_IN_LOCATIONS = [
+  { id: 'pantry', name: 'Pantry', parentId: null },
+  { id: 'fridge', name: 'Fridge', parentId: null },
+  { id: 'freezer', name: 'Freezer', parentId: null }
+];
+
+const PATH_SEPARATOR = ' › ';
+
+let locations = []; // [{ id, name, parentId }] in display order among siblings
+let listeners = [];
+
+/**
+ * Generate a unique location ID
+ */
+function generateLocationId() {
+  return 'loc_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Copy of the built-in locations
+ */
+function builtInLocations() {
+  return BUILT_IN_LOCATIONS.map(location => ({ ...location }));
+}
+
+/**
+ * Initialize storage locations from localStorage
+ */
+export function initStorageLocations() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    locations = Array.isArray(stored) && stored.length > 0 ? stored : builtInLocations();
+
+    // The default location must always exist - items fall back to it
+    if (!locations.some(l => l.id === DEFAULT_LOCATION_ID)) {
+      locations.unshift({ id: DEFAULT_LOCATION_ID, name: 'Pantry', parentId: null });
+    }
+  } catch (error) {
+    console.error('Failed to load storage locations:', error);
+    locations = builtInLocations();
+  }
+  return getStorageLocations();
+}
+
+/**
+ * Save storage locations to localStorage
+ */
+function saveLocations() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(locations));
+    schedulePushToCloud();
+  } catch (error) {
+    console.error('Failed to save storage locations:', error);
+  }
+}
+
+/**
+ * Notify all listeners of changes
+ * @param {string} action - 'create' | 'rename' | 'move' | 'delete'
+ * @param {Object} detail - { location, removedIds, reassignTo }
+ */
+function notifyListeners(action, detail) {
+  listeners.forEach(callback => {
+    try {
+      callback({ action, ...detail, locations: getStorageLocations() });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to storage location changes
+ */
+export function onStorageLocationsChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Get a location by id
+ */
+export function getStorageLocation(id) {
+  const location = locations.find(l => l.id === id);
+  return location ? { ...location } : null;
+}
+
+/**
+ * Whether a location id exists
+ */
+export function isKnownLocation(id) {
+  return locations.some(l => l.id === id);
+}
+
+/**
+ * All locations in tree order (parents before their children)
+ * @returns {Array} [{ id, name, parentId, depth, path }]
+ */
+export function getStorageLocations() {
+  const result = [];
+
+  const visit = (parentId, depth) => {
+    locations
+      .filter(l => l.parentId === parentId)
+      .forEach(location => {
+        result.push({ ...location, depth, path: getLocationPath(location.id) });
+        visit(location.id, depth + 1);
+      });
+  };
+
+  visit(null, 0);
+  return result;
+}
+
+/**
+ * Ids of a location's ancestors, nearest first
+ */
+function getAncestorIds(id) {
+  const ancestors = [];
+  let current = locations.find(l => l.id === id);
+  while (current?.parentId && !ancestors.includes(current.parentId)) {
+    ancestors.push(current.parentId);
+    current = locations.find(l => l.id === current.parentId);
+  }
+  return ancestors;
+}
+
+/**
+ * A location and everything nested inside it
+ * @returns {string[]}
+ */
+export function getLocationWithDescendants(id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    locations.filter(l => l.parentId === ids[i]).forEach(child => ids.push(child.id));
+  }
+  return ids;
+}
+
+/**
+ * A location and the locations it sits in, innermost first
+ * @returns {string[]}
+ */
+export function getLocationWithAncestors(id) {
+  return [id, ...getAncestorIds(id)];
+}
+
+/**
+ * Full display name, e.g. "Freezer › Drawer 2". Unknown ids are shown as-is.
+ */
+export function getLocationPath(id) {
+  const location = locations.find(l => l.id === id);
+  if (!location) return id || '';
+
+  return [...getAncestorIds(id).reverse().map(ancestorId =>
+    locations.find(l => l.id === ancestorId)?.name), location.name]
+    .join(PATH_SEPARATOR);
+}
+
+/**
+ * Find a location from free text: an id, a name, or a path ("Freezer > Drawer 2")
+ * @returns {string|null} Location id
+ */
+export function resolveStorageLocation(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (!value) return null;
+
+  const byId = locations.find(l => l.id.toLowerCase() === value);
+  if (byId) return byId.id;
+
+  const normalizePath = str => str.toLowerCase().split(/\s*[›>/]\s*/).join(PATH_SEPARATOR);
+  const path = normalizePath(value);
+  const byPath = locations.find(l => normalizePath(getLocationPath(l.id)) === path);
+  if (byPath) return byPath.id;
+
+  const byName = locations.filter(l => l.name.toLowerCase() === value);
+  return byName.length === 1 ? byName[0].id : null;
+}
+
+/**
+ * Validate a location name among its siblings
+ */
+function validateName(name, parentId, ignoreId = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { error: 'Location name is required' };
+  }
+
+  const duplicate = locations.some(l =>
+    l.id !== ignoreId && l.parentId === parentId && l.name.toLowerCase() === trimmed.toLowerCase());
+  if (duplicate) {
+    return { error: `There is already a location called "${trimmed}" here` };
+  }
+
+  return { name: trimmed };
+}
+
+/**
+ * Create a location, optionally inside another
+ * @returns {Object} { success, location } or { success: false, error }
+ */
+export function createStorageLocation(name, parentId = null) {
+  if (parentId && !isKnownLocation(parentId)) {
+    return { success: false, error: 'Unknown parent location' };
+  }
+
+  const validated = validateName(name, parentId);
+  if (validated.error) {
+    return { success: false, error: validated.error };
+  }
+
+  const location = { id: generateLocationId(), name: validated.name, parentId };
+  locations.push(location);
+  saveLocations();
+  notifyListeners('create', { location: { ...location } });
+
+  return { success: true, location: { ...location } };
+}
+
+/**
+ * Rename a location
+ * @returns {Object} { success, location } or { success: false, error }
+ */
+export function renameStorageLocation(id, name) {
+  const location = locations.find(l => l.id === id);
+  if (!location) {
+    return { success: false, error: 'Unknown location' };
+  }
+
+  const validated = validateName(name, location.parentId, id);
+  if (validated.error) {
+    return { success: false, error: validated.error };
+  }
+
+  location.name = validated.name;
+  saveLocations();
+  notifyListeners('rename', { location: { ...location } });
+
+  return { success: true, location: { ...location } };
+}
+
+/**
+ * Move a location up (-1) or down (+1) among its siblings
+ * @returns {boolean} Whether it moved
+ */
+export function reorderStorageLocation(id, direction) {
+  const location = locations.find(l => l.id === id);
+  if (!location) return false;
+
+  const siblings = locations.filter(l => l.parentId === location.parentId);
+  const swapWith = siblings[siblings.indexOf(location) + Math.sign(direction)];
+  if (!swapWith) return false;
+
+  const a = locations.indexOf(location);
+  const b = locations.indexOf(swapWith);
+  [locations[a], locations[b]] = [locations[b], locations[a]];
+
+  saveLocations();
+  notifyListeners('move', { location: { ...location } });
+  return true;
+}
+
+/**
+ * Put a location inside another one (or at the top level with null)
+ * @returns {Object} { success, location } or { success: false, error }
+ */
+export function setStorageLocationParent(id, parentId) {
+  const location = locations.find(l => l.id === id);
+  if (!location) {
+    return { success: false, error: 'Unknown location' };
+  }
+  if (parentId && (!isKnownLocation(parentId) || getLocationWithDescendants(id).includes(parentId))) {
+    return { success: false, error: 'A location cannot be moved inside itself' };
+  }
+
+  const validated = validateName(location.name, parentId, id);
+  if (validated.error) {
+    return { success: false, error: validated.error };
+  }
+
+  location.parentId = parentId || null;
+
+  // Keep it last among its new siblings
+  locations.splice(locations.indexOf(location), 1);
+  locations.push(location);
+
+  saveLocations();
+  notifyListeners('move', { location: { ...location } });
+
+  return { success: true, location: { ...location } };
+}
+
+/**
+ * Delete a location and everything nested in it. Listeners (the pantry) move
+ * anything stored there to the parent location, or the default location.
+ * @returns {Object} { success, removedIds, reassignTo } or { success: false, error }
+ */
+export function deleteStorageLocation(id) {
+  const location = locations.find(l => l.id === id);
+  if (!location) {
+    return { success: false, error: 'Unknown location' };
+  }
+  if (id === DEFAULT_LOCATION_ID) {
+    return { success: false, error: 'The default location cannot be deleted' };
+  }
+
+  const removedIds = getLocationWithDescendants(id);
+  const reassignTo = location.parentId || DEFAULT_LOCATION_ID;
+
+  locations = locations.filter(l => !removedIds.includes(l.id));
+  saveLocations();
+  notifyListeners('delete', { location: { ...location }, removedIds, reassignTo });
+
+  return { success: true, removedIds, reassignTo };
+}
+
+export default {
+  DEFAULT_LOCATION_ID,
+  initStorageLocations,
+  onStorageLocationsChange,
+  getStorageLocation,
+  isKnownLocation,
+  getStorageLocations,
+  getLocationWithDescendants,
+  getLocationWithAncestors,
+  getLocationPath,
+  resolveStorageLocation,
+  createStorageLocation,
+  renameStorageLocation,
+  reorderStorageLocation,
+  setStorageLocationParent,
+  deleteStorageLocation
+};
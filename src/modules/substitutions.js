@@ -0,0 +1,256 @@
+/**
+ * Substitutions Module
+ * Which ingredients can stand in for which, used by recipe matching and the
+ * shopping list. Starts from the built-in knowledge base; users can add their
+ * own rules, change a built-in rule's ratio or note, or hide it.
+ *
+ * A rule is { id, from, to, ratio, unit, note }: `ratio` of `to` replaces 1 of
+ * `from`, in the recipe's unit unless the rule has a `unit` of its own.
+ */
+
+import { builtInSubstitutions, getBuiltInSubstitution } from '../data/substitutions.js';
+import { getIngredientById } from './ingredientManager.js';
+import { resolveUnit } from './unitRegistry.js';
+
+const STORAGE_KEY = 'pantry_planner_substitutions';
+
+let userRules = {
+  custom: [],  // user-created rules
+  edited: {},  // built-in id -> { ratio, unit, note }
+  hidden: []   // built-in ids the user removed
+};
+let listeners = [];
+
+/**
+ * Generate a unique rule ID
+ */
+function generateRuleId() {
+  return 'sub_custom_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Load the user's substitution rules from localStorage
+ */
+export function initSubstitutions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    userRules = {
+      custom: Array.isArray(stored?.custom) ? stored.custom : [],
+      edited: stored?.edited && typeof stored.edited === 'object' ? stored.edited : {},
+      hidden: Array.isArray(stored?.hidden) ? stored.hidden : []
+    };
+  } catch (error) {
+    console.error('Failed to load substitutions:', error);
+    userRules = { custom: [], edited: {}, hidden: [] };
+  }
+  return getSubstitutionRules();
+}
+
+/**
+ * Save the user's substitution rules to localStorage
+ */
+function saveSubstitutions() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(userRules));
+  } catch (error) {
+    console.error('Failed to save substitutions:', error);
+  }
+}
+
+/**
+ * Notify all listeners of changes
+ * @param {string} action - 'create' | 'update' | 'delete' | 'restore'
+ */
+function notifyListeners(action, rule = null) {
+  listeners.forEach(callback => {
+    try {
+      callback({ action, rule });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to substitution rule changes
+ */
+export function onSubstitutionsChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Check a ratio/unit/note update; returns an error message or null
+ */
+function validateDetails({ ratio, unit }) {
+  if (ratio !== undefined && !(Number(ratio) > 0 && Number.isFinite(Number(ratio)))) {
+    return 'Ratio must be a positive number';
+  }
+  if (unit && !resolveUnit(unit)) {
+    return `Unknown unit "${unit}"`;
+  }
+  return null;
+}
+
+/**
+ * Normalize the editable fields of a rule
+ */
+function normalizeDetails({ ratio, unit, note }) {
+  const details = {};
+  if (ratio !== undefined) details.ratio = Number(ratio);
+  if (unit !== undefined) details.unit = unit ? resolveUnit(unit) : null;
+  if (note !== undefined) details.note = String(note || '').trim();
+  return details;
+}
+
+/**
+ * All active rules, built-in ones with the user's edits applied
+ * @returns {Array} [{ id, from, to, ratio, unit, note, source: 'builtin'|'custom', edited }]
+ */
+export function getSubstitutionRules() {
+  const builtIn = builtInSubstitutions
+    .filter(rule => !userRules.hidden.includes(rule.id))
+    .map(rule => ({
+      unit: null,
+      ...rule,
+      ...userRules.edited[rule.id],
+      source: 'builtin',
+      edited: !!userRules.edited[rule.id]
+    }));
+
+  const custom = userRules.custom.map(rule => ({ ...rule, source: 'custom', edited: false }));
+
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Get an active rule by id
+ */
+export function getSubstitution(id) {
+  return getSubstitutionRules().find(rule => rule.id === id) || null;
+}
+
+/**
+ * Rules that can replace an ingredient, custom rules first
+ * @param {string} ingredientId - The ingredient a recipe asks for
+ */
+export function getSubstitutesFor(ingredientId) {
+  return getSubstitutionRules()
+    .filter(rule => rule.from === ingredientId)
+    .sort((a, b) => (a.source === 'custom' ? 0 : 1) - (b.source === 'custom' ? 0 : 1));
+}
+
+/**
+ * How much of the substitute replaces an amount of the original
+ * @returns {Object} { quantity, unit }
+ */
+export function getSubstituteAmount(rule, quantity, unit) {
+  return {
+    quantity: Math.round(quantity * rule.ratio * 1000) / 1000,
+    unit: rule.unit || unit
+  };
+}
+
+/**
+ * Add a user rule
+ * @param {Object} data - { from, to, ratio, unit, note }
+ * @returns {Object} { success, rule } or { success: false, error }
+ */
+export function createSubstitution({ from, to, ratio = 1, unit = null, note = '' }) {
+  if (!getIngredientById(from) || !getIngredientById(to)) {
+    return { success: false, error: 'Choose both ingredients' };
+  }
+  if (from === to) {
+    return { success: false, error: 'An ingredient can\'t substitute for itself' };
+  }
+  if (getSubstitutionRules().some(rule => rule.from === from && rule.to === to)) {
+    return { success: false, error: 'That substitution already exists' };
+  }
+
+  const error = validateDetails({ ratio, unit });
+  if (error) return { success: false, error };
+
+  const rule = { id: generateRuleId(), from, to, ...normalizeDetails({ ratio, unit, note }) };
+  userRules.custom.push(rule);
+
+  saveSubstitutions();
+  notifyListeners('create', getSubstitution(rule.id));
+
+  return { success: true, rule: getSubstitution(rule.id) };
+}
+
+/**
+ * Change a rule's ratio, unit or note
+ * @param {string} id
+ * @param {Object} updates - { ratio, unit, note }
+ * @returns {Object} { success, rule } or { success: false, error }
+ */
+export function updateSubstitution(id, updates) {
+  const error = validateDetails(updates);
+  if (error) return { success: false, error };
+
+  const details = normalizeDetails(updates);
+  const custom = userRules.custom.find(rule => rule.id === id);
+
+  if (custom) {
+    Object.assign(custom, details);
+  } else if (getBuiltInSubstitution(id) && !userRules.hidden.includes(id)) {
+    userRules.edited[id] = { ...userRules.edited[id], ...details };
+  } else {
+    return { success: false, error: 'Substitution not found' };
+  }
+
+  saveSubstitutions();
+  notifyListeners('update', getSubstitution(id));
+
+  return { success: true, rule: getSubstitution(id) };
+}
+
+/**
+ * Remove a user rule, or hide a built-in one
+ * @returns {Object} { success } or { success: false, error }
+ */
+export function deleteSubstitution(id) {
+  const rule = getSubstitution(id);
+  if (!rule) {
+    return { success: false, error: 'Substitution not found' };
+  }
+
+  if (rule.source === 'custom') {
+    userRules.custom = userRules.custom.filter(r => r.id !== id);
+  } else {
+    userRules.hidden.push(id);
+    delete userRules.edited[id];
+  }
+
+  saveSubstitutions();
+  notifyListeners('delete', rule);
+
+  return { success: true };
+}
+
+/**
+ * Bring back hidden built-in rules and undo edits to them. User rules are kept.
+ */
+export function restoreBuiltInSubstitutions() {
+  userRules.edited = {};
+  userRules.hidden = [];
+
+  saveSubstitutions();
+  notifyListeners('restore');
+}
+
+export default {
+  initSubstitutions,
+  onSubstitutionsChange,
+  getSubstitutionRules,
+  getSubstitution,
+  getSubstitutesFor,
+  getSubstituteAmount,
+  createSubstitution,
+  updateSubstitution,
+  deleteSubstitution,
+  restoreBuiltInSubstitutions
+};
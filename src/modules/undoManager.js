@@ -0,0 +1,140 @@
+/**
+ * Undo Manager Module
+ * Command-based undo/redo stack shared by pantry and meal plan edits.
+ * A command is { label, undo(), redo(), destructive }; see commands.js for the
+ * commands the UI records.
+ */
+
+const MAX_HISTORY = 50;
+
+let undoStack = [];
+let redoStack = [];
+let listeners = [];
+
+/**
+ * Notify all listeners of changes
+ * @param {string} action - 'record' | 'undo' | 'redo' | 'clear'
+ * @param {Object|null} command - The command involved
+ */
+function notifyListeners(action, command) {
+  listeners.forEach(callback => {
+    try {
+      callback({ action, command, canUndo: canUndo(), canRedo: canRedo() });
+    } catch (error) {
+      console.error('Listener error:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to undo/redo stack changes
+ */
+export function onUndoChange(callback) {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(cb => cb !== callback);
+  };
+}
+
+/**
+ * Record a command that has already been applied
+ * @param {Object} command - { label, undo, redo, destructive }
+ */
+export function recordCommand(command) {
+  undoStack.push(command);
+  if (undoStack.length > MAX_HISTORY) {
+    undoStack.shift();
+  }
+  redoStack = [];
+  notifyListeners('record', command);
+  return command;
+}
+
+/**
+ * Undo the most recent command
+ * @returns {Object|null} The command that was undone
+ */
+export function undo() {
+  const command = undoStack.pop();
+  if (!command) return null;
+
+  try {
+    command.undo();
+    redoStack.push(command);
+  } catch (error) {
+    console.error('Undo failed:', error);
+    return null;
+  }
+
+  notifyListeners('undo', command);
+  return command;
+}
+
+/**
+ * Redo the most recently undone command
+ * @returns {Object|null} The command that was redone
+ */
+export function redo() {
+  const command = redoStack.pop();
+  if (!command) return null;
+
+  try {
+    command.redo();
+    undoStack.push(command);
+  } catch (error) {
+    console.error('Redo failed:', error);
+    return null;
+  }
+
+  notifyListeners('redo', command);
+  return command;
+}
+
+/**
+ * Whether there is anything to undo
+ */
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * Whether there is anything to redo
+ */
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Label of the command that undo() would revert
+ */
+export function getUndoLabel() {
+  return undoStack[undoStack.length - 1]?.label || null;
+}
+
+/**
+ * Label of the command that redo() would re-apply
+ */
+export function getRedoLabel() {
+  return redoStack[redoStack.length - 1]?.label || null;
+}
+
+/**
+ * Drop all undo/redo history
+ */
+export function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+  notifyListeners('clear', null);
+}
+
+export default {
+  onUndoChange,
+  recordCommand,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  getUndoLabel,
+  getRedoLabel,
+  clearUndoHistory
+};
@@ -1,85 +1,24 @@
 /**
  * Unit Converter Module
  * Handles unit conversions for ingredient quantities
+ *
+ * Units come from the unit registry and convert within their type. Given an
+ * ingredient ID, units of different types convert through grams: volume by the
+ * ingredient's density (g per ml) and counts by its unit weights (g per piece,
+ * clove, stalk, can...).
  */
 
-// Define unit type groups with conversion ratios to base unit
-const UNIT_TYPES = {
-  weight: {
-    baseUnit: 'g',
-    conversions: {
-      g: 1,
-      kg: 1000,
-      oz: 28.3495,
-      lb: 453.592
-    }
-  },
-  volume: {
-    baseUnit: 'ml',
-    conversions: {
-      ml: 1,
-      l: 1000,
-      tsp: 4.92892,
-      tbsp: 14.7868,
-      cup: 236.588,
-      cups: 236.588
-    }
-  },
-  count: {
-    baseUnit: 'pieces',
-    conversions: {
-      pieces: 1,
-      piece: 1,
-      cloves: 1,
-      clove: 1,
-      stalks: 1,
-      stalk: 1,
-      heads: 1,
-      head: 1,
-      can: 1,
-      cans: 1,
-      slices: 1,
-      slice: 1
-    }
-  }
-};
-
-// Build reverse map: unit -> type
-const UNIT_TYPE_MAP = {};
-Object.entries(UNIT_TYPES).forEach(([type, config]) => {
-  Object.keys(config.conversions).forEach(unit => {
-    UNIT_TYPE_MAP[unit.toLowerCase()] = type;
-  });
-});
+import { getIngredientById } from './ingredientManager.js';
+import { BASE_UNITS, resolveUnit, getUnitInfo, getUnitIds } from './unitRegistry.js';
+import { readableMinimums, getUnitPreferences } from '../data/unitPreferences.js';
 
 /**
- * Normalize unit string (lowercase, handle plurals)
+ * Normalize a unit string to its canonical registry id. Units the registry
+ * doesn't know are returned lowercased.
  */
-function normalizeUnit(unit) {
+export function normalizeUnit(unit) {
   if (!unit) return null;
-  let normalized = unit.toLowerCase().trim();
-
-  // Handle common plural forms
-  const pluralMap = {
-    'grams': 'g',
-    'kilograms': 'kg',
-    'ounces': 'oz',
-    'pounds': 'lb',
-    'tablespoons': 'tbsp',
-    'tablespoon': 'tbsp',
-    'teaspoons': 'tsp',
-    'teaspoon': 'tsp',
-    'liters': 'l',
-    'liter': 'l',
-    'milliliters': 'ml',
-    'milliliter': 'ml'
-  };
-
-  if (pluralMap[normalized]) {
-    normalized = pluralMap[normalized];
-  }
-
-  return normalized;
+  return resolveUnit(unit) || unit.toLowerCase().trim();
 }
 
 /**
@@ -88,23 +27,79 @@ function normalizeUnit(unit) {
  * @returns {'weight'|'volume'|'count'|null} The unit type or null if unknown
  */
 export function getUnitType(unit) {
+  return getUnitInfo(unit)?.type || null;
+}
+
+/**
+ * Get an ingredient's density
+ * @param {string} ingredientId
+ * @returns {number|null} Grams per millilitre, or null if unknown
+ */
+export function getDensity(ingredientId) {
+  if (!ingredientId) return null;
+  const density = Number(getIngredientById(ingredientId)?.density);
+  return density > 0 ? density : null;
+}
+
+/**
+ * Get the average weight of one count unit of an ingredient
+ * @param {string} ingredientId
+ * @param {string} unit - A count unit (pieces, cloves, stalks, heads, can, slices)
+ * @returns {number|null} Grams, or null if unknown
+ */
+export function getUnitWeight(ingredientId, unit) {
   const normalized = normalizeUnit(unit);
-  if (!normalized) return null;
-  return UNIT_TYPE_MAP[normalized] || null;
+  if (!ingredientId || !normalized) return null;
+
+  const weights = getIngredientById(ingredientId)?.unitWeights;
+  const weight = Number(weights?.[normalized]);
+  return weight > 0 ? weight : null;
+}
+
+/**
+ * Grams in one of a unit for an ingredient (null when it needs data we don't have)
+ */
+function gramsPerUnit(normalizedUnit, ingredientId) {
+  const info = getUnitInfo(normalizedUnit);
+  if (!info) return null;
+
+  const { type, ratio } = info;
+  if (type === 'weight') return ratio;
+  if (type === 'volume') {
+    const density = getDensity(ingredientId);
+    return density === null ? null : ratio * density;
+  }
+  return getUnitWeight(ingredientId, normalizedUnit);
+}
+
+/**
+ * Convert an amount of an ingredient into grams
+ * @param {number} quantity
+ * @param {string} unit
+ * @param {string} ingredientId - Needed for volume and count units
+ * @returns {number|null} Grams, or null if the unit can't be weighed
+ */
+export function toGrams(quantity, unit, ingredientId = null) {
+  const normalized = normalizeUnit(unit);
+  const grams = normalized ? gramsPerUnit(normalized, ingredientId) : null;
+  return grams === null ? null : quantity * grams;
 }
 
 /**
- * Check if two units are compatible (same type)
+ * Check if two units are compatible (same type, or both weighable for the
+ * given ingredient)
  * @param {string} unit1 - First unit
  * @param {string} unit2 - Second unit
+ * @param {string} ingredientId - Optional ingredient, enables converting across types
  * @returns {boolean} True if units can be converted between
  */
-export function areUnitsCompatible(unit1, unit2) {
+export function areUnitsCompatible(unit1, unit2, ingredientId = null) {
   const type1 = getUnitType(unit1);
   const type2 = getUnitType(unit2);
 
   if (!type1 || !type2) return false;
-  return type1 === type2;
+  if (type1 === type2) return true;
+  return toGrams(1, unit1, ingredientId) !== null && toGrams(1, unit2, ingredientId) !== null;
 }
 
 /**
@@ -112,31 +107,53 @@ export function areUnitsCompatible(unit1, unit2) {
  * @param {number} quantity - The amount to convert
  * @param {string} fromUnit - Source unit
  * @param {string} toUnit - Target unit
+ * @param {string} ingredientId - Optional ingredient, enables converting across types
  * @returns {number|null} Converted quantity or null if incompatible
  */
-export function convertQuantity(quantity, fromUnit, toUnit) {
+export function convertQuantity(quantity, fromUnit, toUnit, ingredientId = null) {
+  const converted = convertQuantityPrecise(quantity, fromUnit, toUnit, ingredientId);
+  if (converted === null) return null;
+
+  // Round to reasonable precision
+  return Math.round(converted * 1000) / 1000;
+}
+
+/**
+ * Convert quantity like convertQuantity, without rounding the result.
+ * For stored amounts that get converted back later (e.g. pantry lots).
+ * @returns {number|null} Converted quantity or null if incompatible
+ */
+export function convertQuantityPrecise(quantity, fromUnit, toUnit, ingredientId = null) {
   const normalizedFrom = normalizeUnit(fromUnit);
   const normalizedTo = normalizeUnit(toUnit);
 
   if (!normalizedFrom || !normalizedTo) return null;
 
-  const fromType = UNIT_TYPE_MAP[normalizedFrom];
-  const toType = UNIT_TYPE_MAP[normalizedTo];
+  const fromInfo = getUnitInfo(normalizedFrom);
+  const toInfo = getUnitInfo(normalizedTo);
 
-  if (!fromType || !toType || fromType !== toType) return null;
+  if (!fromInfo || !toInfo) return null;
 
-  const typeConfig = UNIT_TYPES[fromType];
-  const fromRatio = typeConfig.conversions[normalizedFrom];
-  const toRatio = typeConfig.conversions[normalizedTo];
+  const { type: fromType, ratio: fromRatio } = fromInfo;
+  const { type: toType, ratio: toRatio } = toInfo;
 
-  if (!fromRatio || !toRatio) return null;
+  let converted;
+  const weighedCounts = fromType === 'count' && toType === 'count' &&
+    getUnitWeight(ingredientId, normalizedFrom) !== null && getUnitWeight(ingredientId, normalizedTo) !== null;
 
-  // Convert to base unit, then to target unit
-  const inBaseUnit = quantity * fromRatio;
-  const converted = inBaseUnit / toRatio;
+  if (fromType === toType && !weighedCounts) {
+    // Convert to base unit, then to target unit
+    converted = (quantity * fromRatio) / toRatio;
+  } else {
+    // Different types meet in grams (density for volume, unit weights for counts),
+    // as do count units with known weights (a head of garlic isn't one clove)
+    const fromGrams = gramsPerUnit(normalizedFrom, ingredientId);
+    const toGramsPerUnit = gramsPerUnit(normalizedTo, ingredientId);
+    if (fromGrams === null || toGramsPerUnit === null) return null;
+    converted = (quantity * fromGrams) / toGramsPerUnit;
+  }
 
-  // Round to reasonable precision
-  return Math.round(converted * 1000) / 1000;
+  return converted;
 }
 
 /**
@@ -146,20 +163,12 @@ export function convertQuantity(quantity, fromUnit, toUnit) {
  * @returns {{value: number, baseUnit: string}|null} Value in base unit or null
  */
 export function toBaseUnit(quantity, unit) {
-  const normalized = normalizeUnit(unit);
-  if (!normalized) return null;
-
-  const unitType = UNIT_TYPE_MAP[normalized];
-  if (!unitType) return null;
-
-  const typeConfig = UNIT_TYPES[unitType];
-  const ratio = typeConfig.conversions[normalized];
-
-  if (!ratio) return null;
+  const info = getUnitInfo(unit);
+  if (!info) return null;
 
   return {
-    value: quantity * ratio,
-    baseUnit: typeConfig.baseUnit
+    value: quantity * info.ratio,
+    baseUnit: BASE_UNITS[info.type]
   };
 }
 
@@ -169,16 +178,17 @@ export function toBaseUnit(quantity, unit) {
  * @param {string} pantryUnit - Unit of pantry item
  * @param {number} neededQty - Quantity needed by recipe
  * @param {string} neededUnit - Unit required by recipe
+ * @param {string} ingredientId - Optional ingredient, enables converting across types
  * @returns {boolean} True if sufficient (or incompatible units - falls back to true)
  */
-export function isSufficient(pantryQty, pantryUnit, neededQty, neededUnit) {
+export function isSufficient(pantryQty, pantryUnit, neededQty, neededUnit, ingredientId = null) {
   // If units are incompatible, fall back to binary check (has ingredient)
-  if (!areUnitsCompatible(pantryUnit, neededUnit)) {
+  if (!areUnitsCompatible(pantryUnit, neededUnit, ingredientId)) {
     return true; // Can't compare, assume sufficient if ingredient exists
   }
 
   // Convert pantry quantity to recipe's unit
-  const convertedPantry = convertQuantity(pantryQty, pantryUnit, neededUnit);
+  const convertedPantry = convertQuantity(pantryQty, pantryUnit, neededUnit, ingredientId);
 
   if (convertedPantry === null) {
     return true; // Conversion failed, assume sufficient
@@ -193,14 +203,15 @@ export function isSufficient(pantryQty, pantryUnit, neededQty, neededUnit) {
  * @param {string} pantryUnit - Unit of pantry item
  * @param {number} neededQty - Quantity needed
  * @param {string} neededUnit - Unit required
+ * @param {string} ingredientId - Optional ingredient, enables converting across types
  * @returns {{missing: number, unit: string}|null} Missing amount or null if sufficient/incompatible
  */
-export function getMissingQuantity(pantryQty, pantryUnit, neededQty, neededUnit) {
-  if (!areUnitsCompatible(pantryUnit, neededUnit)) {
+export function getMissingQuantity(pantryQty, pantryUnit, neededQty, neededUnit, ingredientId = null) {
+  if (!areUnitsCompatible(pantryUnit, neededUnit, ingredientId)) {
     return null; // Can't calculate
   }
 
-  const convertedPantry = convertQuantity(pantryQty, pantryUnit, neededUnit);
+  const convertedPantry = convertQuantity(pantryQty, pantryUnit, neededUnit, ingredientId);
 
   if (convertedPantry === null || convertedPantry >= neededQty) {
     return null; // Sufficient or can't convert
@@ -213,37 +224,107 @@ export function getMissingQuantity(pantryQty, pantryUnit, neededQty, neededUnit)
 }
 
 /**
- * Get all units for a given type
+ * Re-express a quantity in the most readable unit of the same type and
+ * measuring system: 0.0625 cup -> 1 tbsp, 48 tsp -> 1 cup, 1500 g -> 1.5 kg.
+ * Units the ingredient's category excludes are skipped (spices never go to cups).
+ * @param {number} quantity
+ * @param {string} unit
+ * @param {string} ingredientId - Optional, selects the category's preferences
+ * @returns {{quantity: number, unit: string}} Unchanged for counts and unknown units
+ */
+export function humanizeQuantity(quantity, unit, ingredientId = null) {
+  const info = getUnitInfo(unit);
+  if (!info?.system || !(quantity > 0)) return { quantity, unit };
+
+  const { exclude } = getUnitPreferences(getIngredientById(ingredientId)?.category);
+  const candidates = getUnitIds(info.type)
+    .map(id => getUnitInfo(id))
+    .filter(candidate => candidate.system === info.system && !exclude.includes(candidate.id))
+    .sort((a, b) => b.ratio - a.ratio);
+  if (candidates.length === 0) return { quantity, unit };
+
+  // Largest unit that still gives a readable amount, else the smallest allowed
+  const inUnit = candidate => Math.round((quantity * info.ratio / candidate.ratio) * 1000) / 1000;
+  const chosen = candidates.find(candidate => inUnit(candidate) >= (readableMinimums[candidate.id] ?? 1)) ||
+    candidates[candidates.length - 1];
+
+  return { quantity: inUnit(chosen), unit: chosen.id };
+}
+
+// The unit each system measures a type in before humanizing
+const SYSTEM_BASE_UNITS = {
+  metric: { weight: 'g', volume: 'ml' },
+  us: { weight: 'oz', volume: 'tsp' }
+};
+
+// Measuring spoons are used the same way in both systems
+const SHARED_UNITS = ['tsp', 'tbsp'];
+
+/**
+ * Re-express a quantity in a measuring system ('metric' or 'us'), in its most
+ * readable unit there. Counts, spoons and quantities already in the system
+ * are returned as they are.
+ * @param {number} quantity
+ * @param {string} unit
+ * @param {string} system - 'metric' or 'us' (anything else leaves it unchanged)
+ * @param {string} ingredientId - Optional, selects the category's unit preferences
+ * @returns {{quantity: number, unit: string}}
+ */
+export function convertToSystem(quantity, unit, system, ingredientId = null) {
+  const info = getUnitInfo(unit);
+  const target = SYSTEM_BASE_UNITS[system]?.[info?.type];
+  if (!target || info.system === system || SHARED_UNITS.includes(info.id)) {
+    return { quantity, unit };
+  }
+
+  return humanizeQuantity(convertQuantity(quantity, info.id, target), target, ingredientId);
+}
+
+/**
+ * Get the units offered in pickers for a given type
  * @param {string} unitType - 'weight', 'volume', or 'count'
- * @returns {string[]} Array of unit names
+ * @returns {string[]} Array of canonical unit ids
  */
 export function getUnitsForType(unitType) {
-  const typeConfig = UNIT_TYPES[unitType];
-  if (!typeConfig) return [];
-
-  // Return unique main units (not plurals)
-  const mainUnits = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'pieces', 'cloves', 'stalks', 'can'];
-  return mainUnits.filter(u => UNIT_TYPE_MAP[u] === unitType);
+  return getUnitIds(unitType, { selectableOnly: true });
 }
 
 /**
  * Get compatible units for a given unit
  * @param {string} unit - The unit to find compatibles for
+ * @param {string} ingredientId - Optional ingredient; adds units of other types
+ *   it can be converted into (by density or unit weight)
  * @returns {string[]} Array of compatible unit names
  */
-export function getCompatibleUnits(unit) {
+export function getCompatibleUnits(unit, ingredientId = null) {
   const unitType = getUnitType(unit);
   if (!unitType) return [unit]; // Return original if unknown
-  return getUnitsForType(unitType);
+
+  const units = getUnitsForType(unitType);
+  if (ingredientId && toGrams(1, unit, ingredientId) !== null) {
+    Object.keys(BASE_UNITS)
+      .filter(type => type !== unitType)
+      .forEach(type => {
+        units.push(...getUnitsForType(type).filter(u => toGrams(1, u, ingredientId) !== null));
+      });
+  }
+  return units;
 }
 
 export default {
+  normalizeUnit,
   getUnitType,
+  getDensity,
+  getUnitWeight,
+  toGrams,
   areUnitsCompatible,
   convertQuantity,
+  convertQuantityPrecise,
   toBaseUnit,
   isSufficient,
   getMissingQuantity,
+  humanizeQuantity,
+  convertToSystem,
   getUnitsForType,
   getCompatibleUnits
 };
@@ -0,0 +1,117 @@
+/**
+ * Unit Registry Module
+ * The one list of units the app understands. Each unit has a canonical id
+ * (what gets stored), a type, its size in the type's base unit, display names
+ * and the aliases, plurals and abbreviations that resolve to it. Weight and
+ * volume units also belong to a measuring system ('metric' or 'us').
+ *
+ * Count units carry a `typicalGrams` rough guess, used only for nutrition
+ * estimates when the ingredient has no unit weight of its own.
+ */
+
+export const BASE_UNITS = {
+  weight: 'g',
+  volume: 'ml',
+  count: 'pieces'
+};
+
+// canonical id -> { type, system, ratio, singular, plural, aliases, selectable, typicalGrams }
+// `selectable` units are offered in unit pickers
+const UNITS = {
+  // Weight (base: g)
+  g: { type: 'weight', system: 'metric', ratio: 1, singular: 'g', plural: 'g', aliases: ['gram', 'grams', 'gr', 'gm', 'gms'], selectable: true },
+  kg: { type: 'weight', system: 'metric', ratio: 1000, singular: 'kg', plural: 'kg', aliases: ['kilogram', 'kilograms', 'kilo', 'kilos', 'kgs'], selectable: true },
+  oz: { type: 'weight', system: 'us', ratio: 28.3495, singular: 'oz', plural: 'oz', aliases: ['ounce', 'ounces'], selectable: true },
+  lb: { type: 'weight', system: 'us', ratio: 453.592, singular: 'lb', plural: 'lb', aliases: ['lbs', 'pound', 'pounds'], selectable: true },
+
+  // Volume (base: ml)
+  ml: { type: 'volume', system: 'metric', ratio: 1, singular: 'ml', plural: 'ml', aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'mls'], selectable: true },
+  l: { type: 'volume', system: 'metric', ratio: 1000, singular: 'L', plural: 'L', aliases: ['liter', 'liters', 'litre', 'litres', 'ltr'], selectable: true },
+  tsp: { type: 'volume', system: 'us', ratio: 4.92892, singular: 'tsp', plural: 'tsp', aliases: ['teaspoon', 'teaspoons', 'tsps'], selectable: true },
+  tbsp: { type: 'volume', system: 'us', ratio: 14.7868, singular: 'tbsp', plural: 'tbsp', aliases: ['tablespoon', 'tablespoons', 'tbsps', 'tbs', 'tbl'], selectable: true },
+  cup: { type: 'volume', system: 'us', ratio: 236.588, singular: 'cup', plural: 'cups', aliases: ['cups', 'c'], selectable: true },
+
+  // Count (base: pieces, 1:1 unless the ingredient has unit weights)
+  pieces: { type: 'count', ratio: 1, singular: 'piece', plural: 'pieces', aliases: ['piece', 'pc', 'pcs', 'each', 'ea'], selectable: true, typicalGrams: 100 },
+  cloves: { type: 'count', ratio: 1, singular: 'clove', plural: 'cloves', aliases: ['clove'], selectable: true, typicalGrams: 5 },
+  stalks: { type: 'count', ratio: 1, singular: 'stalk', plural: 'stalks', aliases: ['stalk'], selectable: true, typicalGrams: 50 },
+  can: { type: 'count', ratio: 1, singular: 'can', plural: 'cans', aliases: ['cans', 'tin', 'tins'], selectable: true, typicalGrams: 400 },
+  heads: { type: 'count', ratio: 1, singular: 'head', plural: 'heads', aliases: ['head'], typicalGrams: 500 },
+  slices: { type: 'count', ratio: 1, singular: 'slice', plural: 'slices', aliases: ['slice'], typicalGrams: 30 },
+  leaves: { type: 'count', ratio: 1, singular: 'leaf', plural: 'leaves', aliases: ['leaf'], typicalGrams: 1 },
+  loaf: { type: 'count', ratio: 1, singular: 'loaf', plural: 'loaves', aliases: ['loaves'], typicalGrams: 500 },
+  bunch: { type: 'count', ratio: 1, singular: 'bunch', plural: 'bunches', aliases: ['bunches'], typicalGrams: 100 },
+  sprig: { type: 'count', ratio: 1, singular: 'sprig', plural: 'sprigs', aliases: ['sprigs'], typicalGrams: 5 },
+  jar: { type: 'count', ratio: 1, singular: 'jar', plural: 'jars', aliases: ['jars'], typicalGrams: 350 },
+  packet: { type: 'count', ratio: 1, singular: 'packet', plural: 'packets', aliases: ['packets', 'pack', 'packs', 'pkg'], typicalGrams: 50 },
+  sheet: { type: 'count', ratio: 1, singular: 'sheet', plural: 'sheets', aliases: ['sheets'], typicalGrams: 5 },
+  link: { type: 'count', ratio: 1, singular: 'link', plural: 'links', aliases: ['links'], typicalGrams: 75 },
+  fillet: { type: 'count', ratio: 1, singular: 'fillet', plural: 'fillets', aliases: ['fillets'], typicalGrams: 150 },
+  breast: { type: 'count', ratio: 1, singular: 'breast', plural: 'breasts', aliases: ['breasts'], typicalGrams: 200 },
+  thigh: { type: 'count', ratio: 1, singular: 'thigh', plural: 'thighs', aliases: ['thighs'], typicalGrams: 120 },
+  whole: { type: 'count', ratio: 1, singular: 'whole', plural: 'whole', aliases: [], typicalGrams: 1000 },
+  serving: { type: 'count', ratio: 1, singular: 'serving', plural: 'servings', aliases: ['servings'], typicalGrams: 100 }
+};
+
+// Lowercased id, display name or alias -> canonical id
+const LOOKUP = {};
+Object.entries(UNITS).forEach(([id, unit]) => {
+  [id, unit.singular, unit.plural, ...unit.aliases].forEach(name => {
+    LOOKUP[name.toLowerCase()] = id;
+  });
+});
+
+/**
+ * Find the canonical id for a unit as written ("Tablespoons", "lbs.", "cans")
+ * @returns {string|null} Canonical unit id, or null if the registry doesn't know it
+ */
+export function resolveUnit(unit) {
+  if (typeof unit !== 'string') return null;
+  const key = unit.toLowerCase().trim().replace(/\.$/, '');
+  return LOOKUP[key] || null;
+}
+
+/**
+ * Whether the registry can resolve a unit
+ */
+export function isKnownUnit(unit) {
+  return resolveUnit(unit) !== null;
+}
+
+/**
+ * Get a unit's registry entry
+ * @returns {Object|null} { id, type, system, ratio, singular, plural, aliases, selectable, typicalGrams }
+ */
+export function getUnitInfo(unit) {
+  const id = resolveUnit(unit);
+  return id ? { id, ...UNITS[id], aliases: [...UNITS[id].aliases] } : null;
+}
+
+/**
+ * Canonical ids of a type's units
+ * @param {string} type - 'weight', 'volume' or 'count'
+ * @param {Object} options - { selectableOnly } to list only units offered in pickers
+ */
+export function getUnitIds(type, { selectableOnly = false } = {}) {
+  return Object.keys(UNITS).filter(id =>
+    UNITS[id].type === type && (!selectableOnly || UNITS[id].selectable));
+}
+
+/**
+ * Display name for a unit, singular or plural to suit the quantity.
+ * Unknown units are shown as written.
+ */
+export function getUnitLabel(unit, quantity = 2) {
+  const id = resolveUnit(unit);
+  if (!id) return unit || '';
+  return quantity === 1 ? UNITS[id].singular : UNITS[id].plural;
+}
+
+export default {
+  BASE_UNITS,
+  resolveUnit,
+  isKnownUnit,
+  getUnitInfo,
+  getUnitIds,
+  getUnitLabel
+};
@@ -6,6 +6,37 @@
 import { supabase, isSupabaseConfigured } from '../lib/supabase.js';
 import { getCurrentUser } from './authService.js';
 
+// Error codes (PostgREST, then Postgres) for a column or table missing from
+// the project's schema, i.e. a migration in supabase/migrations hasn't been run
+const MISSING_COLUMN_CODES = ['PGRST204', '42703'];
+const MISSING_TABLE_CODES = ['PGRST205', '42P01'];
+
+// Cleared once the project turns out not to have pantry_items.lots
+let pantryLotsColumn = true;
+
+// Optional tables the project turned out not to have; they're skipped from then on
+const missingTables = new Set();
+
+/**
+ * Whether a Supabase error says the given column doesn't exist
+ */
+function isMissingColumn(error, column) {
+  return MISSING_COLUMN_CODES.includes(error?.code) && String(error.message || '').includes(column);
+}
+
+/**
+ * Check a Supabase error for a missing table, remembering the table if so
+ * @returns {boolean} Whether the error means the table doesn't exist
+ */
+function handleMissingTable(error, table) {
+  if (!MISSING_TABLE_CODES.includes(error?.code)) return false;
+  if (!missingTables.has(table)) {
+    console.warn(`Supabase table ${table} is missing, not syncing it (see supabase/migrations)`);
+    missingTables.add(table);
+  }
+  return true;
+}
+
 /**
  * Sync pantry items to cloud
  * @param {Array} localItems - Array of pantry items from localStorage
@@ -25,27 +56,37 @@ export async function syncPantryToCloud(localItems) {
     return { success: true, synced: 0 };
   }
 
-  // Transform local items to cloud format
-  const items = localItems.map(item => ({
+  // Transform local items to cloud format (lots are stored as JSON on the item row)
+  const toRow = (item, withLots) => ({
     user_id: user.id,
     ingredient_id: item.ingredientId,
     quantity: item.quantity,
     unit: item.unit,
     storage: item.storage || 'pantry',
     notes: item.notes || null,
+    ...(withLots ? { lots: Array.isArray(item.lots) ? item.lots : null } : {}),
     updated_at: new Date().toISOString()
-  }));
+  });
 
-  const { error } = await supabase
+  const upsertItems = withLots => supabase
     .from('pantry_items')
-    .upsert(items, { onConflict: 'user_id,ingredient_id' });
+    .upsert(localItems.map(item => toRow(item, withLots)), { onConflict: 'user_id,ingredient_id' });
+
+  let { error } = await upsertItems(pantryLotsColumn);
+
+  // Projects without the lots column still get the aggregate quantities
+  if (error && pantryLotsColumn && isMissingColumn(error, 'lots')) {
+    console.warn('pantry_items has no lots column, syncing totals only (see supabase/migrations)');
+    pantryLotsColumn = false;
+    ({ error } = await upsertItems(false));
+  }
 
   if (error) {
     console.error('Pantry sync error:', error);
     return { success: false, error: error.message };
   }
 
-  return { success: true, synced: items.length };
+  return { success: true, synced: localItems.length };
 }
 
 /**
@@ -73,12 +114,14 @@ export async function fetchPantryFromCloud() {
   }
 
   // Transform cloud items to local format
+  // Rows without lots (written by older clients) are migrated by the pantry manager on load
   const items = (data || []).map(item => ({
     ingredientId: item.ingredient_id,
     quantity: parseFloat(item.quantity),
     unit: item.unit,
     storage: item.storage,
     notes: item.notes,
+    lots: Array.isArray(item.lots) ? item.lots : undefined,
     addedAt: item.updated_at,
     updatedAt: item.updated_at
   }));
@@ -364,6 +407,162 @@ export async function fetchNutritionPrefsFromCloud() {
   };
 }
 
+/**
+ * Sync storage locations to cloud (skipped if the project has no storage_locations table)
+ * @param {Array} locations - [{ id, name, parentId }] in display order
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
+ */
+export async function syncStorageLocationsToCloud(locations) {
+  if (!isSupabaseConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const user = await getCurrentUser();
+  if (!user) {
+    return { success: false, error: 'Not authenticated' };
+  }
+
+  if (missingTables.has('storage_locations')) {
+    return { success: true, skipped: true };
+  }
+
+  const { error } = await supabase
+    .from('storage_locations')
+    .upsert({
+      user_id: user.id,
+      locations,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+
+  if (handleMissingTable(error, 'storage_locations')) {
+    return { success: true, skipped: true };
+  }
+
+  if (error) {
+    console.error('Storage locations sync error:', error);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Fetch storage locations from cloud
+ * @returns {Promise<{success: boolean, locations: Array|null, error?: string}>}
+ */
+export async function fetchStorageLocationsFromCloud() {
+  if (!isSupabaseConfigured()) {
+    return { success: false, locations: null, error: 'Supabase not configured' };
+  }
+
+  const user = await getCurrentUser();
+  if (!user) {
+    return { success: false, locations: null, error: 'Not authenticated' };
+  }
+
+  if (missingTables.has('storage_locations')) {
+    return { success: true, locations: null };
+  }
+
+  const { data, error } = await supabase
+    .from('storage_locations')
+    .select('*')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (handleMissingTable(error, 'storage_locations')) {
+    return { success: true, locations: null };
+  }
+
+  if (error) {
+    console.error('Storage locations fetch error:', error);
+    return { success: false, locations: null, error: error.message };
+  }
+
+  return {
+    success: true,
+    locations: Array.isArray(data?.locations) ? data.locations : null
+  };
+}
+
+/**
+ * Sync custom ingredients to cloud (skipped if the project has no custom_ingredients table)
+ * @param {Array} ingredients - User-defined ingredients
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
+ */
+export async function syncCustomIngredientsToCloud(ingredients) {
+  if (!isSupabaseConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const user = await getCurrentUser();
+  if (!user) {
+    return { success: false, error: 'Not authenticated' };
+  }
+
+  if (missingTables.has('custom_ingredients')) {
+    return { success: true, skipped: true };
+  }
+
+  const { error } = await supabase
+    .from('custom_ingredients')
+    .upsert({
+      user_id: user.id,
+      ingredients,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+
+  if (handleMissingTable(error, 'custom_ingredients')) {
+    return { success: true, skipped: true };
+  }
+
+  if (error) {
+    console.error('Custom ingredients sync error:', error);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Fetch custom ingredients from cloud
+ * @returns {Promise<{success: boolean, ingredients: Array|null, error?: string}>}
+ */
+export async function fetchCustomIngredientsFromCloud() {
+  if (!isSupabaseConfigured()) {
+    return { success: false, ingredients: null, error: 'Supabase not configured' };
+  }
+
+  const user = await getCurrentUser();
+  if (!user) {
+    return { success: false, ingredients: null, error: 'Not authenticated' };
+  }
+
+  if (missingTables.has('custom_ingredients')) {
+    return { success: true, ingredients: null };
+  }
+
+  const { data, error } = await supabase
+    .from('custom_ingredients')
+    .select('*')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (handleMissingTable(error, 'custom_ingredients')) {
+    return { success: true, ingredients: null };
+  }
+
+  if (error) {
+    console.error('Custom ingredients fetch error:', error);
+    return { success: false, ingredients: null, error: error.message };
+  }
+
+  return {
+    success: true,
+    ingredients: Array.isArray(data?.ingredients) ? data.ingredients : null
+  };
+}
+
 export default {
   syncPantryToCloud,
   fetchPantryFromCloud,
@@ -373,5 +572,9 @@ export default {
   deleteMealPlanFromCloud,
   updateProfileStats,
   syncNutritionPrefsToCloud,
-  fetchNutritionPrefsFromCloud
+  fetchNutritionPrefsFromCloud,
+  syncStorageLocationsToCloud,
+  fetchStorageLocationsFromCloud,
+  syncCustomIngredientsToCloud,
+  fetchCustomIngredientsFromCloud
 };
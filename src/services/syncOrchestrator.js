@@ -12,7 +12,11 @@ import {
   syncMealPlansToCloud,
   fetchMealPlansFromCloud,
   syncNutritionPrefsToCloud,
-  fetchNutritionPrefsFromCloud
+  fetchNutritionPrefsFromCloud,
+  syncStorageLocationsToCloud,
+  fetchStorageLocationsFromCloud,
+  syncCustomIngredientsToCloud,
+  fetchCustomIngredientsFromCloud
 } from './profileSyncService.js';
 
 // Sync state
@@ -62,10 +66,12 @@ async function pullFromCloud() {
     console.log('Pulling data from cloud...');
 
     // Fetch all data in parallel
-    const [pantryResult, mealsResult, nutritionResult] = await Promise.all([
+    const [pantryResult, mealsResult, nutritionResult, locationsResult, customIngredientsResult] = await Promise.all([
       fetchPantryFromCloud(),
       fetchMealPlansFromCloud(),
-      fetchNutritionPrefsFromCloud()
+      fetchNutritionPrefsFromCloud(),
+      fetchStorageLocationsFromCloud(),
+      fetchCustomIngredientsFromCloud()
     ]);
 
     // Update localStorage with cloud data
@@ -87,6 +93,16 @@ async function pullFromCloud() {
       notifyListeners('nutrition', nutritionResult.prefs);
     }
 
+    if (locationsResult.success && locationsResult.locations?.length > 0) {
+      localStorage.setItem('pantry_planner_storage_locations', JSON.stringify(locationsResult.locations));
+      notifyListeners('storageLocations', locationsResult.locations);
+    }
+
+    if (customIngredientsResult.success && customIngredientsResult.ingredients?.length > 0) {
+      localStorage.setItem('pantry_planner_custom_ingredients', JSON.stringify(customIngredientsResult.ingredients));
+      notifyListeners('customIngredients', customIngredientsResult.ingredients);
+    }
+
     console.log('Cloud sync complete');
     notifyListeners('sync_complete', { success: true });
 
@@ -140,12 +156,16 @@ async function pushToCloud() {
     const pantryData = JSON.parse(localStorage.getItem('pantry_planner_items') || '[]');
     const mealsData = JSON.parse(localStorage.getItem('pantry_planner_meals') || '{"meals":{}}');
     const nutritionData = JSON.parse(localStorage.getItem('pantry_planner_nutrition_prefs') || 'null');
+    const locationsData = JSON.parse(localStorage.getItem('pantry_planner_storage_locations') || 'null');
+    const customIngredientsData = JSON.parse(localStorage.getItem('pantry_planner_custom_ingredients') || 'null');
 
     // Push all data in parallel
     const results = await Promise.all([
       syncPantryToCloud(pantryData),
       syncMealPlansToCloud(mealsData.meals || {}),
-      nutritionData ? syncNutritionPrefsToCloud(nutritionData) : Promise.resolve({ success: true })
+      nutritionData ? syncNutritionPrefsToCloud(nutritionData) : Promise.resolve({ success: true }),
+      locationsData ? syncStorageLocationsToCloud(locationsData) : Promise.resolve({ success: true }),
+      customIngredientsData ? syncCustomIngredientsToCloud(customIngredientsData) : Promise.resolve({ success: true })
     ]);
 
     const allSucceeded = results.every(r => r.success);
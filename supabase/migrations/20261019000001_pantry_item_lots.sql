@@ -0,0 +1,7 @@
+-- Pantry lots: each pantry item row keeps its purchases (quantity, unit,
+-- storage, purchase date, expiry) as JSON next to the aggregate columns.
+-- Older clients ignore the column; the app falls back to the aggregate
+-- columns if this migration hasn't been run.
+
+alter table public.pantry_items
+  add column if not exists lots jsonb;
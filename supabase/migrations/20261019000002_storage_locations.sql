@@ -0,0 +1,17 @@
+-- Storage locations: each user's nested list of places food is kept
+-- ([{ id, name, parentId }] in display order), one row per user.
+-- Without this table the app keeps locations on the device only.
+
+create table if not exists public.storage_locations (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  locations jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.storage_locations enable row level security;
+
+create policy "Users manage their own storage locations"
+  on public.storage_locations
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
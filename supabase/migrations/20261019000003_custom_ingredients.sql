@@ -0,0 +1,17 @@
+-- Custom ingredients: each user's own ingredients (names, aliases, units,
+-- nutrition per 100g, what they contain), one row per user.
+-- Without this table the app keeps custom ingredients on the device only.
+
+create table if not exists public.custom_ingredients (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  ingredients jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.custom_ingredients enable row level security;
+
+create policy "Users manage their own custom ingredients"
+  on public.custom_ingredients
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);